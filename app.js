@@ -0,0 +1,63 @@
+// The app without a listener or background jobs, started by index.js and by the tests
+import express from "express";
+import cors from "cors";
+import fileUpload from 'express-fileupload';
+import userRouter from './controllers/users.controller.js'
+import authRouter from './controllers/auth.controller.js'
+import devicesInfoRouter from './controllers/devices.controller.js'
+import locationRouter from './controllers/locations.controller.js'
+import mobileNetworkInfoRouter from './controllers/mobile-network.controller.js'
+import connectivityRouter from './controllers/connectivity.controller.js'
+import contactRouter from './controllers/contacts.controller.js'
+import alertModesRouter from './controllers/alert-mode.controller.js'
+import alertsRouter from './controllers/alerts.controller.js'
+import swaggerRoutes from './controllers/swagger.controller.js'
+import placesRoutes from './controllers/googlemap.controller.js'
+import cronRouter from './controllers/cron.controller.js'
+import { errorHandler, notFoundHandler } from './lib/error-handler.js'
+import { localize } from './lib/i18n/index.js'
+
+import { STORAGE_DRIVER, UPLOADS_DIR, AVATAR_MAX_BYTES } from './lib/constants/config.js'
+
+const app = express();
+
+// Behind the Vercel proxy, so req.ip is the client address used for login throttling
+app.set('trust proxy', 1);
+
+// First, so even body parser errors are answered in the client's language
+app.use(localize);
+
+// enable files upload, oversized files are flagged as truncated and rejected by their handler
+app.use(fileUpload({
+  limits: { fileSize: AVATAR_MAX_BYTES },
+}));
+
+// Files of the local storage driver, the S3 driver hands out bucket URLs instead
+if (STORAGE_DRIVER === 'local') {
+  app.use(express.static(UPLOADS_DIR));
+}
+
+app.use(cors());
+app.use(express.json({ limit: "50mb" }));
+
+
+app.use('/api/auth', authRouter)
+app.use('/api/users', userRouter);
+app.use('/api/devices', devicesInfoRouter);
+app.use('/api/locations', locationRouter);
+app.use('/api/connectivity', connectivityRouter);
+app.use('/api/contacts', contactRouter);
+app.use('/api/alert-modes', alertModesRouter)
+app.use('/api/alerts', alertsRouter)
+app.use('/api/mobile-network', mobileNetworkInfoRouter);
+app.use('/api/places', placesRoutes)
+app.use('/api/cron', cronRouter)
+app.use(swaggerRoutes);
+
+app.get("/", (req, res) => res.send("Express on Vercel"));
+
+// Must stay last: unmatched routes, then every error as { code, message, details }
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+export default app;
@@ -1,7 +1,13 @@
 import express from 'express';
 import { db } from '../lib/database.js';
 import { verifyToken } from '../lib/auth.js';
+import { requireRole } from '../lib/authorization.js';
 import { UserRole } from '@prisma/client';
+import { serializeAlertMode } from '../lib/serializers.js';
+import { validate } from '../lib/validation.js';
+import { schemas } from '../lib/schemas.js';
+import { asyncHandler } from '../lib/error-handler.js';
+import { BadRequestError, ForbiddenError, NotFoundError } from '../lib/errors.js';
 
 const router = express.Router();
 
@@ -25,20 +31,7 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - key
- *               - label
- *             properties:
- *               key:
- *                 type: string
- *                 example: silent
- *               label:
- *                 type: string
- *                 example: Silent Mode
- *               description:
- *                 type: string
- *                 example: No sound or vibration
+ *             $ref: '#/components/schemas/AlertModeInput'
  *     responses:
  *       201:
  *         description: Alert mode created
@@ -49,20 +42,13 @@ const router = express.Router();
  *       500:
  *         description: Internal server error
  */
-router.post('/', verifyToken, async (req, res) => {
-    const user = req.user;
-    if (user.role !== UserRole.ADMIN) return res.status(403).json({ message: 'Forbidden' });
-
+router.post('/', verifyToken, requireRole(UserRole.ADMIN), validate({ body: schemas.AlertModeInput }), asyncHandler(async (req, res) => {
     const { key, label, description } = req.body;
-    if (!key || !label) return res.status(400).json({ message: 'key and label are required' });
+    if (!key || !label) throw new BadRequestError('key and label are required');
 
-    try {
-        const alertMode = await db.alertMode.create({ data: { key, label, description } });
-        res.status(201).json(alertMode);
-    } catch (e) {
-        res.status(500).json({ message: e.message });
-    }
-});
+    const alertMode = await db.alertMode.create({ data: { key, label, description } });
+    res.status(201).json(serializeAlertMode(alertMode));
+}));
 
 /**
  * @swagger
@@ -84,14 +70,10 @@ router.post('/', verifyToken, async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.get('/', async (req, res) => {
-    try {
-        const modes = await db.alertMode.findMany();
-        res.json(modes);
-    } catch (e) {
-        res.status(500).json({ message: e.message });
-    }
-});
+router.get('/', verifyToken, asyncHandler(async (req, res) => {
+    const modes = await db.alertMode.findMany();
+    res.json(modes.map(serializeAlertMode));
+}));
 
 /**
  * @swagger
@@ -116,15 +98,11 @@ router.get('/', async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', verifyToken, async (req, res) => {
-    try {
-        const mode = await db.alertMode.findUnique({ where: { id: req.params.id } });
-        if (!mode) return res.status(404).json({ message: 'Not found' });
-        res.json(mode);
-    } catch (e) {
-        res.status(500).json({ message: e.message });
-    }
-});
+router.get('/:id', verifyToken, validate({ params: schemas.IdParams }), asyncHandler(async (req, res) => {
+    const mode = await db.alertMode.findUnique({ where: { id: req.params.id } });
+    if (!mode) throw new NotFoundError('Not found');
+    res.json(serializeAlertMode(mode));
+}));
 
 /**
  * @swagger
@@ -145,14 +123,7 @@ router.get('/:id', verifyToken, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               key:
- *                 type: string
- *               label:
- *                 type: string
- *               description:
- *                 type: string
+ *             $ref: '#/components/schemas/AlertModeUpdate'
  *     responses:
  *       200:
  *         description: Updated successfully
@@ -163,24 +134,17 @@ router.get('/:id', verifyToken, async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.patch('/:id', verifyToken, async (req, res) => {
-    const user = req.user;
-    if (user.role !== UserRole.ADMIN) return res.status(403).json({ message: 'Forbidden' });
+router.patch('/:id', verifyToken, requireRole(UserRole.ADMIN), validate({ params: schemas.IdParams, body: schemas.AlertModeUpdate }), asyncHandler(async (req, res) => {
+    const existing = await db.alertMode.findUnique({ where: { id: req.params.id } });
+    if (!existing) throw new NotFoundError('Not found');
 
-    try {
-        const existing = await db.alertMode.findUnique({ where: { id: req.params.id } });
-        if (!existing) return res.status(404).json({ message: 'Not found' });
+    const updated = await db.alertMode.update({
+        where: { id: req.params.id },
+        data: req.body,
+    });
 
-        const updated = await db.alertMode.update({
-            where: { id: req.params.id },
-            data: { ...req.body },
-        });
-
-        res.json(updated);
-    } catch (e) {
-        res.status(500).json({ message: e.message });
-    }
-});
+    res.json(serializeAlertMode(updated));
+}));
 
 /**
  * @swagger
@@ -218,54 +182,39 @@ router.patch('/:id', verifyToken, async (req, res) => {
  *                 deleted:
  *                   $ref: '#/components/schemas/AlertMode'
  *       400:
- *         description: Cannot delete the last remaining alert mode.
+ *         description: Cannot delete the last remaining alert mode (code LAST_ALERT_MODE).
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: Cannot delete the last remaining alert mode.
+ *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden – either not admin or trying to delete protected record.
+ *         description: Forbidden – either not admin or trying to delete protected record (code PROTECTED_ALERT_MODE).
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: Forbidden - Cannot delete the first alert mode.
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error.
  */
 
-router.delete('/:id', verifyToken, async (req, res) => {
-    const user = req.user;
-    if (user.role !== UserRole.ADMIN) return res.status(403).json({ message: 'Forbidden' });
+router.delete('/:id', verifyToken, requireRole(UserRole.ADMIN), validate({ params: schemas.IdParams }), asyncHandler(async (req, res) => {
 
-    try {
+    // Find the first (earliest) inserted AlertMode
+    const firstRecord = await db.alertMode.findFirst({
+        orderBy: { createdAt: 'asc' }
+    });
 
-        // Find the first (earliest) inserted AlertMode
-        const firstRecord = await db.alertMode.findFirst({
-            orderBy: { createdAt: 'asc' }
-        });
-
-        if (firstRecord && firstRecord.id === id) {
-            return res.status(403).json({ message: 'Cannot delete the first alert mode.' });
-        }
-
-        const totalCount = await db.alertMode.count();
-        if (totalCount <= 1) {
-            return res.status(400).json({ message: 'Cannot delete the last remaining alert mode.' });
-        }
+    if (firstRecord && firstRecord.id === req.params.id) {
+        throw new ForbiddenError('Cannot delete the first alert mode.', { code: 'PROTECTED_ALERT_MODE' });
+    }
 
-        const deleted = await db.alertMode.delete({ where: { id: req.params.id } });
-        res.json({ message: 'Alert mode deleted', deleted });
-    } catch (e) {
-        res.status(500).json({ message: e.message });
+    const totalCount = await db.alertMode.count();
+    if (totalCount <= 1) {
+        throw new BadRequestError('Cannot delete the last remaining alert mode.', { code: 'LAST_ALERT_MODE' });
     }
-});
+
+    const deleted = await db.alertMode.delete({ where: { id: req.params.id } });
+    res.json({ message: req.t('messages.alertModeDeleted'), deleted: serializeAlertMode(deleted) });
+}));
 
 export default router;
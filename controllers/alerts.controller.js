@@ -1,10 +1,18 @@
 import express from 'express';
 import { db } from '../lib/database.js';
 import { verifyToken } from '../lib/auth.js'
-import { AlertStatus, ContactTypeEnum } from '@prisma/client'
-import {sendEmail} from '../lib/notifications.js'
+import { requireOwnership } from '../lib/authorization.js'
+import { AlertStatus } from '@prisma/client'
+import { notifyEmergencyContacts, alertNotification } from '../lib/alerts.js'
+import { getPreferences } from '../lib/preferences.js'
+import { serializeAlert } from '../lib/serializers.js'
+import { asyncHandler } from '../lib/error-handler.js'
+import { AppError, BadRequestError } from '../lib/errors.js'
 
 const router = express.Router();
+
+// Alerts are acted on by the user they were raised for only, not by admins
+const requireAlertOwner = (include) => requireOwnership('alert', 'id', { include, allowAdmin: false });
 /**
  * @swagger
  * /api/alerts/{id}/confirm:
@@ -35,10 +43,14 @@ const router = express.Router();
  *                   $ref: '#/components/schemas/Alert'
  *       400:
  *         description: Alert already handled
+ *       403:
+ *         description: Alert belongs to another user
  *       404:
- *         description: Alert not found or access denied
+ *         description: Alert not found
  *       500:
  *         description: Server error
+ *       502:
+ *         description: The alert could not be delivered and is still pending, code ALERT_NOT_DELIVERED
  */
 
 /**
@@ -50,56 +62,35 @@ const router = express.Router();
  * @returns {object} - JSON response with updated alert and action status
  */
 
-router.post('/:id/confirm', verifyToken, async (req, res) => {
-    const user = req.user;
+router.post('/:id/confirm', verifyToken, requireAlertOwner({ user: true, device: true }), asyncHandler(async (req, res) => {
     const { id } = req.params;
+    const alert = req.resource;
 
-    try {
-        const alert = await db.alert.findUnique({
-            where: { id },
-            include: {
-                user: true,
-                device: true
-            }
-        });
-
-        if (!alert || alert.userId !== user.id) {
-            return res.status(404).json({ message: 'Alert not found or access denied' });
-        }
+    if (alert.status !== AlertStatus.PENDING) {
+        throw new BadRequestError('Alert already handled', { code: 'ALERT_ALREADY_HANDLED' });
+    }
 
-        if (alert.status !== AlertStatus.PENDING) {
-            return res.status(400).json({ message: 'Alert already handled' });
-        }
+    console.log(`Triggering action for confirmed alert ${alert.id}`);
 
-        const updatedAlert = await db.alert.update({
-            where: { id },
-            data: {
-                status: AlertStatus.CONFIRMED,
-                resolvedAt: new Date()
-            }
-        });
-
-        console.log(`Triggering action for confirmed alert ${alert.id}`);
-
-        const userEmergencyContacts = await db.contact.findMany({
-            where: {
-                userId: alert.user.id,
-                type: ContactTypeEnum.EMERGENCY
-            }
-        })
-
-        if (userEmergencyContacts.length > 0) {
-            await sendEmail(userEmergencyContacts[0].email, 'Low Signal Alert', alert.message);
-        } else {
-            await sendEmail(user.email, 'Low Signal Alert', alert.message);
-        }
+    // The message was written in the user's language when the alert was raised
+    const preferences = await getPreferences(alert.user.id);
+    const { subject } = alertNotification(alert.type, preferences);
 
-        res.json({ message: 'Alert confirmed and action triggered', alert: updatedAlert });
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: err.message });
+    // Undelivered alerts stay pending, so confirming again retries
+    if (!(await notifyEmergencyContacts(alert.user, subject, alert.message, preferences))) {
+        throw new AppError(502, 'ALERT_NOT_DELIVERED', 'The alert could not be delivered, please try again.');
     }
-});
+
+    const updatedAlert = await db.alert.update({
+        where: { id },
+        data: {
+            status: AlertStatus.CONFIRMED,
+            resolvedAt: new Date()
+        }
+    });
+
+    res.json({ message: req.t('messages.alertConfirmed'), alert: serializeAlert(updatedAlert) });
+}));
 
 
 /**
@@ -132,8 +123,10 @@ router.post('/:id/confirm', verifyToken, async (req, res) => {
  *                   $ref: '#/components/schemas/Alert'
  *       400:
  *         description: Alert already handled
+ *       403:
+ *         description: Alert belongs to another user
  *       404:
- *         description: Alert not found or access denied
+ *         description: Alert not found
  *       500:
  *         description: Server error
  */
@@ -147,34 +140,24 @@ router.post('/:id/confirm', verifyToken, async (req, res) => {
  * @returns {object} - JSON response with updated alert and dismissal status
  */
 
-router.post('/:id/dismiss', verifyToken, async (req, res) => {
-    const user = req.user;
+router.post('/:id/dismiss', verifyToken, requireAlertOwner(), asyncHandler(async (req, res) => {
     const { id } = req.params;
+    const alert = req.resource;
 
-    try {
-        const alert = await db.alert.findUnique({ where: { id } });
-
-        if (!alert || alert.userId !== user.id) {
-            return res.status(404).json({ message: 'Alert not found or access denied' });
-        }
+    if (alert.status !== AlertStatus.PENDING) {
+        throw new BadRequestError('Alert already handled', { code: 'ALERT_ALREADY_HANDLED' });
+    }
 
-        if (alert.status !== AlertStatus.PENDING) {
-            return res.status(400).json({ message: 'Alert already handled' });
+    const updatedAlert = await db.alert.update({
+        where: { id },
+        data: {
+            status: AlertStatus.DISMISSED,
+            resolvedAt: new Date()
         }
+    });
 
-        const updatedAlert = await db.alert.update({
-            where: { id },
-            data: {
-                status: AlertStatus.DISMISSED,
-                resolvedAt: new Date()
-            }
-        });
-
-        res.json({ message: 'Alert dismissed', alert: updatedAlert });
-    } catch (err) {
-        res.status(500).json({ message: err.message });
-    }
-});
+    res.json({ message: req.t('messages.alertDismissed'), alert: serializeAlert(updatedAlert) });
+}));
 
 
 
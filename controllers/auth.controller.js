@@ -1,10 +1,74 @@
 import express from 'express';
 import { db } from '../lib/database.js';
-import jwt from 'jsonwebtoken';
 import bcrypt from 'bcrypt';
+import { OneTimeCodePurpose, UserRole } from '@prisma/client';
+import { createSession, rotateSession, revokeSession, revokeUserSessions, verifyToken, clientContext, assertNotSuspended } from '../lib/auth.js';
+import { requireRole, requireOwnership } from '../lib/authorization.js';
+import { isObjectId } from '../lib/helpers/object-id.js';
+import { serializeSession } from '../lib/serializers.js';
+import { validate } from '../lib/validation.js';
+import { schemas } from '../lib/schemas.js';
+import { asyncHandler } from '../lib/error-handler.js';
+import { BadRequestError, ConflictError, NotFoundError, TooManyRequestsError, UnauthorizedError } from '../lib/errors.js';
+import { issueCode, consumeCode, isResendThrottled } from '../lib/one-time-codes.js';
+import { sendEmail, sendSms } from '../lib/notifications.js';
+import { notification, languageOf } from '../lib/i18n/index.js';
+import { VERIFICATION_CHANNELS, sendVerificationCode, confirmVerificationCode, verificationPurpose } from '../lib/verification.js';
+import { generateTotpSecret, totpProvisioningUri } from '../lib/totp.js';
+import {
+    isTwoFactorEnabled,
+    verifySecondFactor,
+    generateBackupCodes,
+    clearTwoFactor,
+    signTwoFactorChallenge,
+    verifyTwoFactorChallenge,
+} from '../lib/two-factor.js';
+import { identifierKey, ipKey, getLoginRetryAfter, recordLoginFailure, clearLoginThrottle } from '../lib/login-throttle.js';
+import { ONE_TIME_CODE_TTL_MINUTES, ONE_TIME_CODE_RESEND_SECONDS, LOGIN_LOCK_MINUTES } from '../lib/constants/config.js';
 
 const router = express.Router();
 
+// Unknown accounts are compared against this so both login paths take the same time
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('sigme-dummy-password', 10);
+
+/**
+ * Resolves the device a client logs in from, by server id or vendor device id.
+ * Devices of other users are ignored.
+ */
+async function findUserDeviceId(userId, deviceId) {
+    if (!deviceId) return undefined;
+
+    const device = await db.deviceInfo.findFirst({
+        where: {
+            userId,
+            OR: [...(isObjectId(deviceId) ? [{ id: deviceId }] : []), { deviceId }],
+        },
+    });
+
+    return device?.id;
+}
+
+/**
+ * Counts a failed login against the identifier and the client IP.
+ * When this failure locks an existing account, an unlock code is emailed to its owner
+ * in their preferred language, else the language of the request.
+ */
+async function recordFailedLogin(throttleKeys, user, requestLanguage) {
+    const [identifierThrottle] = await Promise.all(throttleKeys.map(recordLoginFailure));
+
+    if (!identifierThrottle.locked || !user) return;
+
+    try {
+        const code = await issueCode(user.id, OneTimeCodePurpose.ACCOUNT_UNLOCK, { target: user.email });
+        const language = await languageOf(user.id, requestLanguage);
+        const { subject, text } = notification(language, 'accountLocked', { code, count: LOGIN_LOCK_MINUTES });
+
+        await sendEmail(user.email, subject, text, { language });
+    } catch (error) {
+        console.error('Unlock email delivery failed:', error.message);
+    }
+}
+
 /**
  * @swagger
  * /api/auth/login:
@@ -16,58 +80,70 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *               password:
- *                 type: string
- *                 format: password
+ *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: Successful login, returns JWT token
+ *         description: |
+ *           Successful login, returns a short-lived access token and a refresh token.
+ *           Accounts with two-factor authentication get a challenge token instead,
+ *           to be completed at /api/auth/2fa/verify.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 token:
- *                   type: string
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthTokens'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
  *       400:
  *         description: Missing credentials
  *       401:
- *         description: Invalid credentials
- *       404:
- *         description: User not found
+ *         description: Invalid credentials (also returned for unknown accounts)
+ *       403:
+ *         description: Account suspended (code ACCOUNT_SUSPENDED)
+ *       429:
+ *         description: |
+ *           Too many failed attempts for this account or IP. Retry after the number of
+ *           seconds in the Retry-After header.
  *       500:
  *         description: Internal server error
  */
-router.post("/login", async (req, res) => {
-    const { password, email } = req.body;
+router.post("/login", validate({ body: schemas.LoginRequest }), asyncHandler(async (req, res) => {
+    const { password, email, deviceId } = req.body;
 
-    if (!email || !password)
-        return res.status(400).send({ message: "Missing email or password." });
+    const throttleKeys = [identifierKey(email), ipKey(req.ip)];
 
-    try {
-        // email or phone login 
-        const user = await db.user.findFirst({ where: { OR: [{ email }, { phone: email }] } });
-        if (!user) return res.status(404).json({ message: "User not found." });
+    const retryAfter = await getLoginRetryAfter(throttleKeys);
+    if (retryAfter > 0)
+        throw new TooManyRequestsError("Too many login attempts. Try again later.", { retryAfter, code: "LOGIN_THROTTLED" });
 
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) return res.status(401).json({ message: "Invalid credentials." });
+    // email or phone login 
+    const user = await db.user.findFirst({ where: { OR: [{ email }, { phone: email }] } });
 
-        const token = jwt.sign({ user }, process.env.JWT_SECRET, { expiresIn: "7d" });
+    const isMatch = await bcrypt.compare(password, user?.password ?? DUMMY_PASSWORD_HASH);
+    if (!user || !isMatch) {
+        await recordFailedLogin(throttleKeys, user, req.language);
+        throw new UnauthorizedError("Invalid credentials.", { code: "INVALID_CREDENTIALS" });
+    }
 
-        res.status(200).json({ token });
-    } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: "Internal server error." });
+    // Only after the password check, so it does not reveal which accounts exist
+    assertNotSuspended(user);
+
+    const sessionDeviceId = await findUserDeviceId(user.id, deviceId);
+
+    // The failure count is only cleared once the second factor is verified too
+    if (isTwoFactorEnabled(user)) {
+        const challengeToken = signTwoFactorChallenge(user, { identifier: email, deviceId: sessionDeviceId });
+        return res.status(200).json({ twoFactorRequired: true, challengeToken });
     }
-});
+
+    await clearLoginThrottle([throttleKeys[0]]);
+
+    const { token, refreshToken } = await createSession(user, {
+        deviceId: sessionDeviceId,
+        ...clientContext(req),
+    });
+
+    res.status(200).json({ token, refreshToken });
+}));
 
 /**
  * @swagger
@@ -80,85 +156,757 @@ router.post("/login", async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - password
- *               - phone
- *               - email
- *             properties:
- *               name:
- *                 type: string
- *               password:
- *                 type: string
- *               phone:
- *                 type: string
- *               email:
- *                 type: string
- *                 format: email
- *               gender:
- *                 type: string
- *                 enum: [male, female, other]
+ *             $ref: '#/components/schemas/RegisterRequest'
  *     responses:
  *       201:
- *         description: User registered successfully, returns JWT token
+ *         description: |
+ *           User registered successfully, returns a short-lived access token and a refresh token.
+ *           Verification codes are sent to the email and phone.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 token:
- *                   type: string
+ *               $ref: '#/components/schemas/AuthTokens'
  *       400:
  *         description: Missing required fields
- *       403:
+ *       409:
  *         description: Email or phone already in use
  *       500:
  *         description: Internal server error
  */
-router.post("/register", async (req, res) => {
+router.post("/register", validate({ body: schemas.RegisterRequest }), asyncHandler(async (req, res) => {
     const { name, password, phone, email, gender } = req.body;
 
-    if (!name || !password || !phone || !email)
-        return res.status(400).send({ message: "Missing required fields." });
+    const existingUser = await db.user.findFirst({
+        where: { OR: [{ email }, { phone }] },
+    });
 
-    try {
-        const existingUser = await db.user.findFirst({
-            where: { OR: [{ email }, { phone }] },
-        });
+    if (existingUser)
+        throw new ConflictError("Email or phone already in use.", { code: "ACCOUNT_EXISTS" });
 
-        if (existingUser)
-            return res.status(403).json({ message: "Email or phone already in use." });
+    const hashedPassword = await bcrypt.hash(password, 10);
 
-        const hashedPassword = await bcrypt.hash(password, 10);
+    const defaultAlertMode = await db.alertMode.findFirst();
 
-        const defaultAlertMode = await db.alertMode.findFirst();
+    const userData = {
+        name,
+        phone,
+        email,
+        password: hashedPassword,
+        gender,
+    };
 
-        const userData = {
-            name,
-            phone,
-            email,
-            password: hashedPassword,
-            gender,
+    if (defaultAlertMode) {
+        userData.alertMode = {
+            connect: { id: defaultAlertMode.id }
         };
+    }
+
+    const user = await db.user.create({
+        data: userData
+    });
+
+    // Both addresses start unverified and are not used for alerts until confirmed
+    for (const channel of VERIFICATION_CHANNELS) {
+        try {
+            await sendVerificationCode(user, channel, { language: req.language });
+        } catch (error) {
+            console.error(`Sending ${channel} verification failed:`, error.message);
+        }
+    }
+
+    const { token, refreshToken } = await createSession(user, clientContext(req));
+
+    res.status(201).json({ token, refreshToken });
+}));
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: |
+ *       Refresh tokens are single use. The returned refresh token replaces the one sent,
+ *       and replaying an already used refresh token revokes the whole session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Missing refresh token
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ *       403:
+ *         description: Account suspended (code ACCOUNT_SUSPENDED)
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/refresh", validate({ body: schemas.RefreshRequest }), asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    const rotated = await rotateSession(refreshToken, clientContext(req));
+    if (!rotated) throw new UnauthorizedError("Invalid refresh token.", { code: "INVALID_REFRESH_TOKEN" });
+
+    res.status(200).json({ token: rotated.token, refreshToken: rotated.refreshToken });
+}));
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke the current session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LogoutRequest'
+ *     responses:
+ *       204:
+ *         description: Session revoked
+ *       401:
+ *         description: Token expired or session already revoked
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/logout", verifyToken, validate({ body: schemas.LogoutRequest }), asyncHandler(async (req, res) => {
+    const { allDevices } = req.body;
+
+    if (allDevices) {
+        await revokeUserSessions(req.user.id);
+    } else {
+        await revokeSession(req.authSession.id);
+    }
+
+    res.status(204).send();
+}));
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset code
+ *     description: |
+ *       Sends a single-use reset code by email, and also by SMS when the account is
+ *       identified by its phone number. The response is the same whether or not the
+ *       account exists.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Reset code sent if the account exists
+ *       400:
+ *         description: Missing email or phone
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/forgot-password", validate({ body: schemas.ForgotPasswordRequest }), asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    const user = await db.user.findFirst({ where: { OR: [{ email }, { phone: email }] } });
 
-        if (defaultAlertMode) {
-            userData.alertMode = {
-                connect: { id: defaultAlertMode.id }
-            };
+    if (user && !(await isResendThrottled(user.id, OneTimeCodePurpose.PASSWORD_RESET))) {
+        const code = await issueCode(user.id, OneTimeCodePurpose.PASSWORD_RESET, { target: email });
+        const language = await languageOf(user.id, req.language);
+        const { subject, text } = notification(language, 'passwordReset', { code, count: ONE_TIME_CODE_TTL_MINUTES });
+
+        try {
+            await sendEmail(user.email, subject, text, { language });
+            if (email === user.phone) await sendSms(user.phone, text);
+        } catch (error) {
+            console.error('Password reset delivery failed:', error.message);
         }
+    }
+
+    res.status(200).json({ message: req.t("messages.resetCodeSent") });
+}));
 
-        const user = await db.user.create({
-            data: userData
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset code
+ *     description: On success every existing session of the account is revoked.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Missing fields, or invalid, expired or exhausted code
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/reset-password", validate({ body: schemas.ResetPasswordRequest }), asyncHandler(async (req, res) => {
+    const { email, code, password } = req.body;
+
+    const user = await db.user.findFirst({ where: { OR: [{ email }, { phone: email }] } });
+
+    const validCode = user && await consumeCode(user.id, OneTimeCodePurpose.PASSWORD_RESET, code);
+    if (!validCode) throw new BadRequestError("Invalid or expired code.", { code: "INVALID_CODE" });
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    await db.user.update({
+        where: { id: user.id },
+        data: { password: hashedPassword },
+    });
+
+    await revokeUserSessions(user.id);
+
+    res.status(200).json({ message: req.t("messages.passwordReset") });
+}));
+
+/**
+ * @swagger
+ * /api/auth/verify/{channel}/request:
+ *   post:
+ *     summary: Send a verification code to the user's email or phone
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [email, phone]
+ *     responses:
+ *       200:
+ *         description: Verification code sent
+ *       400:
+ *         description: Address already verified
+ *       404:
+ *         description: Unknown channel
+ *       429:
+ *         description: A code was sent too recently
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/verify/:channel/request", verifyToken, asyncHandler(async (req, res) => {
+    const { channel } = req.params;
+    const user = req.user;
+
+    if (!VERIFICATION_CHANNELS.includes(channel))
+        throw new NotFoundError("Unknown verification channel.", { code: "UNKNOWN_CHANNEL" });
+
+    if (user[`${channel}VerifiedAt`])
+        throw new BadRequestError(`${channel} is already verified.`, { code: "ALREADY_VERIFIED" });
+
+    if (await isResendThrottled(user.id, verificationPurpose(channel)))
+        throw new TooManyRequestsError("A code was sent recently, please wait before requesting another.", {
+            retryAfter: ONE_TIME_CODE_RESEND_SECONDS,
+            code: "CODE_RECENTLY_SENT",
         });
 
-        const token = jwt.sign({ user }, process.env.JWT_SECRET, { expiresIn: "7d" });
+    await sendVerificationCode(user, channel, { language: req.language });
+
+    res.status(200).json({ message: req.t("messages.verificationCodeSent") });
+}));
+
+/**
+ * @swagger
+ * /api/auth/verify/{channel}/confirm:
+ *   post:
+ *     summary: Confirm the user's email or phone with a verification code
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [email, phone]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CodeRequest'
+ *     responses:
+ *       200:
+ *         description: Address verified
+ *       400:
+ *         description: Missing, invalid or expired code
+ *       404:
+ *         description: Unknown channel
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/verify/:channel/confirm", verifyToken, validate({ body: schemas.CodeRequest }), asyncHandler(async (req, res) => {
+    const { channel } = req.params;
+    const { code } = req.body;
+
+    if (!VERIFICATION_CHANNELS.includes(channel))
+        throw new NotFoundError("Unknown verification channel.", { code: "UNKNOWN_CHANNEL" });
+
+    const user = await confirmVerificationCode(req.user, channel, code);
+    if (!user) throw new BadRequestError("Invalid or expired code.", { code: "INVALID_CODE" });
+
+    res.status(200).json({ message: req.t("messages.addressVerified", { channel: req.t(`channels.${channel}`) }) });
+}));
+
+/**
+ * @swagger
+ * /api/auth/unlock:
+ *   post:
+ *     summary: Unlock an account locked after failed logins
+ *     description: Uses the code emailed to the account owner when the lock was applied.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UnlockRequest'
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Missing fields, or invalid or expired code
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/unlock", validate({ body: schemas.UnlockRequest }), asyncHandler(async (req, res) => {
+    const { email, code } = req.body;
+
+    const user = await db.user.findFirst({ where: { OR: [{ email }, { phone: email }] } });
+
+    const validCode = user && await consumeCode(user.id, OneTimeCodePurpose.ACCOUNT_UNLOCK, code);
+    if (!validCode) throw new BadRequestError("Invalid or expired code.", { code: "INVALID_CODE" });
+
+    await clearLoginThrottle([identifierKey(user.email), identifierKey(user.phone)]);
+
+    res.status(200).json({ message: req.t("messages.accountUnlocked") });
+}));
 
-        res.status(201).json({ token });
-    } catch (e) {
-        console.error(e);
-        res.status(500).json({ message: "Internal server error" });
+/**
+ * @swagger
+ * /api/auth/lockouts:
+ *   get:
+ *     summary: List active login lockouts (Admin only)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Identifiers and IPs currently locked out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   key:
+ *                     type: string
+ *                     example: "identifier:user@example.com"
+ *                   failures:
+ *                     type: integer
+ *                   lastFailureAt:
+ *                     type: string
+ *                     format: date-time
+ *                   lockedUntil:
+ *                     type: string
+ *                     format: date-time
+ *       403:
+ *         description: Forbidden (not admin)
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/lockouts", verifyToken, requireRole(UserRole.ADMIN), asyncHandler(async (req, res) => {
+    const lockouts = await db.loginThrottle.findMany({
+        where: { lockedUntil: { gt: new Date() } },
+        orderBy: { lockedUntil: "desc" },
+    });
+
+    res.json(lockouts);
+}));
+
+/**
+ * @swagger
+ * /api/auth/lockouts/{id}:
+ *   delete:
+ *     summary: Clear a login lockout and its failure count (Admin only)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Lockout cleared
+ *       403:
+ *         description: Forbidden (not admin)
+ *       404:
+ *         description: Lockout not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete("/lockouts/:id", verifyToken, requireRole(UserRole.ADMIN), asyncHandler(async (req, res) => {
+    const lockout = await db.loginThrottle.findUnique({ where: { id: req.params.id } });
+    if (!lockout) throw new NotFoundError("Lockout not found.");
+
+    await clearLoginThrottle([lockout.key]);
+
+    res.status(204).send();
+}));
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the active sessions of the authenticated user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/sessions", verifyToken, asyncHandler(async (req, res) => {
+    const sessions = await db.session.findMany({
+        where: {
+            userId: req.user.id,
+            revokedAt: null,
+            expiresAt: { gt: new Date() },
+        },
+        include: { device: true },
+        orderBy: { lastUsedAt: "desc" },
+    });
+
+    res.json(sessions.map((session) => serializeSession(session, req.authSession.id)));
+}));
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Sign out all other devices
+ *     description: Revokes every session of the authenticated user except the current one.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Other sessions revoked
+ *       500:
+ *         description: Internal server error
+ */
+router.delete("/sessions", verifyToken, asyncHandler(async (req, res) => {
+    await revokeUserSessions(req.user.id, { exceptSessionId: req.authSession.id });
+    res.status(204).send();
+}));
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one session, e.g. on a lost phone
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Session revoked
+ *       403:
+ *         description: Session belongs to another user
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete("/sessions/:id", verifyToken, requireOwnership('session', 'id', { allowAdmin: false }), asyncHandler(async (req, res) => {
+    await revokeSession(req.resource.id);
+    res.status(204).send();
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a login with a TOTP or backup code
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorVerifyRequest'
+ *     responses:
+ *       200:
+ *         description: Login completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Missing challenge token or code
+ *       401:
+ *         description: Invalid or expired challenge, or wrong code
+ *       403:
+ *         description: Account suspended (code ACCOUNT_SUSPENDED)
+ *       429:
+ *         description: Too many failed attempts, see Retry-After
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/2fa/verify", validate({ body: schemas.TwoFactorVerifyRequest }), asyncHandler(async (req, res) => {
+    const { challengeToken, code } = req.body;
+
+    const challenge = verifyTwoFactorChallenge(challengeToken);
+    const user = challenge && await db.user.findUnique({ where: { id: challenge.sub } });
+
+    if (!user || !isTwoFactorEnabled(user))
+        throw new UnauthorizedError("Invalid or expired challenge.", { code: "INVALID_CHALLENGE" });
+
+    const throttleKeys = [identifierKey(challenge.identifier), ipKey(req.ip)];
+
+    const retryAfter = await getLoginRetryAfter(throttleKeys);
+    if (retryAfter > 0)
+        throw new TooManyRequestsError("Too many login attempts. Try again later.", { retryAfter, code: "LOGIN_THROTTLED" });
+
+    if (!(await verifySecondFactor(user, code))) {
+        await recordFailedLogin(throttleKeys, user, req.language);
+        throw new UnauthorizedError("Invalid code.", { code: "INVALID_CODE" });
     }
-});
+
+    assertNotSuspended(user);
+
+    await clearLoginThrottle([throttleKeys[0]]);
+
+    const { token, refreshToken } = await createSession(user, {
+        deviceId: challenge.deviceId,
+        ...clientContext(req),
+    });
+
+    res.status(200).json({ token, refreshToken });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: |
+ *       Generates a new TOTP secret. Two-factor authentication is only switched on
+ *       once a code from the authenticator app is confirmed at /api/auth/2fa/enable.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI to render as a QR code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                 otpauthUrl:
+ *                   type: string
+ *                   example: otpauth://totp/Sigme:user%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Sigme
+ *       400:
+ *         description: Two-factor authentication already enabled
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/2fa/setup", verifyToken, asyncHandler(async (req, res) => {
+    const user = req.user;
+
+    if (isTwoFactorEnabled(user))
+        throw new BadRequestError("Two-factor authentication is already enabled.", { code: "TWO_FACTOR_ALREADY_ENABLED" });
+
+    const secret = generateTotpSecret();
+
+    await db.user.update({
+        where: { id: user.id },
+        data: { twoFactorSecret: secret, twoFactorEnabledAt: null, twoFactorLastUsedStep: null },
+    });
+
+    res.status(200).json({ secret, otpauthUrl: totpProvisioningUri(secret, user.email) });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a code from the authenticator app
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CodeRequest'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled, backup codes are shown once
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BackupCodes'
+ *       400:
+ *         description: Missing or wrong code, setup not started, or already enabled
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/2fa/enable", verifyToken, validate({ body: schemas.CodeRequest }), asyncHandler(async (req, res) => {
+    const user = req.user;
+    const { code } = req.body;
+
+    if (isTwoFactorEnabled(user))
+        throw new BadRequestError("Two-factor authentication is already enabled.", { code: "TWO_FACTOR_ALREADY_ENABLED" });
+
+    if (!user.twoFactorSecret)
+        throw new BadRequestError("Start two-factor setup first.", { code: "TWO_FACTOR_SETUP_REQUIRED" });
+
+    if (!(await verifySecondFactor(user, code)))
+        throw new BadRequestError("Invalid code.", { code: "INVALID_CODE" });
+
+    const { codes, hashes } = generateBackupCodes();
+
+    await db.user.update({
+        where: { id: user.id },
+        data: { twoFactorEnabledAt: new Date(), twoFactorBackupCodes: hashes },
+    });
+
+    res.status(200).json({ backupCodes: codes });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/backup-codes:
+ *   post:
+ *     summary: Replace all backup codes with a new set
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CodeRequest'
+ *     responses:
+ *       200:
+ *         description: New backup codes, shown once
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BackupCodes'
+ *       400:
+ *         description: Two-factor authentication not enabled, or wrong code
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/2fa/backup-codes", verifyToken, validate({ body: schemas.CodeRequest }), asyncHandler(async (req, res) => {
+    const user = req.user;
+    const { code } = req.body;
+
+    if (!isTwoFactorEnabled(user))
+        throw new BadRequestError("Two-factor authentication is not enabled.", { code: "TWO_FACTOR_NOT_ENABLED" });
+
+    if (!(await verifySecondFactor(user, code)))
+        throw new BadRequestError("Invalid code.", { code: "INVALID_CODE" });
+
+    const { codes, hashes } = generateBackupCodes();
+
+    await db.user.update({
+        where: { id: user.id },
+        data: { twoFactorBackupCodes: hashes },
+    });
+
+    res.status(200).json({ backupCodes: codes });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorDisableRequest'
+ *     responses:
+ *       204:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Two-factor authentication not enabled
+ *       401:
+ *         description: Wrong password or code
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/2fa/disable", verifyToken, validate({ body: schemas.TwoFactorDisableRequest }), asyncHandler(async (req, res) => {
+    const user = req.user;
+    const { password, code } = req.body;
+
+    if (!isTwoFactorEnabled(user))
+        throw new BadRequestError("Two-factor authentication is not enabled.", { code: "TWO_FACTOR_NOT_ENABLED" });
+
+    const isMatch = !!password && await bcrypt.compare(password, user.password);
+    if (!isMatch || !(await verifySecondFactor(user, code)))
+        throw new UnauthorizedError("Invalid credentials.", { code: "INVALID_CREDENTIALS" });
+
+    await clearTwoFactor(user.id);
+
+    res.status(204).send();
+}));
 
 export default router;
@@ -3,12 +3,51 @@ import express from 'express';
 import { db } from '../lib/database.js';
 // import jwt from 'jsonwebtoken'
 import { verifyToken } from '../lib/auth.js'
+import { requireRole, requireOwnership } from '../lib/authorization.js'
+import { verifyDeviceKeyOrToken } from '../lib/device-keys.js'
 import { getOrCreateFuzzyLocation } from '../lib/helpers/coordinates.js';
-import { UserRole, AlertType, AlertMechanism, ContactTypeEnum } from '@prisma/client';
-import { sendEmail } from '../lib/notifications.js'
+import { UserRole, AlertStatus } from '@prisma/client';
+import { serializeConnectivityLog, serializeAlert } from '../lib/serializers.js'
+import { validate } from '../lib/validation.js'
+import { schemas } from '../lib/schemas.js'
+import { asyncHandler } from '../lib/error-handler.js'
+import { findPage, connectivityLogFilter } from '../lib/pagination.js'
+import { markOnline } from '../lib/device-monitor.js'
+import { recordBattery, batteryFields } from '../lib/battery.js'
+import { recordLatency, latencyFields } from '../lib/latency.js'
+import { recordSignal } from '../lib/low-signal.js'
+import { DEVICE_HEARTBEAT_INTERVAL_MINUTES } from '../lib/constants/config.js'
+import { BadRequestError, ForbiddenError, NotFoundError, UnauthorizedError } from '../lib/errors.js'
 
 const router = express.Router();
 
+// Connectivity logs are owned through the device they were reported by
+const requireLogOwner = requireOwnership('connectivityInfo', 'id', {
+    include: { location: true, device: true, mobileNetworkInfo: true },
+    owner: (log) => log.device?.userId,
+});
+
+/**
+ * Runs one telemetry recorder of a report. Signal, battery and latency keep
+ * separate state, so one failing must not skip the others or fail a report
+ * that is already stored; it is logged and the device's last state returned.
+ *
+ * @param {string} name for the log
+ * @param {() => Promise<object>} record
+ * @param {object} fallback returned when `record` fails
+ */
+async function recordTelemetry(name, record, fallback) {
+    try {
+        return await record();
+    } catch (error) {
+        console.error(`Recording ${name} telemetry failed:`, error);
+        return fallback;
+    }
+}
+
+const batteryFallback = (device) => ({ low: Boolean(device.batteryLowSince), alert: null });
+const latencyFallback = (device) => ({ degraded: Boolean(device.highLatencySince), alert: null });
+
 /**
  * @swagger
  * /api/connectivity:
@@ -22,62 +61,7 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - connectivityType
- *               - deviceId
- *             properties:
- *               connectivityType:
- *                 type: string
- *                 example: wifi
- *               deviceId:
- *                 type: string
- *                 example: 665a7cc0cf8a973db4fcce4c
- *               isConnected:
- *                 type: boolean
- *                 example: true
- *               ipAddress:
- *                 type: string
- *                 example: 192.168.0.105
- *               wifiName:
- *                 type: string
- *                 example: HomeNetwork
- *               wifiBSSID:
- *                 type: string
- *                 example: 00:1A:2B:3C:4D:5E
- *               location:
- *                 type: object
- *                 properties:
- *                   latitude:
- *                     type: number
- *                     example: 30.0444196
- *                   longitude:
- *                     type: number
- *                     example: 31.2357116
- *                   accuracy:
- *                     type: number
- *                     example: 10
- *               mobileNetworkInfo:
- *                 type: object
- *                 properties:
- *                   carrier:
- *                     type: string
- *                     example: Vodafone
- *                   networkType:
- *                     type: string
- *                     example: 4G
- *                   signalLevel:
- *                     type: integer
- *                     example: 3
- *                   signalDbm:
- *                     type: integer
- *                     example: -85
- *                   mcc:
- *                     type: string
- *                     example: "602"
- *                   mnc:
- *                     type: string
- *                     example: "01"
+ *             $ref: '#/components/schemas/ConnectivityLogInput'
  *     responses:
  *       201:
  *         description: Connectivity log created successfully
@@ -85,110 +69,198 @@ const router = express.Router();
  *         description: Missing or invalid data
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Device belongs to another user
  *       500:
  *         description: Internal server error
  */
 
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, validate({ body: schemas.ConnectivityLogInput }), asyncHandler(async (req, res) => {
     const user = req.user;
 
     if (!user) {
-        return res.status(401).json({ message: 'Unauthorized' });
+        throw new UnauthorizedError('Unauthorized');
     }
 
     const { connectivityType, deviceId, location, mobileNetworkInfo, ...rest } = req.body;
 
-    if (!connectivityType) {
-        res.status(400).json({ message: "connectivityType is missing" });
-    }
+    const device = await db.deviceInfo.findUnique({
+        where: {
+            id: deviceId
+        }
+    })
 
-    if (!deviceId) {
-        res.status(400).json({ message: "deviceId is missing" });
+    if (!device) {
+        throw new BadRequestError("device not found", { code: "DEVICE_NOT_FOUND" });
     }
 
-    try {
-
-        const device = await db.deviceInfo.findUnique({
-            where: {
-                id: deviceId
-            }
-        })
+    if (device.userId !== user.id && user.role !== UserRole.ADMIN) {
+        throw new ForbiddenError('Forbidden');
+    }
 
-        if (!device) {
-            res.status(400).json({ message: "device not found" });
-        }
+    // Step 1: Find or create location using fuzzy match
+    let locationRecord = null;
+    if (location?.latitude && location?.longitude) {
+        locationRecord = await getOrCreateFuzzyLocation(
+            location.latitude,
+            location.longitude,
+            location.accuracy
+        );
+    }
 
-        // Step 1: Find or create location using fuzzy match
-        let locationRecord = null;
-        if (location?.latitude && location?.longitude) {
-            locationRecord = await getOrCreateFuzzyLocation(
-                location.latitude,
-                location.longitude,
-                location.accuracy
-            );
-        }
+    // Step 2: Create mobile network info if provided
+    let mobileNetworkInfoRecord = null;
+    if (mobileNetworkInfo) {
+        mobileNetworkInfoRecord = await db.mobileNetworkInfo.create({
+            data: mobileNetworkInfo,
+        });
+    }
 
-        // Step 2: Create mobile network info if provided
-        let mobileNetworkInfoRecord = null;
-        if (mobileNetworkInfo) {
-            mobileNetworkInfoRecord = await db.mobileNetworkInfo.create({
-                data: mobileNetworkInfo,
-            });
+    // Step 3: Create connectivity log
+    const log = await db.connectivityInfo.create({
+        data: {
+            deviceId,
+            connectivityType,
+            isConnected: true,
+            locationId: locationRecord?.id,
+            mobileNetworkInfoId: mobileNetworkInfoRecord?.id,
+            ...rest
+        },
+        include: {
+            device: true,
+            mobileNetworkInfo: true,
+            location: true
         }
+    });
 
-        // Step 3: Create connectivity log
-        const log = await db.connectivityInfo.create({
-            data: {
-                deviceId,
-                connectivityType,
-                isConnected: true,
-                locationId: locationRecord?.id,
-                mobileNetworkInfoId: mobileNetworkInfoRecord?.id,
-                ...rest
-            },
-            include: {
-                device: true,
-                mobileNetworkInfo: true,
-                location: true
-            }
-        });
+    await recordTelemetry('battery', () => recordBattery(device, batteryFields(rest), { at: log.timestamp }), batteryFallback(device));
+    await recordTelemetry('latency', () => recordLatency(device, latencyFields(rest), { at: log.timestamp }), latencyFallback(device));
 
-        res.status(201).json(log);
-    } catch (e) {
-        res.status(500).json({ message: e.message });
-    }
-});
+    res.status(201).json(serializeConnectivityLog(log));
+}));
 
 /**
  * @swagger
  * /api/connectivity:
  *   get:
- *     summary: Get all connectivity logs
+ *     summary: List connectivity logs, newest first (Admin only)
  *     tags: [Connectivity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [timestamp, -timestamp]
+ *           default: -timestamp
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Owner of the device
+ *       - in: query
+ *         name: connectivityType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isConnected
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: carrier
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: networkType
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: A list of connectivity logs
+ *         description: A page of connectivity logs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ConnectivityLog'
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Forbidden (not admin)
  *       500:
  *         description: Internal server error
  */
 
-router.get('/', async (req, res) => {
-    try {
-        const connectivityLogs = await db.connectivityInfo.findMany({
-            include: { location: true, device: true, mobileNetworkInfo: true },
-        });
-        res.json(connectivityLogs);
-    } catch (e) {
-        res.status(500).json({ message: e.message });
-    }
+router.get('/', verifyToken, requireRole(UserRole.ADMIN), validate({ query: schemas.ConnectivityLogListQuery }), asyncHandler(async (req, res) => {
+    res.json(await findPage(db.connectivityInfo, req.query, {
+        where: connectivityLogFilter(req.query),
+        include: { location: true, device: true, mobileNetworkInfo: true },
+        serialize: serializeConnectivityLog,
+    }));
+}));
+
+/**
+ * @swagger
+ * /api/connectivity/echo:
+ *   get:
+ *     summary: Answer a latency probe
+ *     description: >
+ *       Replies immediately, without authentication or database access, so
+ *       the client can time the round trip and report it as latencyMs (and
+ *       jitterMs, packetLossPercent over several probes) with its next ping.
+ *     tags: [Connectivity]
+ *     parameters:
+ *       - in: query
+ *         name: nonce
+ *         schema:
+ *           type: string
+ *           maxLength: 64
+ *         description: Returned as is, to match replies to probes
+ *     responses:
+ *       200:
+ *         description: Echo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 nonce:
+ *                   type: string
+ *                 serverTime:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid nonce
+ */
+
+// Declared before /:id, which would otherwise take "echo" for a log id
+router.get('/echo', validate({ query: schemas.EchoQuery }), (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ nonce: req.query.nonce ?? null, serverTime: new Date() });
 });
 
 /**
  * @swagger
  * /api/connectivity/{id}:
  *   get:
- *     summary: Get a connectivity log by ID
+ *     summary: Get a connectivity log by ID (device owner or Admin)
  *     tags: [Connectivity]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -199,24 +271,17 @@ router.get('/', async (req, res) => {
  *     responses:
  *       200:
  *         description: Connectivity log details
+ *       403:
+ *         description: Forbidden (not device owner or admin)
  *       404:
  *         description: Not found
  *       500:
  *         description: Internal server error
  */
 
-router.get('/:id', async (req, res) => {
-    try {
-        const connectivity = await db.connectivityInfo.findUnique({
-            where: { id: req.params.id },
-            include: { location: true, device: true, mobileNetworkInfo: true },
-        });
-        if (!connectivity) return res.status(404).json({ message: 'Connectivity log not found' });
-        res.json(connectivity);
-    } catch (e) {
-        res.status(500).json({ message: e.message });
-    }
-});
+router.get('/:id', verifyToken, requireLogOwner, asyncHandler(async (req, res) => {
+    res.json(serializeConnectivityLog(req.resource));
+}));
 
 /**
  * @swagger
@@ -239,54 +304,32 @@ router.get('/:id', async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             example:
- *               connectivityType: mobile
- *               isConnected: false
+ *             $ref: '#/components/schemas/ConnectivityLogUpdate'
  *     responses:
  *       200:
  *         description: Connectivity log updated
- *       401:
- *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not device owner or admin)
+ *       404:
+ *         description: Connectivity log not found
  *       400:
  *         description: Invalid input
  */
 
-router.put('/:id', verifyToken, async (req, res) => {
-
-    const user = req.user;
-    const { id } = req.params;
-
-    try {
-        const log = await db.connectivity.findFirst({
-            where: {
-                id,
-                device: {
-                    userId: user.id
-                }
-            }
-        })
-
-        if (!log || (log.device.userId !== user.id && user.role !== UserRole.ADMIN)) {
-            return res.status(401).json({ message: 'Unauthorized' });
+router.put('/:id', verifyToken, requireLogOwner, validate({ body: schemas.ConnectivityLogUpdate }), asyncHandler(async (req, res) => {
+    const connectivity = await db.connectivityInfo.update({
+        where: {
+            id: req.params.id,
+        },
+        data: req.body,
+        include: {
+            location: true,
+            device: true,
+            mobileNetworkInfo: true
         }
-
-        const connectivity = await db.connectivityInfo.update({
-            where: {
-                id: req.params.id,
-            },
-            data: req.body,
-            include: {
-                location: true,
-                device: true,
-                mobileNetworkInfo: true
-            }
-        });
-        res.json(connectivity);
-    } catch (e) {
-        res.status(400).json({ message: e.message });
-    }
-});
+    });
+    res.json(serializeConnectivityLog(connectivity));
+}));
 
 /**
  * @swagger
@@ -306,75 +349,45 @@ router.put('/:id', verifyToken, async (req, res) => {
  *     responses:
  *       200:
  *         description: Connectivity log deleted
- *       401:
- *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not device owner or admin)
+ *       404:
+ *         description: Connectivity log not found
  *       400:
  *         description: Deletion failed
  */
 
-router.delete('/:id', verifyToken, async (req, res) => {
-
-    const user = req.user;
-
-    const log = await db.connectivity.findFirst({
-        where: {
-            id,
-            device: {
-                userId: user.id
-            }
-        }
-    })
-
-    if (!log || (log.device.userId !== user.id && user.role !== UserRole.ADMIN)) {
-        return res.status(401).json({ message: 'Unauthorized' });
-    }
-
-    try {
-        await db.connectivityInfo.delete({ where: { id: req.params.id } });
-        res.json({ message: 'Connectivity log deleted' });
-    } catch (e) {
-        res.status(400).json({ message: e.message });
-    }
-});
+router.delete('/:id', verifyToken, requireLogOwner, asyncHandler(async (req, res) => {
+    await db.connectivityInfo.delete({ where: { id: req.params.id } });
+    res.json({ message: req.t('messages.connectivityLogDeleted') });
+}));
 
 /**
  * @swagger
  * /api/connectivity/ping:
  *   post:
  *     summary: Ping a device and optionally trigger alert if mobile signal is weak
+ *     description: >
+ *       Pings are the device's heartbeat and are expected every
+ *       DEVICE_HEARTBEAT_INTERVAL_MINUTES (5 by default). After three missed
+ *       heartbeats the device is marked offline and a DEVICE_DISCONNECT alert
+ *       is raised through the user's alert mode; the next ping resolves it.
+ *       The signal is weak at or below the user's threshold for the network
+ *       type and carrier, see /api/users/{userId}/signal-thresholds. By
+ *       default a LOW_SIGNAL alert is raised after 3 weak pings in a row
+ *       spanning at least 5 minutes, once per episode: it is resolved when the
+ *       signal clears the threshold by 5 dBm (or one level), and no new one
+ *       follows for an hour.
  *     tags: [Connectivity]
  *     security:
  *       - bearerAuth: []
+ *       - deviceKey: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - deviceId
- *             properties:
- *               deviceId:
- *                 type: string
- *                 example: "665a7cc0cf8a973db4fcce4c"
- *               signalDbm:
- *                 type: integer
- *                 example: -105
- *               signalLevel:
- *                 type: integer
- *                 example: 1
- *               carrier:
- *                 type: string
- *                 example: "Vodafone"
- *               networkType:
- *                 type: string
- *                 example: "4G"
- *               mcc:
- *                 type: string
- *                 example: "602"
- *               mnc:
- *                 type: string
- *                 example: "01"
+ *             $ref: '#/components/schemas/PingRequest'
  *     responses:
  *       200:
  *         description: Ping processed
@@ -396,7 +409,21 @@ router.delete('/:id', verifyToken, async (req, res) => {
  *                   example: Low signal detected
  *                 pendingAlert:
  *                   type: object
- *                   description: Returned only for manual alert mechanism
+ *                   description: The LOW_SIGNAL alert raised by this ping, when it awaits confirmation
+ *                 batteryWarning:
+ *                   type: string
+ *                   example: Battery low
+ *                   description: While the battery is at or below the user's batteryLowThreshold and not charging
+ *                 pendingBatteryAlert:
+ *                   type: object
+ *                   description: The BATTERY_LOW alert raised by this ping, when it awaits confirmation
+ *                 latencyWarning:
+ *                   type: string
+ *                   example: Connection quality is poor
+ *                   description: While a HIGH_LATENCY alert is in effect
+ *                 pendingLatencyAlert:
+ *                   type: object
+ *                   description: The HIGH_LATENCY alert raised by this ping, when it awaits confirmation
  *       400:
  *         description: Missing required data
  *       401:
@@ -409,22 +436,35 @@ router.delete('/:id', verifyToken, async (req, res) => {
 
 /**
  * Ping a device to update lastPinged and evaluate mobile network status.
- * If mobile signal is weak (signalDbm ≤ -100 or signalLevel ≤ 1),
- * creates a ConnectivityInfo record and triggers alert based on user's AlertMode.
+ * Pings are the device's heartbeat: a device marked offline by the heartbeat
+ * monitor is online again and its DEVICE_DISCONNECT alert is resolved.
+ * Battery fields are stored and may raise a BATTERY_LOW alert, see lib/battery.js,
+ * latency fields likewise a HIGH_LATENCY alert, see lib/latency.js.
+ * Signal readings are judged by the user's threshold for the network type and
+ * carrier (lib/signal-thresholds.js) and fed to the device's low signal state
+ * machine (lib/low-signal.js): only a sustained weak signal raises a LOW_SIGNAL
+ * alert through the user's AlertMode, stored with the ConnectivityInfo of
+ * the reading that raised it.
  *
  * @route POST /api/connectivity/ping
- * @access Private (requires bearer token)
- * @param {string} deviceId - ID of the device
+ * @access Private (requires bearer token or the device's API key)
+ * @param {string} deviceId - ID of the device, defaults to the API key's device
  * @param {number} [signalDbm] - Signal strength in dBm
  * @param {number} [signalLevel] - Signal level (0–4)
  * @param {string} [carrier] - Network carrier name
  * @param {string} [networkType] - Network type (e.g., "4G", "5G")
  * @param {string} [mcc] - Mobile Country Code
  * @param {string} [mnc] - Mobile Network Code
+ * @param {number} [batteryLevel] - Battery percent (0–100)
+ * @param {boolean} [isCharging] - Whether the device is charging
+ * @param {boolean} [powerSaveMode] - Whether power saving is on
+ * @param {number} [latencyMs] - Round trip time, e.g. timed against /api/connectivity/echo
+ * @param {number} [jitterMs] - Variation of the round trip time
+ * @param {number} [packetLossPercent] - Share of lost probes (0–100)
  * @returns {object} 200 - Status, lastPinged, warning, and alert (if any)
  */
 
-router.post('/ping', verifyToken, async (req, res) => {
+router.post('/ping', verifyDeviceKeyOrToken, validate({ body: schemas.PingRequest }), asyncHandler(async (req, res) => {
     const user = req.user;
     const {
         deviceId,
@@ -437,115 +477,61 @@ router.post('/ping', verifyToken, async (req, res) => {
     } = req.body;
 
     if (!deviceId) {
-        return res.status(400).json({ message: 'deviceId is required' });
+        throw new BadRequestError('deviceId is required');
     }
 
-    try {
-        const device = await db.deviceInfo.findFirst({
-            where: { id: deviceId, userId: user.id },
-        });
-
-        if (!device) {
-            return res.status(404).json({ message: 'Device not found or not owned by user' });
-        }
+    const device = await db.deviceInfo.findFirst({
+        where: { id: deviceId, userId: user.id },
+    });
 
-        const now = new Date();
-        const MINUTES = 5;
-
-        const shouldUpdate =
-            !device.lastPinged || (now - new Date(device.lastPinged)) > MINUTES * 60 * 1000;
+    if (!device) {
+        throw new NotFoundError('Device not found or not owned by user', { code: 'DEVICE_NOT_FOUND' });
+    }
 
-        if (shouldUpdate) {
-            await db.deviceInfo.update({
-                where: { id: device.id },
-                data: { lastPinged: now },
-            });
-        }
+    const now = new Date();
+    // Written at most every half heartbeat, so it never lags a whole heartbeat behind the monitor
+    const HALF_HEARTBEAT_MS = DEVICE_HEARTBEAT_INTERVAL_MINUTES * 60 * 1000 / 2;
 
-        // Check signal strength
-        const parsedDbm = parseInt(signalDbm);
-        const parsedLevel = parseInt(signalLevel);
-        const isLowSignal =
-            (!isNaN(parsedDbm) && parsedDbm <= -100) ||
-            (!isNaN(parsedLevel) && parsedLevel <= 1);
-
-        let pendingAlert = null;
-
-        if (isLowSignal) {
-            const mobileNetworkInfo = await db.mobileNetworkInfo.create({
-                data: {
-                    carrier,
-                    networkType,
-                    signalDbm: parsedDbm,
-                    signalLevel: parsedLevel,
-                    mcc,
-                    mnc,
-                },
-            });
-
-            const connectivityLog = await db.connectivityInfo.create({
-                data: {
-                    deviceId: device.id,
-                    connectivityType: 'mobile',
-                    isConnected: false,
-                    mobileNetworkInfoId: mobileNetworkInfo.id,
-                },
-            });
-
-            const userWithAlert = await db.user.findUnique({
-                where: { id: user.id },
-                include: { alertMode: true },
-            });
-
-            const mechanism = userWithAlert?.alertMode?.key;
-
-            if (mechanism === AlertMechanism.auto_alert) {
-                console.log(`AUTO ALERT: Triggering action`);
-                // await sendSms(user.phone, `Low signal detected on your device`);
-
-                const userEmergencyContacts = await db.contact.findMany({
-                    where: {
-                        userId: user.id,
-                        type: ContactTypeEnum.EMERGENCY
-                    }
-                })
-
-                if (userEmergencyContacts.length > 0) {
-                    await sendEmail(userEmergencyContacts[0].email, 'Low Signal Alert', 'Your device has low signal.');
-                } else {
-                    await sendEmail(user.email, 'Low Signal Alert', 'Your device has low signal.');
-                }
-            } else if (mechanism === AlertMechanism.manual_alert) {
-                console.log(`MANUAL ALERT: Saving alert for confirmation`);
-                pendingAlert = await db.alert.create({
-                    data: {
-                        userId: user.id,
-                        deviceId: device.id,
-                        connectivityInfoId: connectivityLog.id,
-                        type: AlertType.LOW_SIGNAL,
-                        message: `Low signal detected on your device`,
-                        mechanism: AlertMechanism.manual_alert,
-                        // status: AlertStatus.PENDING,
-                    },
-                });
-            } else {
-                console.log(`UNKNOWN MECHANISM: No alert triggered`);
-            }
-        }
+    const shouldUpdate =
+        !device.lastPinged || (now - new Date(device.lastPinged)) > HALF_HEARTBEAT_MS;
 
-        return res.status(200).json({
-            status: 'connected',
-            deviceId: device.id,
-            lastPinged: shouldUpdate ? now : device.lastPinged,
-            ...(isLowSignal && { warning: 'Low signal detected' }),
-            ...(pendingAlert && { pendingAlert })
+    if (shouldUpdate) {
+        await db.deviceInfo.update({
+            where: { id: device.id },
+            data: { lastPinged: now },
         });
+    }
 
-    } catch (error) {
-        console.error(error);
-        return res.status(500).json({ message: 'Server error', error: error.message });
+    if (device.offlineSince) {
+        await markOnline(device, now);
     }
-});
+
+    const signal = await recordTelemetry('signal', () => recordSignal(device, { signalDbm, signalLevel, carrier, networkType, mcc, mnc }, {
+        at: now,
+        logFields: { ...batteryFields(req.body), ...latencyFields(req.body) },
+    }), { low: false, alert: null });
+    const pendingAlert = signal.alert?.status === AlertStatus.PENDING ? signal.alert : null;
+
+    const battery = await recordTelemetry('battery', () => recordBattery(device, batteryFields(req.body), {
+        at: now,
+        weakSignal: signal.low,
+    }), batteryFallback(device));
+    const pendingBatteryAlert = battery.alert?.status === AlertStatus.PENDING ? battery.alert : null;
+    const latency = await recordTelemetry('latency', () => recordLatency(device, latencyFields(req.body), { at: now }), latencyFallback(device));
+    const pendingLatencyAlert = latency.alert?.status === AlertStatus.PENDING ? latency.alert : null;
+
+    return res.status(200).json({
+        status: 'connected',
+        deviceId: device.id,
+        lastPinged: shouldUpdate ? now : device.lastPinged,
+        ...(signal.low && { warning: req.t('messages.lowSignalWarning') }),
+        ...(pendingAlert && { pendingAlert: serializeAlert(pendingAlert) }),
+        ...(battery.low && { batteryWarning: req.t('messages.batteryLowWarning') }),
+        ...(pendingBatteryAlert && { pendingBatteryAlert: serializeAlert(pendingBatteryAlert) }),
+        ...(latency.degraded && { latencyWarning: req.t('messages.highLatencyWarning') }),
+        ...(pendingLatencyAlert && { pendingLatencyAlert: serializeAlert(pendingLatencyAlert) })
+    });
+}));
 
 
 /**
@@ -556,54 +542,13 @@ router.post('/ping', verifyToken, async (req, res) => {
  *     tags: [Connectivity]
  *     security:
  *       - bearerAuth: []
+ *       - deviceKey: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - deviceId
- *             properties:
- *               deviceId:
- *                 type: string
- *               location:
- *                 type: object
- *                 properties:
- *                   latitude:
- *                     type: number
- *                   longitude:
- *                     type: number
- *                   accuracy:
- *                     type: number
- *               mobileNetworkInfo:
- *                 type: object
- *                 properties:
- *                   carrier:
- *                     type: string
- *                   networkType:
- *                     type: string
- *                   signalLevel:
- *                     type: integer
- *                   signalDbm:
- *                     type: integer
- *                   mcc:
- *                     type: string
- *                   mnc:
- *                     type: string
- *           example:
- *             deviceId: "665a7cc0cf8a973db4fcce4c"
- *             location:
- *               latitude: 30.044196
- *               longitude: 31.2357116
- *               accuracy: 10
- *             mobileNetworkInfo:
- *               carrier: "Vodafone"
- *               networkType: "4G"
- *               signalLevel: 2
- *               signalDbm: -90
- *               mcc: "602"
- *               mnc: "01"
+ *             $ref: '#/components/schemas/DisconnectRequest'
  *     responses:
  *       201:
  *         description: Disconnection logged
@@ -615,62 +560,59 @@ router.post('/ping', verifyToken, async (req, res) => {
  *         description: Server error
  */
 
-router.post('/disconnect', verifyToken, async (req, res) => {
+router.post('/disconnect', verifyDeviceKeyOrToken, validate({ body: schemas.DisconnectRequest }), asyncHandler(async (req, res) => {
     const user = req.user;
     const { deviceId, location, mobileNetworkInfo, ...rest } = req.body;
 
     if (!deviceId) {
-        return res.status(400).json({ message: 'deviceId is required' });
+        throw new BadRequestError('deviceId is required');
     }
 
-    try {
-        const device = await db.deviceInfo.findFirst({
-            where: {
-                id: deviceId,
-                userId: user.id,
-            },
-        });
-
-        if (!device) {
-            return res.status(404).json({ message: 'Device not found or not owned by user' });
-        }
+    const device = await db.deviceInfo.findFirst({
+        where: {
+            id: deviceId,
+            userId: user.id,
+        },
+    });
 
-        // Step 1: Find or create fuzzy location (optional)
-        let locationRecord = null;
-        if (location?.latitude && location?.longitude) {
-            locationRecord = await getOrCreateFuzzyLocation(
-                location.latitude,
-                location.longitude,
-                location.accuracy
-            );
-        }
+    if (!device) {
+        throw new NotFoundError('Device not found or not owned by user', { code: 'DEVICE_NOT_FOUND' });
+    }
 
-        // Step 2: Save mobile network info (optional)
-        let mobileNetworkInfoRecord = null;
-        if (mobileNetworkInfo) {
-            mobileNetworkInfoRecord = await db.mobileNetworkInfo.create({
-                data: mobileNetworkInfo,
-            });
-        }
+    // Step 1: Find or create fuzzy location (optional)
+    let locationRecord = null;
+    if (location?.latitude && location?.longitude) {
+        locationRecord = await getOrCreateFuzzyLocation(
+            location.latitude,
+            location.longitude,
+            location.accuracy
+        );
+    }
 
-        // Step 3: Create connectivity log with isConnected: false
-        const disconnectLog = await db.connectivityInfo.create({
-            data: {
-                deviceId,
-                connectivityType: 'none', // or retain previous if sent
-                isConnected: false,
-                locationId: locationRecord?.id,
-                mobileNetworkInfoId: mobileNetworkInfoRecord?.id,
-                ...rest,
-            },
+    // Step 2: Save mobile network info (optional)
+    let mobileNetworkInfoRecord = null;
+    if (mobileNetworkInfo) {
+        mobileNetworkInfoRecord = await db.mobileNetworkInfo.create({
+            data: mobileNetworkInfo,
         });
-
-        res.status(201).json(disconnectLog);
-    } catch (e) {
-        console.error(e);
-        res.status(500).json({ message: e.message });
     }
-});
+
+    // Step 3: Create connectivity log with isConnected: false
+    const disconnectLog = await db.connectivityInfo.create({
+        data: {
+            deviceId,
+            connectivityType: 'none', // or retain previous if sent
+            isConnected: false,
+            locationId: locationRecord?.id,
+            mobileNetworkInfoId: mobileNetworkInfoRecord?.id,
+            ...rest,
+        },
+    });
+
+    await recordTelemetry('battery', () => recordBattery(device, batteryFields(rest), { at: disconnectLog.timestamp }), batteryFallback(device));
+
+    res.status(201).json(serializeConnectivityLog(disconnectLog));
+}));
 
 
 
@@ -3,7 +3,17 @@ import express from 'express';
 import { db } from '../lib/database.js';
 // import jwt from 'jsonwebtoken'
 import { verifyToken } from '../lib/auth.js'
-import { ContactTypeEnum } from '@prisma/client'
+import { requireRole, requireOwnership } from '../lib/authorization.js'
+import { ContactTypeEnum, UserRole } from '@prisma/client'
+import { serializeContact } from '../lib/serializers.js'
+import { validate } from '../lib/validation.js'
+import { schemas } from '../lib/schemas.js'
+import { asyncHandler } from '../lib/error-handler.js'
+import { findPage, contactFilter } from '../lib/pagination.js'
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError, TooManyRequestsError, UnauthorizedError } from '../lib/errors.js'
+import { VERIFICATION_CHANNELS, contactVerificationPurpose, sendContactVerificationCode, confirmContactVerificationCode } from '../lib/verification.js'
+import { isResendThrottled } from '../lib/one-time-codes.js'
+import { ONE_TIME_CODE_RESEND_SECONDS } from '../lib/constants/config.js'
 
 const router = express.Router();
 
@@ -20,25 +30,7 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - phone
- *               - email
- *             properties:
- *               phone:
- *                 type: string
- *                 example: "+201234567890"
- *               email:
- *                 type: string
- *                 example: "contact@example.com"
- *               contactName:
- *                 type: string
- *                 example: "Ahmed Ali"
- *               userId:
- *                 type: string
- *               type:
- *                 type: string
- *                 enum: [EMERGENCY, FAVORITE]
+ *             $ref: '#/components/schemas/ContactInput'
  *     responses:
  *       201:
  *         description: Contact created successfully
@@ -47,16 +39,18 @@ const router = express.Router();
  *       401:
  *         description: Unauthorized
  *       403:
+ *         description: userId of another user given by a non-admin
+ *       409:
  *         description: Contact already exists
  *       500:
  *         description: Server error
  */
 
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, validate({ body: schemas.ContactInput }), asyncHandler(async (req, res) => {
   const user = req.user;
 
   if (!user) {
-    return res.status(401).json({ message: 'Unauthorized' });
+    throw new UnauthorizedError('Unauthorized');
   }
 
   const {
@@ -67,92 +61,118 @@ router.post('/', verifyToken, async (req, res) => {
     type = ContactTypeEnum.EMERGENCY
   } = req.body;
 
-  if (!phone) {
-    return res.status(400).json({ message: "phone is missing" });
+  // Only admins may create contacts on behalf of another user
+  if (userId && userId !== user.id && user.role !== UserRole.ADMIN) {
+    throw new ForbiddenError('Forbidden');
   }
 
-  if (!email) {
-    return res.status(400).json({ message: "email is missing" });
-  }
 
-  try {
+  const userContact = await db.contact.findFirst({
+    where: {
+      userId: userId ?? user.id,
+      phone,
+      email,
+      type
+    }
+  })
 
-    const userContact = await db.contact.findFirst({
-      where: {
-        userId: userId ?? user.id,
-        phone,
-        email,
-        type
-      }
-    })
+  if (userContact) {
+    throw new ConflictError("user contact is already exists !!", { code: "CONTACT_EXISTS" });
+  }
 
-    if (userContact) {
-      return res.status(403).json({ message: "user contact is already exists !!" });
+  const contactUser = await db.user.findFirst({
+    where: {
+      id: userId ?? user.id,
     }
+  })
 
-    const contactUser = await db.user.findFirst({
-      where: {
-        id: userId ?? user.id,
-      }
-    })
+  if (!contactUser) {
+    throw new NotFoundError("user not found!!", { code: "USER_NOT_FOUND" });
+  }
 
-    if (!contactUser) {
-      return res.status(404).json({ message: "user not found!!" });
+  const contact = await db.contact.create({
+    data: {
+      phone,
+      email,
+      type,
+      contactName,
+      user: { connect: { id: contactUser.id } },
     }
+  });
 
-    const contact = await db.contact.create({
-      data: {
-        phone,
-        email,
-        type,
-        contactName,
-        user: { connect: { id: contactUser.id } },
+  // Alerts only go to addresses the contact has confirmed
+  if (contact.type === ContactTypeEnum.EMERGENCY) {
+    for (const channel of VERIFICATION_CHANNELS) {
+      try {
+        await sendContactVerificationCode(contactUser, contact, channel, { language: req.language });
+      } catch (error) {
+        console.error(`Sending contact ${channel} verification failed:`, error.message);
       }
-    });
-
-    res.status(201).json(contact);
-  } catch (e) {
-    console.error('Contact creation error:', e);
-    res.status(500).json({ error: e.message });
+    }
   }
-});
+
+  res.status(201).json(serializeContact(contact));
+}));
 
 /**
  * @swagger
  * /api/contacts:
  *   get:
- *     summary: Get all user contacts (Admin only)
+ *     summary: List the contacts of all users, newest first (Admin only)
  *     tags: [Contacts]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, updatedAt, -updatedAt, email, -email]
+ *           default: -createdAt
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [EMERGENCY, FAVORITE]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: List of all user contacts
- *       401:
- *         description: Unauthorized
+ *         description: A page of contacts with their users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Contact'
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Forbidden (not admin)
  *       500:
  *         description: Server error
  */
 
-router.get('/', verifyToken, async (req, res) => {
-
-  const user = req.user;
-
-  if (user.role !== 'ADMIN') {
-    return res.status(401).json({ message: 'Unauthorized' });
-  }
-
-  try {
-    const contacts = await db.contact.findMany({
-      include: {
-        user: true
-      }
-    });
-    res.json(contacts);
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
+router.get('/', verifyToken, requireRole(UserRole.ADMIN), validate({ query: schemas.ContactListQuery }), asyncHandler(async (req, res) => {
+  res.json(await findPage(db.contact, req.query, {
+    where: contactFilter(req.query),
+    include: {
+      user: true
+    },
+    serialize: serializeContact,
+  }));
+}));
 
 /**
  * @swagger
@@ -171,25 +191,21 @@ router.get('/', verifyToken, async (req, res) => {
  *         description: Server error
  */
 
-router.get('/user-contacts', verifyToken, async (req, res) => {
+router.get('/user-contacts', verifyToken, asyncHandler(async (req, res) => {
 
   const user = req.user;
 
   if (!user) {
-    return res.status(401).json({ message: 'Unauthorized' });
+    throw new UnauthorizedError('Unauthorized');
   }
 
-  try {
-    const contacts = await db.contact.findMany({
-      where: {
-        userId: user.id
-      }
-    });
-    res.json(contacts);
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
+  const contacts = await db.contact.findMany({
+    where: {
+      userId: user.id
+    }
+  });
+  res.json(contacts.map(serializeContact));
+}));
 
 /**
  * @swagger
@@ -208,37 +224,17 @@ router.get('/user-contacts', verifyToken, async (req, res) => {
  *     responses:
  *       200:
  *         description: Contact retrieved
- *       401:
- *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not owner or admin)
  *       404:
  *         description: Contact not found
  *       500:
  *         description: Server error
  */
 
-router.get('/:id', verifyToken, async (req, res) => {
-  const user = req.user;
-  const { id } = req.params;
-
-  try {
-
-    const existingContact = await db.contact.findFirst({
-      where: {
-        id,
-        userId: user.id,
-      },
-    });
-
-    if (!existingContact && user.role !== 'ADMIN') {
-      return res.status(401).json({ message: 'Unauthorized' });
-    }
-
-    if (!existingContact) return res.status(404).json({ error: 'Contact not found' });
-    res.json(existingContact);
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
+router.get('/:id', verifyToken, requireOwnership('contact', 'id'), asyncHandler(async (req, res) => {
+  res.json(serializeContact(req.resource));
+}));
 
 /**
  * @swagger
@@ -259,57 +255,153 @@ router.get('/:id', verifyToken, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             example:
- *               phone: "+201234567891"
- *               contactName: "Updated Name"
+ *             $ref: '#/components/schemas/ContactUpdate'
  *     responses:
  *       200:
  *         description: Contact updated
- *       401:
- *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not owner or admin)
  *       404:
  *         description: Contact not found
  *       500:
  *         description: Server error
  */
 
-router.patch('/:id', verifyToken, async (req, res) => {
-  const user = req.user;
-  const { id } = req.params;
-
-  const existingContact = await db.contact.findFirst({
-    where: {
-      id: id,
-      userId: user.id,
+router.patch('/:id', verifyToken, requireOwnership('contact', 'id'), validate({ body: schemas.ContactUpdate }), asyncHandler(async (req, res) => {
+  const existingContact = req.resource;
+
+  const updatedContact = await db.contact.update({
+    where: { id: existingContact.id },
+    data: {
+      ...req.body,
+      // A new address has to be verified again
+      ...(req.body.email !== undefined && req.body.email !== existingContact.email && { emailVerifiedAt: null }),
+      ...(req.body.phone !== undefined && req.body.phone !== existingContact.phone && { phoneVerifiedAt: null }),
+      updatedAt: new Date(),
     },
   });
 
-  if (!existingContact && user.role !== 'ADMIN') {
-    return res.status(401).json({ message: 'Unauthorized' });
-  }
+  res.json(serializeContact(updatedContact));
+}));
 
-  try {
 
-    if (!existingContact) {
-      return res.status(404).json({ message: 'Contact not found for this user' });
-    }
+/**
+ * @swagger
+ * /api/contacts/{id}/verify/{channel}/request:
+ *   post:
+ *     summary: Send a verification code to the contact's email or phone
+ *     description: >
+ *       Alerts only go to the addresses a contact has verified. Codes are sent
+ *       when an emergency contact is created; the contact gives the code to the
+ *       user, who confirms it at /api/contacts/{id}/verify/{channel}/confirm.
+ *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [email, phone]
+ *     responses:
+ *       200:
+ *         description: Verification code sent
+ *       400:
+ *         description: Address already verified
+ *       403:
+ *         description: Forbidden (not owner or admin)
+ *       404:
+ *         description: Contact not found, or unknown channel
+ *       429:
+ *         description: A code was sent too recently
+ *       500:
+ *         description: Server error
+ */
+
+router.post('/:id/verify/:channel/request', verifyToken, requireOwnership('contact', 'id'), asyncHandler(async (req, res) => {
+  const { channel } = req.params;
+  const contact = req.resource;
 
-    const updatedContact = await db.contact.update({
-      where: { id: existingContact.id },
-      data: {
-        ...req.body, // Accept any updatable field
-        updatedAt: new Date(),
-      },
+  if (!VERIFICATION_CHANNELS.includes(channel)) {
+    throw new NotFoundError("Unknown verification channel.", { code: "UNKNOWN_CHANNEL" });
+  }
+  if (contact[`${channel}VerifiedAt`]) {
+    throw new BadRequestError(`${channel} is already verified.`, { code: "ALREADY_VERIFIED" });
+  }
+  if (await isResendThrottled(contact.userId, contactVerificationPurpose(channel), { scope: contact.id })) {
+    throw new TooManyRequestsError("A code was sent recently, please wait before requesting another.", {
+      retryAfter: ONE_TIME_CODE_RESEND_SECONDS,
+      code: "CODE_RECENTLY_SENT",
     });
+  }
+
+  const owner = await db.user.findUnique({ where: { id: contact.userId } });
+  await sendContactVerificationCode(owner, contact, channel, { language: req.language });
+
+  res.json({ message: req.t('messages.verificationCodeSent') });
+}));
 
-    res.json(updatedContact);
-  } catch (e) {
-    console.error('Device update error:', e);
-    res.status(500).json({ error: e.message });
+/**
+ * @swagger
+ * /api/contacts/{id}/verify/{channel}/confirm:
+ *   post:
+ *     summary: Confirm the contact's email or phone with the code the contact received
+ *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [email, phone]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CodeRequest'
+ *     responses:
+ *       200:
+ *         description: Address verified, the updated contact
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Contact'
+ *       400:
+ *         description: Missing, invalid or expired code
+ *       403:
+ *         description: Forbidden (not owner or admin)
+ *       404:
+ *         description: Contact not found, or unknown channel
+ *       500:
+ *         description: Server error
+ */
+
+router.post('/:id/verify/:channel/confirm', verifyToken, requireOwnership('contact', 'id'), validate({ body: schemas.CodeRequest }), asyncHandler(async (req, res) => {
+  const { channel } = req.params;
+
+  if (!VERIFICATION_CHANNELS.includes(channel)) {
+    throw new NotFoundError("Unknown verification channel.", { code: "UNKNOWN_CHANNEL" });
   }
-});
 
+  const contact = await confirmContactVerificationCode(req.resource, channel, req.body.code);
+  if (!contact) throw new BadRequestError("Invalid or expired code.", { code: "INVALID_CODE" });
+
+  res.json(serializeContact(contact));
+}));
 
 /**
  * @swagger
@@ -328,33 +420,19 @@ router.patch('/:id', verifyToken, async (req, res) => {
  *     responses:
  *       200:
  *         description: Contact deleted
- *       401:
- *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not owner or admin)
+ *       404:
+ *         description: Contact not found
  *       400:
  *         description: Deletion failed
  */
 
-router.delete('/:id', verifyToken, async (req, res) => {
-
-  const user = req.user;
+router.delete('/:id', verifyToken, requireOwnership('contact', 'id'), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const existingContact = await db.contact.findFirst({
-    where: {
-      id,
-      userId: user.id,
-    },
-  });
-
-  if (!existingContact && user.role !== 'ADMIN') {
-    return res.status(401).json({ message: 'Unauthorized' });
-  }
-  try {
-    await db.contact.delete({ where: { id } });
-    res.json({ message: 'Contact deleted' });
-  } catch (e) {
-    res.status(400).json({ error: e.message });
-  }
-});
+  await db.contact.delete({ where: { id } });
+  res.json({ message: req.t('messages.contactDeleted') });
+}));
 
 export default router;
\ No newline at end of file
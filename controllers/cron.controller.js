@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+import express from 'express';
+import { JOBS } from '../lib/jobs.js';
+import { asyncHandler } from '../lib/error-handler.js';
+import { NotFoundError, UnauthorizedError } from '../lib/errors.js';
+import { CRON_SECRET } from '../lib/constants/config.js';
+
+const router = express.Router();
+
+/**
+ * Lets through requests bearing CRON_SECRET, the way Vercel Cron sends it.
+ * Without a secret configured every request is turned away.
+ */
+function requireCronSecret(req, res, next) {
+  const presented = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+  if (!CRON_SECRET || !presented || !crypto.timingSafeEqual(digest(presented), digest(CRON_SECRET))) {
+    return next(new UnauthorizedError('Invalid cron secret.', { code: 'CRON_SECRET_INVALID' }));
+  }
+  next();
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cron
+ *   description: Background jobs, run by Vercel Cron on serverless deployments
+ */
+
+/**
+ * @swagger
+ * /api/cron/{job}:
+ *   get:
+ *     summary: Run a background job once
+ *     description: |
+ *       Called by Vercel Cron on the schedule in vercel.json, with the CRON_SECRET
+ *       environment variable as bearer token. Long-running servers run the jobs
+ *       themselves and do not need it.
+ *     tags: [Cron]
+ *     security:
+ *       - cronSecret: []
+ *     parameters:
+ *       - in: path
+ *         name: job
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [account-purge, device-monitor, data-exports]
+ *     responses:
+ *       200:
+ *         description: The job ran
+ *       401:
+ *         description: Missing or wrong cron secret (code CRON_SECRET_INVALID)
+ *       404:
+ *         description: Unknown job (code UNKNOWN_JOB)
+ *       500:
+ *         description: The job failed
+ */
+router.get('/:job', requireCronSecret, asyncHandler(async (req, res) => {
+  const job = JOBS[req.params.job];
+  if (!job) throw new NotFoundError('Unknown job.', { code: 'UNKNOWN_JOB' });
+
+  await job.run();
+
+  res.json({ job: req.params.job, completedAt: new Date() });
+}));
+
+export default router;
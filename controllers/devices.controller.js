@@ -3,14 +3,39 @@ import express from 'express';
 import { db } from '../lib/database.js';
 // import jwt from 'jsonwebtoken'
 import { verifyToken } from '../lib/auth.js'
+import { requireRole, requireOwnership } from '../lib/authorization.js'
+import { createDeviceApiKey, revokeDeviceApiKey } from '../lib/device-keys.js'
+import { registerDevice } from '../lib/devices.js'
+import { serializeDevice, serializeConnectivityLog, serializeDeviceApiKey, serializeBatteryReading, serializeLatencyReading } from '../lib/serializers.js'
+import { validate } from '../lib/validation.js'
+import { schemas } from '../lib/schemas.js'
+import { asyncHandler } from '../lib/error-handler.js'
+import { findPage, connectivityLogFilter, deviceFilter, dateRange } from '../lib/pagination.js'
+import { BadRequestError, NotFoundError, UnauthorizedError } from '../lib/errors.js'
+import { isObjectId } from '../lib/helpers/object-id.js'
+import { UserRole } from '@prisma/client'
 
 const router = express.Router();
 
+const requireDeviceOwnerOrAdmin = requireOwnership('deviceInfo', 'deviceId');
+// API keys are created and rotated by the device owner only, admins can list and revoke them
+const requireDeviceOwner = requireOwnership('deviceInfo', 'deviceId', { allowAdmin: false });
+
+async function findDeviceApiKey(device, keyId) {
+  if (!isObjectId(keyId)) return null;
+  return db.deviceApiKey.findFirst({ where: { id: keyId, deviceId: device.id } });
+}
+
 /**
  * @swagger
  * /api/devices:
  *   post:
- *     summary: Create a new device information record
+ *     summary: Register the current device, or update it if already registered
+ *     description: |
+ *       Keyed on the vendor `deviceId`: registering a device the user already has, e.g. after
+ *       reinstalling the app, updates its fields (OS and app version included) and keeps its
+ *       server `id`, logs and API keys. Use that `id` in every /api/devices/{deviceId} URL.
+ *       Without a vendor `deviceId` a new device is created each time.
  *     tags:
  *       - DeviceInfo
  *     security:
@@ -20,175 +45,107 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - platform
- *             properties:
- *               platform:
- *                 type: string
- *                 example: "Android"
- *               model:
- *                 type: string
- *                 example: "Pixel 5"
- *               brand:
- *                 type: string
- *                 example: "Google"
- *               manufacturer:
- *                 type: string
- *                 example: "Google"
- *               systemName:
- *                 type: string
- *                 example: "Android"
- *               systemVersion:
- *                 type: string
- *                 example: "12"
- *               sdkInt:
- *                 type: integer
- *                 example: 31
- *               isPhysicalDevice:
- *                 type: boolean
- *                 example: true
- *               deviceId:
- *                 type: string
- *                 example: "abc123xyz"
- *               userAgent:
- *                 type: string
- *                 example: "Mozilla/5.0 (Linux; Android 12...)"
- *               hardwareConcurrency:
- *                 type: integer
- *                 example: 8
- *               deviceMemory:
- *                 type: number
- *                 example: 4
+ *             $ref: '#/components/schemas/DeviceInput'
  *     responses:
+ *       200:
+ *         description: Device was already registered and has been updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeviceInfo'
  *       201:
- *         description: Device information created successfully
+ *         description: Device registered
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/DeviceInfo'
  *       400:
- *         description: Missing required field(s)
+ *         description: Missing or invalid field(s)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: platform is missing !!
+ *               $ref: '#/components/schemas/ValidationError'
  *       401:
  *         description: Unauthorized (missing or invalid token)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: Unauthorized
- *       500:
- *         description: Internal server error
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Internal server error message
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/', verifyToken, async (req, res) => {
-  const user = req.user;
-
-  if (!user) {
-    return res.status(401).json({ message: 'Unauthorized' });
-  }
-
-  const {
-    platform,
-    model,
-    brand,
-    manufacturer,
-    systemName,
-    systemVersion,
-    sdkInt,
-    isPhysicalDevice,
-    deviceId,
-    userAgent,
-    hardwareConcurrency,
-    deviceMemory
-  } = req.body;
-
-  if (!platform) {
-    return res.status(400).json({ message: "platform is missing" });
-  }
-
-  try {
-    const device = await db.deviceInfo.create({
-      data: {
-        platform,
-        model,
-        brand,
-        manufacturer,
-        systemName,
-        systemVersion,
-        sdkInt,
-        isPhysicalDevice,
-        deviceId,
-        userAgent,
-        hardwareConcurrency,
-        deviceMemory,
-        user: { connect: { id: user.id } },
-      }
+router.post('/', verifyToken, validate({ body: schemas.DeviceInput }), asyncHandler(async (req, res) => {
+  const { device, created } = await registerDevice(req.user.id, req.body);
+
+  // Sessions opened before the device was registered get linked to it now
+  if (!req.authSession.deviceId) {
+    await db.session.update({
+      where: { id: req.authSession.id },
+      data: { deviceId: device.id },
     });
-
-    res.status(201).json(device);
-  } catch (e) {
-    console.error('Device creation error:', e);
-    res.status(500).json({ error: e.message });
   }
-});
+
+  res.status(created ? 201 : 200).json(serializeDevice(device));
+}));
 
 
 /**
  * @swagger
  * /api/devices:
  *   get:
- *     summary: Get all devices (Admin only)
+ *     summary: List devices, newest first (Admin only)
  *     tags:
  *       - DeviceInfo
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, updatedAt, -updatedAt]
+ *           default: -createdAt
+ *       - in: query
+ *         name: platform
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: List of all devices
+ *         description: A page of devices
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/DeviceInfo'
- *       401:
- *         description: Unauthorized (only accessible by admin)
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DeviceInfo'
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Forbidden (only accessible by admin)
  */
 
 // Read all devices
-router.get('/', verifyToken, async (req, res) => {
-
-  const user = req.user;
-
-  if (user.role !== 'ADMIN') {
-    return res.status(401).json({ message: 'Unauthorized' });
-  }
-
-  try {
-    const devices = await db.deviceInfo.findMany();
-    res.json(devices);
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
+router.get('/', verifyToken, requireRole(UserRole.ADMIN), validate({ query: schemas.DeviceListQuery }), asyncHandler(async (req, res) => {
+  res.json(await findPage(db.deviceInfo, req.query, {
+    where: deviceFilter(req.query),
+    serialize: serializeDevice,
+  }));
+}));
 
 /**
  * @swagger
@@ -211,25 +168,21 @@ router.get('/', verifyToken, async (req, res) => {
  *       401:
  *         description: Unauthorized (invalid token or not logged in)
  */
-router.get('/user-devices', verifyToken, async (req, res) => {
+router.get('/user-devices', verifyToken, asyncHandler(async (req, res) => {
 
   const user = req.user;
 
   if (!user) {
-    return res.status(401).json({ message: 'Unauthorized' });
+    throw new UnauthorizedError('Unauthorized');
   }
 
-  try {
-    const devices = await db.deviceInfo.findMany({
-      where: {
-        userId: user.id
-      }
-    });
-    res.json(devices);
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
+  const devices = await db.deviceInfo.findMany({
+    where: {
+      userId: user.id
+    }
+  });
+  res.json(devices.map(serializeDevice));
+}));
 
 /**
  * @swagger
@@ -246,7 +199,7 @@ router.get('/user-devices', verifyToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the device to retrieve
+ *         description: Server ID of the device to retrieve
  *     responses:
  *       200:
  *         description: Device details with connectivity logs
@@ -261,40 +214,22 @@ router.get('/user-devices', verifyToken, async (req, res) => {
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/ConnectivityLog'
- *       401:
- *         description: Unauthorized (not owner or not admin)
+ *       403:
+ *         description: Forbidden (not owner or admin)
  *       404:
  *         description: Device not found
  */
-router.get('/:deviceId', verifyToken, async (req, res) => {
-  const user = req.user;
-  const { deviceId } = req.params;
-  try {
-    const device = await db.deviceInfo.findFirst({
-      where: {
-        id: deviceId,
-        userId: user.id
-      },
-      include: { connectivityLogs: true },
-    });
-
-    if (!device && user.role !== 'ADMIN') {
-      return res.status(401).json({ message: 'Unauthorized' });
-    }
-
-    if (!device) return res.status(404).json({ error: 'Device not found' });
-    res.json(device);
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
+router.get('/:deviceId', verifyToken, requireOwnership('deviceInfo', 'deviceId', { include: { connectivityLogs: true } }), asyncHandler(async (req, res) => {
+  res.json(serializeDevice(req.resource));
+}));
 
 
 /**
  * @swagger
  * /api/devices/{deviceId}:
  *   patch:
- *     summary: Update a device's information (must be owner or admin)
+ *     summary: Update a device (must be owner or admin)
+ *     description: The vendor `deviceId` cannot be changed, register the device again instead.
  *     tags:
  *       - DeviceInfo
  *     security:
@@ -305,17 +240,13 @@ router.get('/:deviceId', verifyToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: Device ID to update
+ *         description: Server ID of the device to update
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             additionalProperties: true
- *             example:
- *               model: "Updated Model"
- *               systemVersion: "13"
+ *             $ref: '#/components/schemas/DeviceUpdate'
  *     responses:
  *       200:
  *         description: Successfully updated device
@@ -323,48 +254,23 @@ router.get('/:deviceId', verifyToken, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/DeviceInfo'
+ *       400:
+ *         description: Missing or invalid field(s)
  *       401:
  *         description: Unauthorized or invalid token
+ *       403:
+ *         description: Forbidden (not owner or admin)
  *       404:
- *         description: Device not found for this user
- *       500:
- *         description: Server error
+ *         description: Device not found
  */
-router.patch('/:deviceId', verifyToken, async (req, res) => {
-  const user = req.user;
-  const { deviceId } = req.params;
+router.patch('/:deviceId', verifyToken, requireDeviceOwnerOrAdmin, validate({ body: schemas.DeviceUpdate }), asyncHandler(async (req, res) => {
+  const updatedDevice = await db.deviceInfo.update({
+    where: { id: req.resource.id },
+    data: req.body,
+  });
 
-  if (!user && user.role !== 'ADMIN') {
-    return res.status(401).json({ message: 'Unauthorized' });
-  }
-
-  try {
-    // Find the device linked to this user and deviceId
-    const existingDevice = await db.deviceInfo.findFirst({
-      where: {
-        deviceId: deviceId,
-        userId: user.id,
-      },
-    });
-
-    if (!existingDevice) {
-      return res.status(404).json({ message: 'Device not found for this user' });
-    }
-
-    const updatedDevice = await db.deviceInfo.update({
-      where: { id: existingDevice.id },
-      data: {
-        ...req.body, // Accept any updatable field
-        updatedAt: new Date(),
-      },
-    });
-
-    res.json(updatedDevice);
-  } catch (e) {
-    console.error('Device update error:', e);
-    res.status(500).json({ error: e.message });
-  }
-});
+  res.json(serializeDevice(updatedDevice));
+}));
 
 /**
  * @swagger
@@ -381,7 +287,7 @@ router.patch('/:deviceId', verifyToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: Device ID to delete
+ *         description: Server ID of the device to delete
  *     responses:
  *       200:
  *         description: Device deleted successfully
@@ -393,32 +299,23 @@ router.patch('/:deviceId', verifyToken, async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Device deleted
- *       401:
- *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not owner or admin)
+ *       404:
+ *         description: Device not found
  *       400:
  *         description: Deletion failed
  */
-router.delete('/:deviceId', verifyToken, async (req, res) => {
-
-  const user = req.user;
-  const { deviceId } = req.params;
-
-  if (!user && user.role !== 'ADMIN') {
-    return res.status(401).json({ message: 'Unauthorized' });
-  }
-  try {
-    await db.deviceInfo.delete({ where: { id: deviceId } });
-    res.json({ message: 'Device deleted' });
-  } catch (e) {
-    res.status(400).json({ error: e.message });
-  }
-});
+router.delete('/:deviceId', verifyToken, requireDeviceOwnerOrAdmin, asyncHandler(async (req, res) => {
+  await db.deviceInfo.delete({ where: { id: req.resource.id } });
+  res.json({ message: req.t('messages.deviceDeleted') });
+}));
 
 /**
  * @swagger
  * /api/devices/{deviceId}/logs:
  *   get:
- *     summary: Get connectivity logs for a specific device
+ *     summary: List the connectivity logs of a device, newest first
  *     tags: 
  *       - DeviceInfo
  *     security:
@@ -430,80 +327,334 @@ router.delete('/:deviceId', verifyToken, async (req, res) => {
  *         schema:
  *           type: string
  *         description: The ID of the device to fetch logs for
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [timestamp, -timestamp]
+ *           default: -timestamp
+ *       - in: query
+ *         name: connectivityType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isConnected
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: carrier
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: networkType
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: List of connectivity logs
+ *         description: A page of connectivity logs
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: string
- *                   connectivityType:
- *                     type: string
- *                     example: wifi
- *                   isConnected:
- *                     type: boolean
- *                   ipAddress:
- *                     type: string
- *                   wifiName:
- *                     type: string
- *                   wifiBSSID:
- *                     type: string
- *                   timestamp:
- *                     type: string
- *                     format: date-time
- *                   location:
- *                     type: object
- *                     nullable: true
- *                     properties:
- *                       id:
- *                         type: string
- *                       latitude:
- *                         type: number
- *                       longitude:
- *                         type: number
- *                       accuracy:
- *                         type: number
- *                   mobileNetworkInfo:
- *                     type: object
- *                     nullable: true
- *                     properties:
- *                       id:
- *                         type: string
- *                       carrier:
- *                         type: string
- *                       networkType:
- *                         type: string
- *                       signalLevel:
- *                         type: integer
- *                       signalDbm:
- *                         type: integer
- *                       mcc:
- *                         type: string
- *                       mnc:
- *                         type: string
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ConnectivityLog'
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Forbidden (not owner or admin)
+ *       404:
+ *         description: Device not found
  *       500:
  *         description: Internal server error
  */
-router.get('/:deviceId/logs', async (req, res) => {
-  const { deviceId } = req.params;
-
-  try {
-    const connectivityLogs = await db.connectivityInfo.findMany({
-      where: {
-        deviceId
-      },
-      include: { location: true, mobileNetworkInfo: true },
-    });
-    res.json(connectivityLogs);
-  } catch (e) {
-    res.status(500).json({ message: e.message });
-  }
-});
+router.get('/:deviceId/logs', verifyToken, requireDeviceOwnerOrAdmin, validate({ query: schemas.DeviceLogListQuery }), asyncHandler(async (req, res) => {
+  res.json(await findPage(db.connectivityInfo, req.query, {
+    where: { ...connectivityLogFilter(req.query), deviceId: req.resource.id },
+    include: { location: true, mobileNetworkInfo: true },
+    serialize: serializeConnectivityLog,
+  }));
+}));
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/battery:
+ *   get:
+ *     summary: Get a page of the battery history of a device (owner or Admin)
+ *     description: A reading is stored whenever the reported level, charging state or power saving changes.
+ *     tags:
+ *       - DeviceInfo
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [recordedAt, -recordedAt]
+ *           default: -recordedAt
+ *     responses:
+ *       200:
+ *         description: A page of battery readings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BatteryReading'
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Forbidden (not owner or admin)
+ *       404:
+ *         description: Device not found
+ */
+router.get('/:deviceId/battery', verifyToken, requireDeviceOwnerOrAdmin, validate({ query: schemas.BatteryReadingListQuery }), asyncHandler(async (req, res) => {
+  res.json(await findPage(db.batteryReading, req.query, {
+    where: { deviceId: req.resource.id, recordedAt: dateRange(req.query.from, req.query.to) },
+    serialize: serializeBatteryReading,
+  }));
+}));
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/latency:
+ *   get:
+ *     summary: Get a page of the latency history of a device (owner or Admin)
+ *     description: One reading per ping or connectivity log that carried latency, jitter or packet loss.
+ *     tags:
+ *       - DeviceInfo
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [recordedAt, -recordedAt]
+ *           default: -recordedAt
+ *     responses:
+ *       200:
+ *         description: A page of latency readings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LatencyReading'
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Forbidden (not owner or admin)
+ *       404:
+ *         description: Device not found
+ */
+router.get('/:deviceId/latency', verifyToken, requireDeviceOwnerOrAdmin, validate({ query: schemas.LatencyReadingListQuery }), asyncHandler(async (req, res) => {
+  res.json(await findPage(db.latencyReading, req.query, {
+    where: { deviceId: req.resource.id, recordedAt: dateRange(req.query.from, req.query.to) },
+    serialize: serializeLatencyReading,
+  }));
+}));
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/api-keys:
+ *   get:
+ *     summary: List the API keys of a device (owner or Admin)
+ *     tags:
+ *       - DeviceInfo
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API keys without their secrets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DeviceApiKey'
+ *       403:
+ *         description: Forbidden (not owner or admin)
+ *       404:
+ *         description: Device not found
+ */
+router.get('/:deviceId/api-keys', verifyToken, requireDeviceOwnerOrAdmin, asyncHandler(async (req, res) => {
+  const apiKeys = await db.deviceApiKey.findMany({
+    where: { deviceId: req.resource.id },
+    orderBy: { createdAt: 'desc' },
+  });
+  res.json(apiKeys.map(serializeDeviceApiKey));
+}));
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/api-keys:
+ *   post:
+ *     summary: Create an API key for headless telemetry from this device
+ *     description: |
+ *       The key is sent as the `X-Device-Key` header to `/api/connectivity/ping` and
+ *       `/api/connectivity/disconnect`, and only works for this device.
+ *       It is returned once and cannot be retrieved again.
+ *     tags:
+ *       - DeviceInfo
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeviceApiKeyInput'
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeviceApiKeyWithSecret'
+ *       403:
+ *         description: Forbidden (not the device owner)
+ *       404:
+ *         description: Device not found
+ */
+router.post('/:deviceId/api-keys', verifyToken, requireDeviceOwner, validate({ body: schemas.DeviceApiKeyInput }), asyncHandler(async (req, res) => {
+  const { label } = req.body;
+
+  const apiKey = await createDeviceApiKey(req.resource.id, label);
+  res.status(201).json(apiKey);
+}));
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/api-keys/{keyId}/rotate:
+ *   post:
+ *     summary: Replace an API key with a new one
+ *     description: The old key stops working immediately, the new key keeps its label.
+ *     tags:
+ *       - DeviceInfo
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: New API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeviceApiKeyWithSecret'
+ *       400:
+ *         description: API key already revoked
+ *       403:
+ *         description: Forbidden (not the device owner)
+ *       404:
+ *         description: Device or API key not found
+ */
+router.post('/:deviceId/api-keys/:keyId/rotate', verifyToken, requireDeviceOwner, asyncHandler(async (req, res) => {
+  const existingKey = await findDeviceApiKey(req.resource, req.params.keyId);
+
+  if (!existingKey) throw new NotFoundError('API key not found');
+  if (existingKey.revokedAt) throw new BadRequestError('API key already revoked', { code: 'API_KEY_REVOKED' });
+
+  await revokeDeviceApiKey(existingKey.id);
+  const apiKey = await createDeviceApiKey(req.resource.id, existingKey.label);
+
+  res.status(201).json(apiKey);
+}));
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key (owner or Admin)
+ *     tags:
+ *       - DeviceInfo
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: API key revoked
+ *       403:
+ *         description: Forbidden (not owner or admin)
+ *       404:
+ *         description: Device or API key not found
+ */
+router.delete('/:deviceId/api-keys/:keyId', verifyToken, requireDeviceOwnerOrAdmin, asyncHandler(async (req, res) => {
+  const existingKey = await findDeviceApiKey(req.resource, req.params.keyId);
+  if (!existingKey) throw new NotFoundError('API key not found');
+
+  await revokeDeviceApiKey(existingKey.id);
+  res.status(204).send();
+}));
 
 
 export default router;
\ No newline at end of file
@@ -1,5 +1,9 @@
 import express from 'express';
 import { verifyToken } from '../lib/auth.js'
+import { validate } from '../lib/validation.js'
+import { schemas } from '../lib/schemas.js'
+import { asyncHandler } from '../lib/error-handler.js'
+import { NotFoundError } from '../lib/errors.js'
 import {findCandidates,enrichGoogleCandidate} from '../lib/3rd_party/googleplaces/find-candidates.js'
 
 const router = express.Router();
@@ -82,47 +86,38 @@ const router = express.Router();
  *         description: Internal server error
  */
 
-router.get('/find', async (req, res) => {
- const { input, carrier, minSignalCount } = req.query;
+router.get('/find', verifyToken, validate({ query: schemas.PlaceSearchQuery }), asyncHandler(async (req, res) => {
+  const { input, carrier, minSignalCount } = req.query;
 
-  if (!input) {
-    return res.status(400).json({ error: 'Missing required parameter: input' });
-  }
-
-  try {
-    const candidates = await findCandidates(input);
+  const candidates = await findCandidates(input);
 
-    if (!candidates || candidates.length === 0) {
-      return res.status(404).json({ message: 'No place found' });
-    }
+  if (!candidates || candidates.length === 0) {
+    throw new NotFoundError('No place found');
+  }
 
-    const enriched = await Promise.all(
-      candidates.map(async (candidate) => {
-        const enrichedData = await enrichGoogleCandidate(candidate);
+  const enriched = await Promise.all(
+    candidates.map(async (candidate) => {
+      const enrichedData = await enrichGoogleCandidate(candidate);
 
-        // Apply optional filters
-        if (carrier) {
-          enrichedData.signalByCarrier = enrichedData.signalByCarrier.filter(
-            c => c.carrier.toLowerCase() === carrier.toLowerCase()
-          );
-        }
+      // Apply optional filters
+      if (carrier) {
+        enrichedData.signalByCarrier = enrichedData.signalByCarrier.filter(
+          c => c.carrier.toLowerCase() === carrier.toLowerCase()
+        );
+      }
 
-        if (minSignalCount) {
-          enrichedData.signalByCarrier = enrichedData.signalByCarrier.filter(
-            c => c.count >= Number(minSignalCount)
-          );
-        }
+      if (minSignalCount) {
+        enrichedData.signalByCarrier = enrichedData.signalByCarrier.filter(
+          c => c.count >= minSignalCount
+        );
+      }
 
-        return enrichedData;
-      })
-    );
+      return enrichedData;
+    })
+  );
 
-    res.json(enriched);
-  } catch (error) {
-    console.error("Find error:", error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+  res.json(enriched);
+}));
 
 
 
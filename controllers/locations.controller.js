@@ -1,6 +1,14 @@
 import express from 'express';
 import { db } from '../lib/database.js';
 import { verifyToken } from '../lib/auth.js';
+import { requireRole } from '../lib/authorization.js';
+import { UserRole } from '@prisma/client';
+import { serializeLocation } from '../lib/serializers.js';
+import { validate } from '../lib/validation.js';
+import { schemas } from '../lib/schemas.js';
+import { asyncHandler } from '../lib/error-handler.js';
+import { findPage, locationFilter } from '../lib/pagination.js';
+import { ForbiddenError, NotFoundError, UnauthorizedError } from '../lib/errors.js';
 
 const router = express.Router();
 
@@ -24,18 +32,7 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required: [latitude, longitude]
- *             properties:
- *               latitude:
- *                 type: number
- *                 example: 30.0444
- *               longitude:
- *                 type: number
- *                 example: 31.2357
- *               accuracy:
- *                 type: number
- *                 example: 10
+ *             $ref: '#/components/schemas/LocationInput'
  *     responses:
  *       200:
  *         description: Location created successfully
@@ -44,48 +41,80 @@ const router = express.Router();
  *       500:
  *         description: Internal server error
  */
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, validate({ body: schemas.LocationInput }), asyncHandler(async (req, res) => {
     const user = req.user;
 
-    if (!user) return res.status(401).json({ message: "unauthorized !!" });
+    if (!user) throw new UnauthorizedError("unauthorized !!");
 
-    try {
-        const location = await db.location.create({ data: req.body });
-        res.json(location);
-    } catch (e) {
-        res.status(500).json({ error: e.message });
-    }
-});
+    const location = await db.location.create({ data: req.body });
+    res.json(serializeLocation(location));
+}));
 
 /**
  * @swagger
  * /api/locations:
  *   get:
- *     summary: Get all locations
+ *     summary: List locations, without their logs (Admin only)
  *     tags: [Location]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, -id, latitude, -latitude, longitude, -longitude]
+ *           default: -id
+ *       - in: query
+ *         name: minLatitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxLatitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: minLongitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxLongitude
+ *         schema:
+ *           type: number
  *     responses:
  *       200:
- *         description: List of locations
+ *         description: A page of locations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Forbidden (not admin)
  *       500:
  *         description: Internal server error
  */
-router.get('/', async (req, res) => {
-    try {
-        const locations = await db.location.findMany({
-            include: { connectivityLogs: true }
-        });
-        res.json(locations);
-    } catch (e) {
-        res.status(500).json({ error: e.message });
-    }
-});
+router.get('/', verifyToken, requireRole(UserRole.ADMIN), validate({ query: schemas.LocationListQuery }), asyncHandler(async (req, res) => {
+    res.json(await findPage(db.location, req.query, {
+        where: locationFilter(req.query),
+        serialize: serializeLocation,
+    }));
+}));
 
 /**
  * @swagger
  * /api/locations/{id}:
  *   get:
  *     summary: Get a location by ID
+ *     description: >
+ *       Locations are shared between the connectivity logs of all users. Users may read
+ *       the locations their devices logged, admins any location along with its logs.
  *     tags: [Location]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -96,29 +125,40 @@ router.get('/', async (req, res) => {
  *     responses:
  *       200:
  *         description: Location object
+ *       403:
+ *         description: Forbidden (no device of the user logged this location, and not admin)
  *       404:
  *         description: Location not found
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', async (req, res) => {
-    try {
-        const location = await db.location.findUnique({
-            where: { id: req.params.id },
-            include: { connectivityLogs: true }
+router.get('/:id', verifyToken, validate({ params: schemas.IdParams }), asyncHandler(async (req, res) => {
+    const isAdmin = req.user.role === UserRole.ADMIN;
+
+    // The logs may belong to other users too
+    const location = await db.location.findUnique({
+        where: { id: req.params.id },
+        ...(isAdmin && { include: { connectivityLogs: true } }),
+    });
+    if (!location) throw new NotFoundError();
+
+    if (!isAdmin) {
+        const ownLog = await db.connectivityInfo.findFirst({
+            where: { locationId: location.id, device: { userId: req.user.id } },
+            select: { id: true },
         });
-        if (!location) return res.status(404).json({ error: 'Location not found' });
-        res.json(location);
-    } catch (e) {
-        res.status(500).json({ error: e.message });
+        if (!ownLog) throw new ForbiddenError();
     }
-});
+
+    res.json(serializeLocation(location));
+}));
 
 /**
  * @swagger
  * /api/locations/{id}:
  *   put:
- *     summary: Update a location
+ *     summary: Update a location (Admin only)
+ *     description: Locations are shared between the connectivity logs of all users.
  *     tags: [Location]
  *     security:
  *       - bearerAuth: []
@@ -134,43 +174,29 @@ router.get('/:id', async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               latitude:
- *                 type: number
- *               longitude:
- *                 type: number
- *               accuracy:
- *                 type: number
+ *             $ref: '#/components/schemas/LocationUpdate'
  *     responses:
  *       200:
  *         description: Location updated
- *       401:
- *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not admin)
  *       500:
  *         description: Internal server error
  */
-router.put('/:id', verifyToken, async (req, res) => {
-    const user = req.user;
-
-    if (!user) return res.status(401).json({ message: "unauthorized !!" });
-
-    try {
-        const location = await db.location.update({
-            where: { id: req.params.id },
-            data: req.body,
-        });
-        res.json(location);
-    } catch (e) {
-        res.status(500).json({ error: e.message });
-    }
-});
+router.put('/:id', verifyToken, requireRole(UserRole.ADMIN), validate({ params: schemas.IdParams, body: schemas.LocationUpdate }), asyncHandler(async (req, res) => {
+    const location = await db.location.update({
+        where: { id: req.params.id },
+        data: req.body,
+    });
+    res.json(serializeLocation(location));
+}));
 
 /**
  * @swagger
  * /api/locations/{id}:
  *   delete:
- *     summary: Delete a location
+ *     summary: Delete a location (Admin only)
+ *     description: Locations are shared between the connectivity logs of all users.
  *     tags: [Location]
  *     security:
  *       - bearerAuth: []
@@ -184,22 +210,14 @@ router.put('/:id', verifyToken, async (req, res) => {
  *     responses:
  *       200:
  *         description: Location deleted
- *       401:
- *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not admin)
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id', verifyToken, async (req, res) => {
-    const user = req.user;
-
-    if (!user) return res.status(401).json({ message: "unauthorized !!" });
-
-    try {
-        await db.location.delete({ where: { id: req.params.id } });
-        res.json({ message: 'Location deleted' });
-    } catch (e) {
-        res.status(500).json({ error: e.message });
-    }
-});
+router.delete('/:id', verifyToken, requireRole(UserRole.ADMIN), validate({ params: schemas.IdParams }), asyncHandler(async (req, res) => {
+    await db.location.delete({ where: { id: req.params.id } });
+    res.json({ message: req.t('messages.locationDeleted') });
+}));
 
 export default router;
@@ -1,6 +1,14 @@
 import express from 'express';
 import { db } from '../lib/database.js';
 import { verifyToken } from '../lib/auth.js';
+import { requireRole } from '../lib/authorization.js';
+import { UserRole } from '@prisma/client';
+import { serializeMobileNetworkInfo } from '../lib/serializers.js';
+import { validate } from '../lib/validation.js';
+import { schemas } from '../lib/schemas.js';
+import { asyncHandler } from '../lib/error-handler.js';
+import { findPage, mobileNetworkInfoFilter } from '../lib/pagination.js';
+import { ForbiddenError, NotFoundError, UnauthorizedError } from '../lib/errors.js';
 
 const router = express.Router();
 
@@ -24,29 +32,7 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               carrier:
- *                 type: string
- *                 example: Vodafone
- *               networkType:
- *                 type: string
- *                 example: 4G
- *               signalLevel:
- *                 type: integer
- *                 example: 2
- *               signalDbm:
- *                 type: integer
- *                 example: -92
- *               mcc:
- *                 type: string
- *                 example: "602"
- *               mnc:
- *                 type: string
- *                 example: "01"
- *               asuLevel:
- *                 type: integer
- *                 example: 10
+ *             $ref: '#/components/schemas/MobileNetworkInfoInput'
  *     responses:
  *       200:
  *         description: Mobile network info created
@@ -55,44 +41,75 @@ const router = express.Router();
  *       401:
  *         description: Unauthorized
  */
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, validate({ body: schemas.MobileNetworkInfoInput }), asyncHandler(async (req, res) => {
   const user = req.user;
 
-  if (!user) return res.status(401).json({ message: "unauthorized !!" });
-  try {
-    const mobileNetworkInfo = await db.mobileNetworkInfo.create({ data: req.body });
-    res.json(mobileNetworkInfo);
-  } catch (e) {
-    res.status(400).json({ error: e.message });
-  }
-});
+  if (!user) throw new UnauthorizedError("unauthorized !!");
+  const mobileNetworkInfo = await db.mobileNetworkInfo.create({ data: req.body });
+  res.json(serializeMobileNetworkInfo(mobileNetworkInfo));
+}));
 
 /**
  * @swagger
  * /api/mobile-network:
  *   get:
- *     summary: Get all mobile network info entries
+ *     summary: List mobile network info entries, newest first (Admin only)
  *     tags: [MobileNetworkInfo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, updatedAt, -updatedAt]
+ *           default: -createdAt
+ *       - in: query
+ *         name: carrier
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: networkType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mcc
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mnc
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: A list of mobile network info
+ *         description: A page of mobile network info
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Forbidden (not admin)
  *       500:
  *         description: Internal server error
  */
-router.get('/', async (req, res) => {
-  try {
-    const mobileNetworks = await db.mobileNetworkInfo.findMany();
-    res.json(mobileNetworks);
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
+router.get('/', verifyToken, requireRole(UserRole.ADMIN), validate({ query: schemas.MobileNetworkInfoListQuery }), asyncHandler(async (req, res) => {
+  res.json(await findPage(db.mobileNetworkInfo, req.query, {
+    where: mobileNetworkInfoFilter(req.query),
+    serialize: serializeMobileNetworkInfo,
+  }));
+}));
 
 /**
  * @swagger
  * /api/mobile-network/{id}:
  *   get:
- *     summary: Get mobile network info by ID
+ *     summary: Get mobile network info by ID (owner of the connectivity log or Admin)
  *     tags: [MobileNetworkInfo]
  *     security:
  *       - bearerAuth: []
@@ -106,28 +123,33 @@ router.get('/', async (req, res) => {
  *     responses:
  *       200:
  *         description: Mobile network info found
+ *       403:
+ *         description: Forbidden (not the owner of the connectivity log, and not admin)
  *       404:
  *         description: Not found
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', verifyToken, async (req, res) => {
-  try {
-    const mobileNetworkInfo = await db.mobileNetworkInfo.findUnique({
-      where: { id: req.params.id }
+router.get('/:id', verifyToken, validate({ params: schemas.IdParams }), asyncHandler(async (req, res) => {
+  const mobileNetworkInfo = await db.mobileNetworkInfo.findUnique({ where: { id: req.params.id } });
+  if (!mobileNetworkInfo) throw new NotFoundError();
+
+  if (req.user.role !== UserRole.ADMIN) {
+    const ownLog = await db.connectivityInfo.findFirst({
+      where: { mobileNetworkInfoId: mobileNetworkInfo.id, device: { userId: req.user.id } },
+      select: { id: true },
     });
-    if (!mobileNetworkInfo) return res.status(404).json({ error: 'mobile network info not found' });
-    res.json(mobileNetworkInfo);
-  } catch (e) {
-    res.status(500).json({ error: e.message });
+    if (!ownLog) throw new ForbiddenError();
   }
-});
+
+  res.json(serializeMobileNetworkInfo(mobileNetworkInfo));
+}));
 
 /**
  * @swagger
  * /api/mobile-network/{id}:
  *   put:
- *     summary: Update mobile network info
+ *     summary: Update mobile network info (Admin only)
  *     tags: [MobileNetworkInfo]
  *     security:
  *       - bearerAuth: []
@@ -142,51 +164,28 @@ router.get('/:id', verifyToken, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               carrier:
- *                 type: string
- *               networkType:
- *                 type: string
- *               signalLevel:
- *                 type: integer
- *               signalDbm:
- *                 type: integer
- *               mcc:
- *                 type: string
- *               mnc:
- *                 type: string
- *               asuLevel:
- *                 type: integer
+ *             $ref: '#/components/schemas/MobileNetworkInfoUpdate'
  *     responses:
  *       200:
  *         description: Mobile network info updated
  *       400:
  *         description: Invalid data
- *       401:
- *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not admin)
  */
-router.put('/:id', verifyToken, async (req, res) => {
-  const user = req.user;
-
-  if (!user) return res.status(401).json({ message: "unauthorized !!" });
-
-  try {
-    const mobileNetworkInfo = await db.mobileNetworkInfo.update({
-      where: { id: req.params.id },
-      data: req.body,
-    });
-    res.json(mobileNetworkInfo);
-  } catch (e) {
-    res.status(400).json({ error: e.message });
-  }
-});
+router.put('/:id', verifyToken, requireRole(UserRole.ADMIN), validate({ params: schemas.IdParams, body: schemas.MobileNetworkInfoUpdate }), asyncHandler(async (req, res) => {
+  const mobileNetworkInfo = await db.mobileNetworkInfo.update({
+    where: { id: req.params.id },
+    data: req.body,
+  });
+  res.json(serializeMobileNetworkInfo(mobileNetworkInfo));
+}));
 
 /**
  * @swagger
  * /api/mobile-network/{id}:
  *   delete:
- *     summary: Delete mobile network info
+ *     summary: Delete mobile network info (Admin only)
  *     tags: [MobileNetworkInfo]
  *     security:
  *       - bearerAuth: []
@@ -202,20 +201,12 @@ router.put('/:id', verifyToken, async (req, res) => {
  *         description: Mobile network info deleted
  *       400:
  *         description: Deletion failed
- *       401:
- *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not admin)
  */
-router.delete('/:id', verifyToken, async (req, res) => {
-  const user = req.user;
-
-  if (!user) return res.status(401).json({ message: "unauthorized !!" });
-
-  try {
-    await db.mobileNetworkInfo.delete({ where: { id: req.params.id } });
-    res.json({ message: 'mobile network info deleted' });
-  } catch (e) {
-    res.status(400).json({ error: e.message });
-  }
-});
+router.delete('/:id', verifyToken, requireRole(UserRole.ADMIN), validate({ params: schemas.IdParams }), asyncHandler(async (req, res) => {
+  await db.mobileNetworkInfo.delete({ where: { id: req.params.id } });
+  res.json({ message: req.t('messages.mobileNetworkInfoDeleted') });
+}));
 
 export default router;
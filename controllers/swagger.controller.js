@@ -8,6 +8,7 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
 import { PORT } from '../lib/constants/config.js'
+import { schemas as requestSchemas } from '../lib/schemas.js'
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -22,7 +23,10 @@ const swaggerSpec = swaggerJsdoc({
         info: {
             title: 'Sigme Api Collection',
             version: '1.0.0',
-            description: 'Your API description',
+            description:
+                'Messages and notifications are in English or Arabic: the language in the user\'s ' +
+                'preferences when set, else the best match of the Accept-Language header. ' +
+                'Error `code`s never change with the language.',
         },
         servers: isProduction
             ? [
@@ -45,12 +49,162 @@ const swaggerSpec = swaggerJsdoc({
                     scheme: 'bearer',
                     bearerFormat: 'JWT',
                 },
+                deviceKey: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-Device-Key',
+                    description: 'Per-device API key, accepted by the connectivity ping and disconnect routes only',
+                },
+                cronSecret: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'The CRON_SECRET environment variable, accepted by the cron routes only',
+                },
+            },
+            // Query parameters shared by the paginated list endpoints
+            parameters: {
+                Limit: {
+                    in: 'query',
+                    name: 'limit',
+                    schema: requestSchemas.UserListQuery.properties.limit,
+                    description: 'Page size',
+                },
+                Cursor: {
+                    in: 'query',
+                    name: 'cursor',
+                    schema: { type: 'string' },
+                    description: '`nextCursor` of the previous page, omit for the first page',
+                },
+                From: {
+                    in: 'query',
+                    name: 'from',
+                    schema: { type: 'string', format: 'date-time' },
+                    description: 'Only records at or after this time',
+                },
+                To: {
+                    in: 'query',
+                    name: 'to',
+                    schema: { type: 'string', format: 'date-time' },
+                    description: 'Only records at or before this time',
+                },
             },
             schemas: {
+                // Request bodies, shared with the validation middleware
+                ...requestSchemas,
+                Error: {
+                    type: 'object',
+                    description: 'Body of every error response',
+                    properties: {
+                        code: { type: 'string', description: 'Stable, machine-readable error code', example: 'NOT_FOUND' },
+                        message: { type: 'string', description: 'Human-readable description, may change', example: 'Device not found' },
+                        details: { nullable: true, description: 'Extra data for some codes, e.g. field errors' },
+                    },
+                    required: ['code', 'message', 'details']
+                },
+                ValidationError: {
+                    allOf: [
+                        { $ref: '#/components/schemas/Error' },
+                        {
+                            type: 'object',
+                            properties: {
+                                code: { type: 'string', example: 'VALIDATION_FAILED' },
+                                message: { type: 'string', example: 'Validation failed' },
+                                details: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            field: { type: 'string', example: 'signalDbm' },
+                                            message: { type: 'string', example: 'must be an integer' },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    ],
+                },
+                Page: {
+                    type: 'object',
+                    description: 'One page of a list endpoint',
+                    properties: {
+                        data: { type: 'array', items: {} },
+                        nextCursor: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Pass as `cursor` to get the next page, null on the last page'
+                        },
+                    },
+                    required: ['data', 'nextCursor']
+                },
+                AuthTokens: {
+                    type: 'object',
+                    properties: {
+                        token: {
+                            type: 'string',
+                            description: 'Short-lived JWT access token, sent as a bearer token'
+                        },
+                        refreshToken: {
+                            type: 'string',
+                            description: 'Single-use token for /api/auth/refresh'
+                        }
+                    },
+                    required: ['token', 'refreshToken']
+                },
+                TwoFactorChallenge: {
+                    type: 'object',
+                    properties: {
+                        twoFactorRequired: { type: 'boolean', example: true },
+                        challengeToken: {
+                            type: 'string',
+                            description: 'Valid for 5 minutes, exchanged at /api/auth/2fa/verify'
+                        }
+                    },
+                    required: ['twoFactorRequired', 'challengeToken']
+                },
+                BackupCodes: {
+                    type: 'object',
+                    properties: {
+                        backupCodes: {
+                            type: 'array',
+                            items: { type: 'string', example: 'a1b2c-3d4e5' },
+                            description: 'Each code can be used once in place of an authenticator code'
+                        }
+                    },
+                    required: ['backupCodes']
+                },
+                Session: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', example: '666123abcde4567890123abc' },
+                        device: {
+                            allOf: [{ $ref: '#/components/schemas/DeviceSummary' }],
+                            nullable: true,
+                        },
+                        ipAddress: { type: 'string', example: '197.34.12.8' },
+                        userAgent: { type: 'string', example: 'Dart/3.4 (dart:io)' },
+                        lastUsedAt: { type: 'string', format: 'date-time' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        expiresAt: { type: 'string', format: 'date-time' },
+                        current: { type: 'boolean', description: 'Whether this is the session making the request' },
+                    },
+                    required: ['id', 'current']
+                },
+                DeviceSummary: {
+                    type: 'object',
+                    description: 'A device as nested in other records',
+                    properties: {
+                        id: { type: 'string' },
+                        platform: { type: 'string' },
+                        model: { type: 'string' },
+                        brand: { type: 'string' },
+                        deviceId: { type: 'string' },
+                    },
+                    required: ['id', 'platform']
+                },
                 DeviceInfo: {
                     type: 'object',
                     properties: {
-                        id: { type: 'string', example: "uuid-or-mongo-id" },
+                        id: { type: 'string', description: 'Server id, the {deviceId} of every /api/devices URL', example: '665f1c2e8b3e4a0012345678' },
                         platform: { type: 'string' },
                         model: { type: 'string' },
                         brand: { type: 'string' },
@@ -59,14 +213,79 @@ const swaggerSpec = swaggerJsdoc({
                         systemVersion: { type: 'string' },
                         sdkInt: { type: 'integer' },
                         isPhysicalDevice: { type: 'boolean' },
-                        deviceId: { type: 'string' },
+                        appVersion: { type: 'string', nullable: true },
+                        deviceId: { type: 'string', description: 'Vendor identifier, not used in URLs' },
                         userAgent: { type: 'string' },
                         hardwareConcurrency: { type: 'integer' },
                         deviceMemory: { type: 'number' },
                         userId: { type: 'string' },
+                        lastPinged: { type: 'string', format: 'date-time', nullable: true },
+                        offlineSince: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'When the device was marked offline after missing its heartbeats, null while online'
+                        },
+                        batteryLevel: { type: 'integer', nullable: true, description: 'Last reported, in percent', example: 42 },
+                        isCharging: { type: 'boolean', nullable: true },
+                        powerSaveMode: { type: 'boolean', nullable: true },
+                        batteryUpdatedAt: { type: 'string', format: 'date-time', nullable: true },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
                     },
                     required: ['id', 'platform']
                 },
+                BatteryReading: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        deviceId: { type: 'string' },
+                        level: { type: 'integer', description: 'Percent', example: 42 },
+                        isCharging: { type: 'boolean', nullable: true },
+                        powerSaveMode: { type: 'boolean', nullable: true },
+                        recordedAt: { type: 'string', format: 'date-time' },
+                    },
+                    required: ['id', 'level', 'recordedAt']
+                },
+                LatencyReading: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        deviceId: { type: 'string' },
+                        latencyMs: { type: 'number', nullable: true, description: 'Round trip time', example: 120 },
+                        jitterMs: { type: 'number', nullable: true, example: 15 },
+                        packetLossPercent: { type: 'number', nullable: true, example: 2.5 },
+                        recordedAt: { type: 'string', format: 'date-time' },
+                    },
+                    required: ['id', 'recordedAt']
+                },
+                DeviceApiKey: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        deviceId: { type: 'string' },
+                        label: { type: 'string', nullable: true, example: 'Rooftop monitor' },
+                        lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+                        revokedAt: { type: 'string', format: 'date-time', nullable: true },
+                        createdAt: { type: 'string', format: 'date-time' },
+                    },
+                    required: ['id', 'deviceId']
+                },
+                DeviceApiKeyWithSecret: {
+                    allOf: [
+                        { $ref: '#/components/schemas/DeviceApiKey' },
+                        {
+                            type: 'object',
+                            properties: {
+                                key: {
+                                    type: 'string',
+                                    description: 'Send as the X-Device-Key header. Shown only once.'
+                                },
+                            },
+                            required: ['key']
+                        },
+                    ]
+                },
                 ConnectivityLog: {
                     type: 'object',
                     properties: {
@@ -76,7 +295,15 @@ const swaggerSpec = swaggerJsdoc({
                         ipAddress: { type: 'string', nullable: true },
                         wifiName: { type: 'string', nullable: true },
                         wifiBSSID: { type: 'string', nullable: true },
+                        batteryLevel: { type: 'integer', nullable: true, description: 'Percent' },
+                        isCharging: { type: 'boolean', nullable: true },
+                        powerSaveMode: { type: 'boolean', nullable: true },
+                        latencyMs: { type: 'number', nullable: true },
+                        jitterMs: { type: 'number', nullable: true },
+                        packetLossPercent: { type: 'number', nullable: true },
+                        deviceId: { type: 'string' },
                         timestamp: { type: 'string', format: 'date-time' },
+                        device: { $ref: '#/components/schemas/DeviceSummary' },
                         location: {
                             type: 'object',
                             nullable: true,
@@ -122,6 +349,17 @@ const swaggerSpec = swaggerJsdoc({
                             type: 'string',
                             example: 'Ahmed Ali'
                         },
+                        emailVerifiedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'Alerts only go to the addresses the contact has verified'
+                        },
+                        phoneVerifiedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true
+                        },
                         type: {
                             type: 'string',
                             enum: ['EMERGENCY', 'FAVORITE'],
@@ -199,9 +437,31 @@ const swaggerSpec = swaggerJsdoc({
                             type: 'string',
                             example: 'male'
                         },
+                        emailVerifiedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'Unverified addresses are never used as alert destinations'
+                        },
+                        phoneVerifiedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true
+                        },
+                        twoFactorEnabledAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true
+                        },
                         avatar: {
                             type: 'string',
-                            example: '/users/60d0fe4f5311236168a109ca/avatar.png'
+                            description: '512×512 WebP',
+                            example: '/avatars/60d0fe4f5311236168a109ca/9f86d081884c7d659a2feaa0c55ad015.webp'
+                        },
+                        avatarThumbnail: {
+                            type: 'string',
+                            description: '128×128 WebP',
+                            example: '/avatars/60d0fe4f5311236168a109ca/9f86d081884c7d659a2feaa0c55ad015-thumb.webp'
                         },
                         role: {
                             type: 'string',
@@ -215,6 +475,22 @@ const swaggerSpec = swaggerJsdoc({
                         alertMode: {
                             $ref: '#/components/schemas/AlertMode'
                         },
+                        suspendedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'Set while an admin has suspended the account'
+                        },
+                        suspendedReason: {
+                            type: 'string',
+                            nullable: true
+                        },
+                        deletionScheduledFor: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'Set while a deletion is pending, the account is purged at this time'
+                        },
                         createdAt: {
                             type: 'string',
                             format: 'date-time',
@@ -228,6 +504,103 @@ const swaggerSpec = swaggerJsdoc({
                     },
                     required: ['id', 'name', 'email', 'phone', 'role']
                 },
+                UserOverview: {
+                    type: 'object',
+                    properties: {
+                        user: { $ref: '#/components/schemas/User' },
+                        deviceCount: { type: 'integer', example: 2 },
+                        lastPingAt: { type: 'string', format: 'date-time', nullable: true, description: 'Most recent ping of any of the devices' },
+                        lastPingDeviceId: { type: 'string', nullable: true },
+                        openAlertCount: { type: 'integer', description: 'Alerts not confirmed or dismissed yet', example: 1 },
+                        activeSessionCount: { type: 'integer', example: 3 },
+                    },
+                },
+                UserPreferences: {
+                    type: 'object',
+                    properties: {
+                        language: { type: 'string', enum: ['en', 'ar'], example: 'en' },
+                        timezone: { type: 'string', example: 'Africa/Cairo' },
+                        units: { type: 'string', enum: ['METRIC', 'IMPERIAL'], example: 'METRIC' },
+                        quietHoursStart: { type: 'string', nullable: true, example: '22:00' },
+                        quietHoursEnd: { type: 'string', nullable: true, example: '07:00' },
+                        alertByEmail: { type: 'boolean', example: true },
+                        alertBySms: { type: 'boolean', example: true },
+                        batteryLowThreshold: {
+                            type: 'integer',
+                            example: 15,
+                            description: 'Battery percent at or below which BATTERY_LOW alerts are raised'
+                        },
+                        updatedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            description: 'Absent while the user has the defaults'
+                        }
+                    },
+                    required: ['language', 'timezone', 'units', 'alertByEmail', 'alertBySms', 'batteryLowThreshold']
+                },
+                SignalThreshold: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        networkType: { type: 'string', enum: ['2G', '3G', '4G', '5G'], nullable: true, description: 'Null for any' },
+                        carrier: { type: 'string', nullable: true, description: 'Null for any', example: 'Vodafone' },
+                        maxDbm: { type: 'integer', example: -112 },
+                        maxLevel: { type: 'integer', example: 1 },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                    },
+                    required: ['id', 'maxDbm', 'maxLevel']
+                },
+                SignalThresholds: {
+                    type: 'object',
+                    properties: {
+                        thresholds: {
+                            type: 'array',
+                            items: { $ref: '#/components/schemas/SignalThreshold' },
+                            description: "The user's own thresholds"
+                        },
+                        defaults: {
+                            type: 'array',
+                            description: 'Built-in thresholds per network type, used where the user has none',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    networkType: { type: 'string', nullable: true },
+                                    maxDbm: { type: 'integer', example: -110 },
+                                    maxLevel: { type: 'integer', example: 1 },
+                                },
+                            },
+                        },
+                    },
+                    required: ['thresholds', 'defaults']
+                },
+                DataExport: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', example: '666123abcde4567890123fed' },
+                        status: {
+                            type: 'string',
+                            enum: ['PENDING', 'PROCESSING', 'READY', 'FAILED', 'EXPIRED'],
+                            example: 'READY'
+                        },
+                        sizeBytes: { type: 'integer', nullable: true, example: 48213 },
+                        error: { type: 'string', nullable: true },
+                        startedAt: { type: 'string', format: 'date-time', nullable: true },
+                        completedAt: { type: 'string', format: 'date-time', nullable: true },
+                        expiresAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'When the archive is deleted'
+                        },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        downloadUrl: {
+                            type: 'string',
+                            description: 'Only while READY, valid for 15 minutes'
+                        }
+                    },
+                    required: ['id', 'status', 'createdAt']
+                },
                 Alert: {
                     type: 'object',
                     properties: {
@@ -245,8 +618,9 @@ const swaggerSpec = swaggerJsdoc({
                         },
                         status: {
                             type: 'string',
-                            enum: ['PENDING', 'CONFIRMED', 'DISMISSED'],
+                            enum: ['PENDING', 'CONFIRMED', 'DISMISSED', 'RESOLVED'],
                             example: 'PENDING',
+                            description: 'RESOLVED when the condition cleared before the user acted, e.g. the device pinged again',
                         },
                         resolvedAt: {
                             type: 'string',
@@ -256,8 +630,10 @@ const swaggerSpec = swaggerJsdoc({
                         },
                         createdAt: { type: 'string', format: 'date-time', example: '2025-06-22T21:00:00Z' },
                         updatedAt: { type: 'string', format: 'date-time', example: '2025-06-22T21:30:00Z' },
-                        user: { $ref: '#/components/schemas/User' },
-                        device: { $ref: '#/components/schemas/DeviceInfo' },
+                        userId: { type: 'string' },
+                        deviceId: { type: 'string' },
+                        connectivityInfoId: { type: 'string', nullable: true },
+                        device: { $ref: '#/components/schemas/DeviceSummary' },
                         connectivityInfo: { $ref: '#/components/schemas/ConnectivityLog' },
                     },
                     required: ['id', 'mechanism', 'message', 'type', 'status']
@@ -277,6 +653,7 @@ const swaggerSpec = swaggerJsdoc({
         path.resolve(__dirname, '../controllers/locations.controller.js'),
         path.resolve(__dirname, '../controllers/mobile-network.controller.js'),
          path.resolve(__dirname, '../controllers/googlemap.controller.js'),
+        path.resolve(__dirname, '../controllers/cron.controller.js'),
     ], // path to files with JSDoc comments
 });
 
@@ -1,11 +1,42 @@
 import express from 'express';
 import bcrypt from 'bcrypt';
-import * as fs from 'fs';
 import { db } from '../lib/database.js';
-import { verifyToken } from '../lib/auth.js';
+import { verifyToken, revokeUserSessions } from '../lib/auth.js';
+import { requireRole, requireOwnership } from '../lib/authorization.js';
+import { UserRole, DataExportStatus } from '@prisma/client';
+import { clearTwoFactor } from '../lib/two-factor.js';
+import { isResendThrottled } from '../lib/one-time-codes.js';
+import { isAddressTaken, changePurpose, sendChangeCode, confirmChangeCode } from '../lib/verification.js';
+import { sendEmail } from '../lib/notifications.js';
+import { notification } from '../lib/i18n/index.js';
+import { getPreferences, isValidTimezone } from '../lib/preferences.js';
+import { DEFAULT_SIGNAL_THRESHOLDS, defaultSignalThreshold } from '../lib/signal-thresholds.js';
+import { saveAvatar, deleteAvatar } from '../lib/avatars.js';
+import { scheduleDeletion, cancelDeletion, purgeUser } from '../lib/account-deletion.js';
+import {
+    requestExport,
+    findActiveExport,
+    failIfStale,
+    createDownloadToken,
+    verifyDownloadToken,
+    readArchive,
+} from '../lib/data-export.js';
+import { isObjectId } from '../lib/helpers/object-id.js';
+import { ONE_TIME_CODE_RESEND_SECONDS } from '../lib/constants/config.js';
+import { serializeUser, serializeUserPreferences, serializeDataExport, serializeSignalThreshold } from '../lib/serializers.js';
+import { validate } from '../lib/validation.js';
+import { schemas } from '../lib/schemas.js';
+import { asyncHandler } from '../lib/error-handler.js';
+import { findPage, userFilter } from '../lib/pagination.js';
+import { AppError, BadRequestError, ConflictError, ForbiddenError, NotFoundError, TooManyRequestsError, ValidationError } from '../lib/errors.js';
 
 const router = express.Router();
 
+// A user may manage their own account, admins may manage any account
+const requireAccountOwner = requireOwnership('user', 'userId', { owner: (record) => record.id });
+// Credentials and addresses are only changed by the user themselves
+const requireSelf = requireOwnership('user', 'userId', { owner: (record) => record.id, allowAdmin: false });
+
 /**
  * @swagger
  * /api/users/active_user:
@@ -26,70 +57,96 @@ const router = express.Router();
  *       404:
  *         description: User not found
  */
-router.get('/active_user', verifyToken, async (req, res) => {
-    try {
-        const userId = req.user.id;
+router.get('/active_user', verifyToken, asyncHandler(async (req, res) => {
+    const userId = req.user.id;
 
-        const foundUser = await db.user.findUnique({
-            where: { id: userId }, include: {
-                alertMode: true
-            }
-        });
+    const foundUser = await db.user.findUnique({
+        where: { id: userId }, include: {
+            alertMode: true
+        }
+    });
 
-        if (!foundUser) return res.status(404).json({ message: 'User not found' });
+    if (!foundUser) throw new NotFoundError('User not found');
 
-        res.status(200).json(foundUser);
-    } catch (error) {
-        res.status(500).json({ message: 'Internal server error' });
-    }
-});
+    res.status(200).json(serializeUser(foundUser));
+}));
 
 /**
  * @swagger
  * /api/users:
  *   get:
- *     summary: Get all users (admin only)
+ *     summary: List users, newest first (admin only)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, updatedAt, -updatedAt, name, -name, email, -email]
+ *           default: -createdAt
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Part of the name, email or phone, case-insensitive
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [ADMIN, USER]
+ *       - in: query
+ *         name: alertModeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: suspended
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
- *         description: A list of users
+ *         description: A page of users
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/User'
- *       401:
- *         description: Unauthorized
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Forbidden (not admin)
  */
 
-router.get('/', verifyToken, async (req, res) => {
-
-    const user = req.user;
-
-    if (user.role !== 'ADMIN') {
-        return res.status(401).json({ message: 'Unauthorized' });
-    }
-
-    try {
-        const users = await db.user.findMany({
-            include: {
-                alertMode: true
-            }
-        });
-        res.status(200).json(users);
-    } catch (error) {
-        res.status(500).json({ message: 'Internal server error' });
-    }
-});
+router.get('/', verifyToken, requireRole(UserRole.ADMIN), validate({ query: schemas.UserListQuery }), asyncHandler(async (req, res) => {
+    res.status(200).json(await findPage(db.user, req.query, {
+        where: userFilter(req.query),
+        include: {
+            alertMode: true
+        },
+        serialize: serializeUser,
+    }));
+}));
 
 /**
  * @swagger
  * /api/users/{userId}:
  *   patch:
- *     summary: Update user info
+ *     summary: Update profile fields
+ *     description: |
+ *       Only the fields sent are changed. Email and phone are changed through
+ *       /api/users/{userId}/email/change and /api/users/{userId}/phone/change,
+ *       the password through /api/users/{userId}/password.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -105,21 +162,7 @@ router.get('/', verifyToken, async (req, res) => {
  *       content:
  *         multipart/form-data:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               email:
- *                 type: string
- *               phone:
- *                 type: string
- *               password:
- *                 type: string
- *               gender:
- *                 type: string
- *               avatar:
- *                 type: string
- *                 format: binary
+ *             $ref: '#/components/schemas/UserUpdate'
  *     responses:
  *       200:
  *         description: User updated
@@ -129,74 +172,306 @@ router.get('/', verifyToken, async (req, res) => {
  *               $ref: '#/components/schemas/User'
  *       400:
  *         description: Bad request
- *       401:
- *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not the account owner or admin)
  *       404:
  *         description: User not found
+ *       413:
+ *         description: Avatar larger than 5 MB (code AVATAR_TOO_LARGE)
+ *       415:
+ *         description: Avatar is not a JPEG, PNG, GIF or WebP image (code INVALID_AVATAR)
  */
 
-router.patch('/:userId', verifyToken, async (req, res) => {
+router.patch('/:userId', verifyToken, requireAccountOwner, validate({ body: schemas.UserUpdate }), asyncHandler(async (req, res) => {
     const { userId } = req.params;
-    const user = req.user;
+    const existingUser = req.resource;
 
-    if (user.id !== userId && user.role !== 'ADMIN') {
-        return res.status(401).json({ message: 'Unauthorized' });
-    }
-
-    const { name, email, password, phone, gender } = req.body;
-
-    let avatar;
-    try {
-        const existingUser = await db.user.findUnique({ where: { id: userId } });
-
-        if (!existingUser) {
-            return res.status(404).json({ message: 'User not found' });
-        }
-
-        if (req.files?.avatar) {
-            const avatarFile = req.files.avatar;
-            if (Array.isArray(avatarFile)) {
-                return res.status(400).json({ message: 'Only one avatar file allowed' });
-            }
+    const { name, gender } = req.body;
 
-            if (!avatarFile.mimetype.startsWith('image/')) {
-                return res.status(406).json({ message: 'Avatar must be an image' });
-            }
-
-            try {
-                if (existingUser.avatar) {
-                    fs.unlinkSync('./uploads' + existingUser.avatar);
-                }
-            } catch (error) {
-                console.warn('Avatar cleanup failed:', error.message);
-            }
+    let avatarFields;
 
-            avatarFile.mv(`./uploads/users/${userId}/` + avatarFile.name);
-            avatar = `/users/${userId}/${avatarFile.name}`.replace(/ /g, '%20');
+    if (req.files?.avatar) {
+        const avatarFile = req.files.avatar;
+        if (Array.isArray(avatarFile)) {
+            throw new BadRequestError('Only one avatar file allowed', { code: 'INVALID_AVATAR' });
         }
 
-        const hashedPassword = await bcrypt.hash(password, 10);
+        avatarFields = await saveAvatar(userId, avatarFile);
+    }
 
-        const updatedUser = await db.user.update({
+    let updatedUser;
+    try {
+        updatedUser = await db.user.update({
             where: { id: userId },
-            data: { name, email, password: hashedPassword, phone, gender, avatar },
+            data: { name, gender, ...avatarFields },
             include: {
                 alertMode: true
             }
         });
-
-        res.status(200).json(updatedUser);
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: 'Internal error' });
+        // Nothing points to the new avatar
+        if (avatarFields) {
+            deleteAvatar(avatarFields.avatarKey)
+                .catch((cleanupError) => console.warn('Avatar cleanup failed:', cleanupError.message));
+        }
+        throw error;
+    }
+
+    // Only once the new avatar is saved, a failed update keeps the old one
+    if (avatarFields && existingUser.avatarKey) {
+        deleteAvatar(existingUser.avatarKey)
+            .catch((error) => console.warn('Avatar cleanup failed:', error.message));
+    }
+
+    res.status(200).json(serializeUser(updatedUser));
+}));
+
+/**
+ * @swagger
+ * /api/users/{userId}/password:
+ *   post:
+ *     summary: Change the password (account owner only)
+ *     description: Signs out every other session of the user.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangePasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Missing fields, or the new password equals the current one
+ *       403:
+ *         description: Wrong current password (code INVALID_PASSWORD), or not the account owner
+ *       404:
+ *         description: User not found
+ */
+router.post('/:userId/password', verifyToken, requireSelf, validate({ body: schemas.ChangePasswordRequest }), asyncHandler(async (req, res) => {
+    const user = req.resource;
+    const { currentPassword, newPassword } = req.body;
+
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+        throw new ForbiddenError('Current password is incorrect', { code: 'INVALID_PASSWORD' });
+    }
+    if (currentPassword === newPassword) {
+        throw new BadRequestError('The new password must differ from the current one', { code: 'PASSWORD_UNCHANGED' });
     }
-});
+
+    await db.user.update({
+        where: { id: user.id },
+        data: { password: await bcrypt.hash(newPassword, 10) },
+    });
+    await revokeUserSessions(user.id, { exceptSessionId: req.authSession.id });
+
+    const notice = notification(req.language, 'passwordChanged');
+    sendEmail(user.email, notice.subject, notice.text, { language: req.language })
+        .catch((error) => console.error('Password change notice failed:', error.message));
+
+    res.status(200).json({ message: req.t('messages.passwordChanged') });
+}));
+
+/**
+ * Handlers of the email and phone change flows, which only differ in the channel.
+ */
+function requestAddressChange(channel) {
+    return asyncHandler(async (req, res) => {
+        const user = req.resource;
+        const address = req.body[channel];
+
+        if (address === user[channel]) {
+            throw new BadRequestError(`This is already your ${channel}`, { code: 'ADDRESS_UNCHANGED' });
+        }
+        if (await isAddressTaken(channel, address, user.id)) {
+            throw new ConflictError(`This ${channel} is already in use`, { code: 'ADDRESS_IN_USE' });
+        }
+        if (await isResendThrottled(user.id, changePurpose(channel))) {
+            throw new TooManyRequestsError('A code was sent recently, please wait before requesting another.', {
+                retryAfter: ONE_TIME_CODE_RESEND_SECONDS,
+                code: 'CODE_RECENTLY_SENT',
+            });
+        }
+
+        await sendChangeCode(user, channel, address, { language: req.language });
+
+        res.status(200).json({ message: req.t('messages.changeCodeSent', { channel: req.t(`channels.${channel}`) }) });
+    });
+}
+
+function confirmAddressChange(channel) {
+    return asyncHandler(async (req, res) => {
+        const changed = await confirmChangeCode(req.resource, channel, req.body.code, { language: req.language });
+        if (!changed) throw new BadRequestError('Invalid or expired code.', { code: 'INVALID_CODE' });
+
+        const user = await db.user.findUnique({ where: { id: changed.id }, include: { alertMode: true } });
+        res.status(200).json(serializeUser(user));
+    });
+}
+
+/**
+ * @swagger
+ * /api/users/{userId}/email/change:
+ *   post:
+ *     summary: Start changing the email (account owner only)
+ *     description: Sends a confirmation code to the new email. The current email stays in place until the code is confirmed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EmailChangeRequest'
+ *     responses:
+ *       200:
+ *         description: Confirmation code sent
+ *       400:
+ *         description: Invalid email, or the email is already the account's
+ *       403:
+ *         description: Forbidden (not the account owner)
+ *       409:
+ *         description: Email used by another account (code ADDRESS_IN_USE)
+ *       429:
+ *         description: A code was sent too recently
+ */
+router.post('/:userId/email/change', verifyToken, requireSelf, validate({ body: schemas.EmailChangeRequest }), requestAddressChange('email'));
+
+/**
+ * @swagger
+ * /api/users/{userId}/email/change/confirm:
+ *   post:
+ *     summary: Confirm the new email with the code sent to it (account owner only)
+ *     description: The previous email is notified of the change.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CodeRequest'
+ *     responses:
+ *       200:
+ *         description: Email changed and verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid or expired code
+ *       403:
+ *         description: Forbidden (not the account owner)
+ *       409:
+ *         description: The email was taken by another account in the meantime
+ */
+router.post('/:userId/email/change/confirm', verifyToken, requireSelf, validate({ body: schemas.CodeRequest }), confirmAddressChange('email'));
+
+/**
+ * @swagger
+ * /api/users/{userId}/phone/change:
+ *   post:
+ *     summary: Start changing the phone number (account owner only)
+ *     description: Sends a confirmation code by SMS to the new number. The current number stays in place until the code is confirmed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PhoneChangeRequest'
+ *     responses:
+ *       200:
+ *         description: Confirmation code sent
+ *       400:
+ *         description: Missing phone, or the number is already the account's
+ *       403:
+ *         description: Forbidden (not the account owner)
+ *       409:
+ *         description: Phone used by another account (code ADDRESS_IN_USE)
+ *       429:
+ *         description: A code was sent too recently
+ */
+router.post('/:userId/phone/change', verifyToken, requireSelf, validate({ body: schemas.PhoneChangeRequest }), requestAddressChange('phone'));
+
+/**
+ * @swagger
+ * /api/users/{userId}/phone/change/confirm:
+ *   post:
+ *     summary: Confirm the new phone number with the code sent to it (account owner only)
+ *     description: The previous number is notified of the change.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CodeRequest'
+ *     responses:
+ *       200:
+ *         description: Phone changed and verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid or expired code
+ *       403:
+ *         description: Forbidden (not the account owner)
+ *       409:
+ *         description: The number was taken by another account in the meantime
+ */
+router.post('/:userId/phone/change/confirm', verifyToken, requireSelf, validate({ body: schemas.CodeRequest }), confirmAddressChange('phone'));
 
 /**
  * @swagger
  * /api/users/{userId}:
  *   delete:
  *     summary: Delete a user
+ *     description: >
+ *       Schedules the account for deletion after a 14 day grace period and signs out every
+ *       other session. Until then it keeps working and the deletion can be cancelled; afterwards
+ *       the account is purged with its devices, connectivity logs, locations no one else uses,
+ *       contacts, alerts, saved places and data exports.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -207,30 +482,88 @@ router.patch('/:userId', verifyToken, async (req, res) => {
  *         schema:
  *           type: string
  *         description: The user ID
+ *       - in: query
+ *         name: immediate
+ *         schema:
+ *           type: boolean
+ *         description: Admins only, purge the account now
  *     responses:
+ *       202:
+ *         description: Deletion scheduled, see `deletionScheduledFor`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
  *       204:
- *         description: User deleted
- *       401:
- *         description: Unauthorized
+ *         description: User purged (immediate)
+ *       403:
+ *         description: Forbidden (not the account owner or admin, or immediate without admin role)
  *       404:
  *         description: User not found
+ *       409:
+ *         description: Deletion is already scheduled (code DELETION_PENDING)
  */
+router.delete('/:userId', verifyToken, requireAccountOwner, validate({ query: schemas.AccountDeletionQuery }), asyncHandler(async (req, res) => {
+    const user = req.resource;
 
-router.delete('/:userId', verifyToken, async (req, res) => {
-    const { userId } = req.params;
-    const user = req.user;
+    if (req.query.immediate) {
+        if (req.user.role !== UserRole.ADMIN) {
+            throw new ForbiddenError('Only admins can delete an account immediately');
+        }
+        await purgeUser(user.id);
+        return res.status(204).send();
+    }
 
-    if (user.id !== userId && user.role !== 'ADMIN') {
-        return res.status(401).json({ message: 'Unauthorized' });
+    if (user.deletionScheduledFor) {
+        throw new ConflictError('Account deletion is already scheduled', {
+            code: 'DELETION_PENDING',
+            details: { deletionScheduledFor: user.deletionScheduledFor },
+        });
     }
 
-    try {
-        await db.user.delete({ where: { id: userId } });
-        res.status(204).send();
-    } catch (error) {
-        res.status(500).json({ message: 'Internal error' });
+    // An admin deleting someone else's account has no session of theirs to keep
+    const exceptSessionId = req.user.id === user.id ? req.authSession.id : undefined;
+    const updated = await scheduleDeletion(user, { exceptSessionId });
+    res.status(202).json(serializeUser(updated));
+}));
+
+/**
+ * @swagger
+ * /api/users/{userId}/deletion/cancel:
+ *   post:
+ *     summary: Cancel a scheduled account deletion
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Forbidden (not the account owner or admin)
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: No deletion is scheduled (code NO_DELETION_PENDING)
+ */
+router.post('/:userId/deletion/cancel', verifyToken, requireAccountOwner, asyncHandler(async (req, res) => {
+    const user = req.resource;
+
+    if (!user.deletionScheduledFor) {
+        throw new ConflictError('No account deletion is scheduled', { code: 'NO_DELETION_PENDING' });
     }
-});
+
+    res.status(200).json(serializeUser(await cancelDeletion(user)));
+}));
 
 /**
  * @swagger
@@ -251,13 +584,7 @@ router.delete('/:userId', verifyToken, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - alertModeId
- *             properties:
- *               alertModeId:
- *                 type: string
- *                 example: "60f5a4c1b6f1a2b3c4d5e6f7"
+ *             $ref: '#/components/schemas/AlertModeSelection'
  *     responses:
  *       200:
  *         description: Alert mode updated
@@ -267,51 +594,780 @@ router.delete('/:userId', verifyToken, async (req, res) => {
  *               $ref: '#/components/schemas/User'
  *       400:
  *         description: alertModeId is missing
- *       401:
- *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not the account owner or admin)
  *       404:
  *         description: User not found
  */
-router.patch('/:userId/alert-mode', verifyToken, async (req, res) => {
+router.patch('/:userId/alert-mode', verifyToken, requireAccountOwner, validate({ body: schemas.AlertModeSelection }), asyncHandler(async (req, res) => {
     const { userId } = req.params;
-    const user = req.user;
-
-    if (user.id !== userId && user.role !== 'ADMIN') {
-        return res.status(401).json({ message: 'Unauthorized' });
-    }
-
     const { alertModeId } = req.body;
 
-    if (!alertModeId) {
-        return res.status(400).json({ message: 'alertModeId is missing' });
-    }
-
-    try {
-        const existingUser = await db.user.findUnique({ where: { id: userId } });
-
-        if (!existingUser) {
-            return res.status(404).json({ message: 'User not found' });
-        }
-
-        const updatedUser = await db.user.update({
-            where: { id: userId },
-            data: {
-                alertMode: {
-                    connect: {
-                        id: alertModeId
-                    }
+    const updatedUser = await db.user.update({
+        where: { id: userId },
+        data: {
+            alertMode: {
+                connect: {
+                    id: alertModeId
                 }
-            },
-            include: {
-                alertMode: true
             }
-        });
+        },
+        include: {
+            alertMode: true
+        }
+    });
 
-        res.status(200).json(updatedUser);
-    } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: 'Internal error' });
-    }
-});
+    res.status(200).json(serializeUser(updatedUser));
+}));
+
+/**
+ * @swagger
+ * /api/users/{userId}/preferences:
+ *   get:
+ *     summary: Get the user's preferences (account owner or Admin)
+ *     description: Users who never changed their preferences get the defaults.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The user's preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserPreferences'
+ *       403:
+ *         description: Forbidden (not the account owner or admin)
+ *       404:
+ *         description: User not found
+ */
+router.get('/:userId/preferences', verifyToken, requireAccountOwner, asyncHandler(async (req, res) => {
+    res.status(200).json(serializeUserPreferences(await getPreferences(req.resource.id)));
+}));
+
+/**
+ * @swagger
+ * /api/users/{userId}/preferences:
+ *   patch:
+ *     summary: Update the user's preferences (account owner or Admin)
+ *     description: |
+ *       Only the fields sent are changed. Low-signal alerts raised during quiet hours
+ *       are saved for confirmation instead of being sent automatically.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserPreferencesUpdate'
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserPreferences'
+ *       400:
+ *         description: Unknown time zone, only one quiet hours bound set, or every alert channel disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Forbidden (not the account owner or admin)
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:userId/preferences', verifyToken, requireAccountOwner, validate({ body: schemas.UserPreferencesUpdate }), asyncHandler(async (req, res) => {
+    const userId = req.resource.id;
+    const merged = { ...(await getPreferences(userId)), ...req.body };
+    const errors = [];
+
+    if (!isValidTimezone(merged.timezone)) {
+        errors.push({ field: 'timezone', message: req.t('validation.timezone') });
+    }
+    if (!merged.quietHoursStart !== !merged.quietHoursEnd) {
+        errors.push({ field: 'quietHoursEnd', message: req.t('validation.quietHoursPair') });
+    }
+    if (!merged.alertByEmail && !merged.alertBySms) {
+        errors.push({ field: 'alertBySms', message: req.t('validation.alertChannel') });
+    }
+    if (errors.length > 0) throw new ValidationError(errors);
+
+    const preferences = await db.userPreferences.upsert({
+        where: { userId },
+        create: { ...req.body, userId },
+        update: req.body,
+    });
+
+    res.status(200).json(serializeUserPreferences(preferences));
+}));
+
+/**
+ * Loads the signal threshold named by `:thresholdId` of the user named by `:userId`.
+ */
+async function findUserThreshold(req) {
+    const { userId, thresholdId } = req.params;
+
+    const threshold = isObjectId(thresholdId)
+        ? await db.signalThreshold.findFirst({ where: { id: thresholdId, userId } })
+        : null;
+    if (!threshold) throw new NotFoundError('Signal threshold not found');
+
+    return threshold;
+}
+
+/**
+ * One threshold per network type and carrier. The unique index compares
+ * carriers as they are written, thresholds match them case-insensitively.
+ */
+async function assertThresholdScopeFree(userId, { networkType, carrier }, exceptId) {
+    const existing = await db.signalThreshold.findFirst({
+        where: {
+            userId,
+            networkType,
+            carrier: carrier === null ? null : { equals: carrier, mode: 'insensitive' },
+            ...(exceptId && { id: { not: exceptId } }),
+        },
+    });
+
+    if (existing) {
+        throw new ConflictError('A signal threshold for this network type and carrier already exists', {
+            code: 'SIGNAL_THRESHOLD_EXISTS',
+            details: { id: existing.id },
+        });
+    }
+}
+
+/**
+ * @swagger
+ * /api/users/{userId}/signal-thresholds:
+ *   get:
+ *     summary: Get the user's signal threshold profile (account owner or Admin)
+ *     description: |
+ *       A ping reporting a signal at or below the threshold raises a LOW_SIGNAL alert. The most
+ *       specific threshold applies: network type and carrier, then network type, then carrier,
+ *       then one for any network, then the built-in default of the network type.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The user's thresholds and the built-in defaults
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SignalThresholds'
+ *       403:
+ *         description: Forbidden (not the account owner or admin)
+ *       404:
+ *         description: User not found
+ */
+router.get('/:userId/signal-thresholds', verifyToken, requireAccountOwner, asyncHandler(async (req, res) => {
+    const thresholds = await db.signalThreshold.findMany({
+        where: { userId: req.resource.id },
+        orderBy: { createdAt: 'asc' },
+    });
+
+    res.status(200).json({
+        thresholds: thresholds.map(serializeSignalThreshold),
+        defaults: DEFAULT_SIGNAL_THRESHOLDS,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/users/{userId}/signal-thresholds:
+ *   post:
+ *     summary: Add a signal threshold for a network type and/or carrier (account owner or Admin)
+ *     description: Bounds left out are taken from the built-in default of the network type.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignalThresholdInput'
+ *     responses:
+ *       201:
+ *         description: Threshold created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SignalThreshold'
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Forbidden (not the account owner or admin)
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user already has a threshold for this network type and carrier (code SIGNAL_THRESHOLD_EXISTS)
+ */
+router.post('/:userId/signal-thresholds', verifyToken, requireAccountOwner, validate({ body: schemas.SignalThresholdInput }), asyncHandler(async (req, res) => {
+    const userId = req.resource.id;
+    const { networkType = null, carrier = null, ...bounds } = req.body;
+
+    await assertThresholdScopeFree(userId, { networkType, carrier });
+
+    const { maxDbm, maxLevel } = defaultSignalThreshold(networkType);
+    const threshold = await db.signalThreshold.create({
+        data: { maxDbm, maxLevel, ...bounds, networkType, carrier, userId },
+    });
+
+    res.status(201).json(serializeSignalThreshold(threshold));
+}));
+
+/**
+ * @swagger
+ * /api/users/{userId}/signal-thresholds/{thresholdId}:
+ *   patch:
+ *     summary: Update a signal threshold (account owner or Admin)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: thresholdId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SignalThresholdUpdate'
+ *     responses:
+ *       200:
+ *         description: Threshold updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SignalThreshold'
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Forbidden (not the account owner or admin)
+ *       404:
+ *         description: User or threshold not found
+ *       409:
+ *         description: The user already has a threshold for this network type and carrier (code SIGNAL_THRESHOLD_EXISTS)
+ */
+router.patch('/:userId/signal-thresholds/:thresholdId', verifyToken, requireAccountOwner, validate({ body: schemas.SignalThresholdUpdate }), asyncHandler(async (req, res) => {
+    const threshold = await findUserThreshold(req);
+
+    if ('networkType' in req.body || 'carrier' in req.body) {
+        await assertThresholdScopeFree(threshold.userId, {
+            networkType: threshold.networkType,
+            carrier: threshold.carrier,
+            ...req.body,
+        }, threshold.id);
+    }
+
+    const updated = await db.signalThreshold.update({
+        where: { id: threshold.id },
+        data: req.body,
+    });
+
+    res.status(200).json(serializeSignalThreshold(updated));
+}));
+
+/**
+ * @swagger
+ * /api/users/{userId}/signal-thresholds/{thresholdId}:
+ *   delete:
+ *     summary: Delete a signal threshold (account owner or Admin)
+ *     description: Readings it covered are judged by the next most specific threshold again.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: thresholdId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Threshold deleted
+ *       403:
+ *         description: Forbidden (not the account owner or admin)
+ *       404:
+ *         description: User or threshold not found
+ */
+router.delete('/:userId/signal-thresholds/:thresholdId', verifyToken, requireAccountOwner, asyncHandler(async (req, res) => {
+    const threshold = await findUserThreshold(req);
+
+    await db.signalThreshold.delete({ where: { id: threshold.id } });
+    res.status(200).json({ message: req.t('messages.signalThresholdDeleted') });
+}));
+
+/**
+ * Loads the export named by `:exportId` of the user named by `:userId`.
+ */
+async function findUserExport(req) {
+    const { userId, exportId } = req.params;
+
+    const dataExport = isObjectId(exportId)
+        ? await db.dataExport.findFirst({ where: { id: exportId, userId } })
+        : null;
+    if (!dataExport) throw new NotFoundError('Data export not found');
+
+    return failIfStale(dataExport);
+}
+
+function isExpired(dataExport) {
+    return dataExport.status === DataExportStatus.EXPIRED
+        || (dataExport.status === DataExportStatus.READY && dataExport.expiresAt <= new Date());
+}
+
+/** Status of an export, with a fresh download link while the archive is available. */
+function presentExport(dataExport) {
+    if (isExpired(dataExport)) {
+        return { ...serializeDataExport(dataExport), status: DataExportStatus.EXPIRED };
+    }
+    if (dataExport.status !== DataExportStatus.READY) return serializeDataExport(dataExport);
+
+    const token = createDownloadToken(dataExport);
+    return {
+        ...serializeDataExport(dataExport),
+        downloadUrl: `/api/users/${dataExport.userId}/exports/${dataExport.id}/download?token=${token}`,
+    };
+}
+
+/**
+ * @swagger
+ * /api/users/{userId}/exports:
+ *   post:
+ *     summary: Request an export of all the user's data (account owner only)
+ *     description: |
+ *       Builds a zip with data.json and a CSV file per collection (profile, preferences,
+ *       devices, connectivity logs with their locations and networks, contacts, alerts,
+ *       saved places and sessions) in the background, usually within a minute. Poll the status
+ *       endpoint until it is READY.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Export queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DataExport'
+ *       403:
+ *         description: Forbidden (not the account owner)
+ *       409:
+ *         description: An export is already being built (code EXPORT_IN_PROGRESS), details hold its id
+ */
+router.post('/:userId/exports', verifyToken, requireSelf, asyncHandler(async (req, res) => {
+    const userId = req.resource.id;
+
+    const active = await findActiveExport(userId);
+    if (active) {
+        throw new ConflictError('An export is already being built', {
+            code: 'EXPORT_IN_PROGRESS',
+            details: { exportId: active.id },
+        });
+    }
+
+    const dataExport = await requestExport(userId);
+    res.status(202).json(presentExport(dataExport));
+}));
+
+/**
+ * @swagger
+ * /api/users/{userId}/exports/{exportId}:
+ *   get:
+ *     summary: Get the status of a data export (account owner only)
+ *     description: Once READY, `downloadUrl` holds a link valid for 15 minutes; call again for a new one.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: exportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DataExport'
+ *       403:
+ *         description: Forbidden (not the account owner)
+ *       404:
+ *         description: Data export not found
+ */
+router.get('/:userId/exports/:exportId', verifyToken, requireSelf, asyncHandler(async (req, res) => {
+    res.status(200).json(presentExport(await findUserExport(req)));
+}));
+
+/**
+ * @swagger
+ * /api/users/{userId}/exports/{exportId}/download:
+ *   get:
+ *     summary: Download a data export archive
+ *     description: Authenticated by the signed token in the link returned by the status endpoint, no bearer token needed.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: exportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The zip archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Invalid or expired link (code INVALID_DOWNLOAD_LINK)
+ *       404:
+ *         description: Data export not found, or not ready yet
+ *       410:
+ *         description: The archive was deleted after the retention period (code EXPORT_EXPIRED)
+ */
+router.get('/:userId/exports/:exportId/download', asyncHandler(async (req, res) => {
+    if (verifyDownloadToken(req.query.token) !== req.params.exportId) {
+        throw new ForbiddenError('Invalid or expired download link', { code: 'INVALID_DOWNLOAD_LINK' });
+    }
+
+    const dataExport = await findUserExport(req);
+
+    if (isExpired(dataExport)) throw new AppError(410, 'EXPORT_EXPIRED', 'This export has expired, please request a new one');
+    if (dataExport.status !== DataExportStatus.READY) throw new NotFoundError('Data export is not ready', { code: 'EXPORT_NOT_READY' });
+
+    const archive = await readArchive(dataExport);
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+
+    res.attachment(`sigme-data-${date}.zip`);
+    res.type('application/zip');
+    res.send(archive);
+}));
+
+/**
+ * @swagger
+ * /api/users/{userId}/two-factor:
+ *   delete:
+ *     summary: Reset a user's two-factor authentication (Admin only)
+ *     description: For users who lost both their authenticator and their backup codes.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Two-factor authentication reset
+ *       403:
+ *         description: Forbidden (not admin)
+ *       404:
+ *         description: User not found
+ */
+router.delete('/:userId/two-factor', verifyToken, requireRole(UserRole.ADMIN), requireAccountOwner, asyncHandler(async (req, res) => {
+    await clearTwoFactor(req.resource.id);
+    res.status(204).send();
+}));
+
+// ---------- Admin user management ----------
+
+/** Admins manage other accounts only, so they cannot lock themselves out. */
+function assertNotOwnAccount(req) {
+    if (req.resource.id === req.user.id) {
+        throw new ForbiddenError('Admins cannot change their own role or suspend themselves', { code: 'OWN_ACCOUNT' });
+    }
+}
+
+/**
+ * @swagger
+ * /api/users/{userId}/role:
+ *   patch:
+ *     summary: Promote or demote a user (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserRoleUpdate'
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid role
+ *       403:
+ *         description: Forbidden (not admin, or own account, code OWN_ACCOUNT)
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:userId/role', verifyToken, requireRole(UserRole.ADMIN), requireAccountOwner, validate({ body: schemas.UserRoleUpdate }), asyncHandler(async (req, res) => {
+    assertNotOwnAccount(req);
+
+    const user = await db.user.update({
+        where: { id: req.resource.id },
+        data: { role: req.body.role },
+        include: { alertMode: true },
+    });
+
+    res.status(200).json(serializeUser(user));
+}));
+
+/**
+ * @swagger
+ * /api/users/{userId}/suspend:
+ *   post:
+ *     summary: Suspend a user (Admin only)
+ *     description: |
+ *       Suspended users cannot sign in, refresh tokens or use their device keys,
+ *       and every request with an existing access token is refused with ACCOUNT_SUSPENDED.
+ *       Their sessions are kept, so they work again once the user is unsuspended.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserSuspension'
+ *     responses:
+ *       200:
+ *         description: User suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Forbidden (not admin, or own account, code OWN_ACCOUNT)
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User is already suspended (code ALREADY_SUSPENDED)
+ */
+router.post('/:userId/suspend', verifyToken, requireRole(UserRole.ADMIN), requireAccountOwner, validate({ body: schemas.UserSuspension }), asyncHandler(async (req, res) => {
+    assertNotOwnAccount(req);
+
+    if (req.resource.suspendedAt) {
+        throw new ConflictError('User is already suspended', { code: 'ALREADY_SUSPENDED' });
+    }
+
+    const user = await db.user.update({
+        where: { id: req.resource.id },
+        data: { suspendedAt: new Date(), suspendedReason: req.body.reason ?? null },
+        include: { alertMode: true },
+    });
+
+    res.status(200).json(serializeUser(user));
+}));
+
+/**
+ * @swagger
+ * /api/users/{userId}/unsuspend:
+ *   post:
+ *     summary: Lift a user's suspension (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suspension lifted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Forbidden (not admin)
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User is not suspended (code NOT_SUSPENDED)
+ */
+router.post('/:userId/unsuspend', verifyToken, requireRole(UserRole.ADMIN), requireAccountOwner, asyncHandler(async (req, res) => {
+    if (!req.resource.suspendedAt) {
+        throw new ConflictError('User is not suspended', { code: 'NOT_SUSPENDED' });
+    }
+
+    const user = await db.user.update({
+        where: { id: req.resource.id },
+        data: { suspendedAt: null, suspendedReason: null },
+        include: { alertMode: true },
+    });
+
+    res.status(200).json(serializeUser(user));
+}));
+
+/**
+ * @swagger
+ * /api/users/{userId}/sessions:
+ *   delete:
+ *     summary: Sign a user out everywhere (Admin only)
+ *     description: Revokes every session of the user. Device API keys are not affected.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Sessions revoked
+ *       403:
+ *         description: Forbidden (not admin)
+ *       404:
+ *         description: User not found
+ */
+router.delete('/:userId/sessions', verifyToken, requireRole(UserRole.ADMIN), requireAccountOwner, asyncHandler(async (req, res) => {
+    await revokeUserSessions(req.resource.id);
+    res.status(204).send();
+}));
+
+/**
+ * @swagger
+ * /api/users/{userId}/overview:
+ *   get:
+ *     summary: Get a user with their device and alert activity (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User overview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserOverview'
+ *       403:
+ *         description: Forbidden (not admin)
+ *       404:
+ *         description: User not found
+ */
+router.get('/:userId/overview', verifyToken, requireRole(UserRole.ADMIN), requireAccountOwner, asyncHandler(async (req, res) => {
+    const userId = req.resource.id;
+
+    const [user, deviceCount, lastPingedDevice, openAlertCount, activeSessionCount] = await Promise.all([
+        db.user.findUnique({ where: { id: userId }, include: { alertMode: true } }),
+        db.deviceInfo.count({ where: { userId } }),
+        db.deviceInfo.findFirst({
+            where: { userId, lastPinged: { not: null } },
+            orderBy: { lastPinged: 'desc' },
+            select: { id: true, lastPinged: true },
+        }),
+        db.alert.count({ where: { userId, resolvedAt: null } }),
+        db.session.count({ where: { userId, revokedAt: null, expiresAt: { gt: new Date() } } }),
+    ]);
+
+    res.status(200).json({
+        user: serializeUser(user),
+        deviceCount,
+        lastPingAt: lastPingedDevice?.lastPinged ?? null,
+        lastPingDeviceId: lastPingedDevice?.id ?? null,
+        openAlertCount,
+        activeSessionCount,
+    });
+}));
 
 export default router;
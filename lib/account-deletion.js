@@ -0,0 +1,148 @@
+import { db } from "./database.js";
+import { revokeUserSessions } from "./auth.js";
+import { deleteAvatar } from "./avatars.js";
+import { privateStorage } from "./storage/index.js";
+import { identifierKey } from "./login-throttle.js";
+import { sendEmail } from "./notifications.js";
+import { getPreferences, formatDateTime } from "./preferences.js";
+import { notification } from "./i18n/index.js";
+import { ACCOUNT_DELETION_GRACE_DAYS } from "./constants/config.js";
+
+// Account deletion happens in two steps: the request only schedules it, so
+// it can be cancelled during a grace period, then `purgeDueAccounts` removes
+// the account and everything that belongs to it.
+
+/**
+ * Schedules the account for deletion and signs out its other sessions.
+ * The current session is kept so the user can still cancel.
+ *
+ * @param {object} user User record
+ * @param {object} [options]
+ * @param {string} [options.exceptSessionId] session to keep
+ * @returns {Promise<object>} the updated user
+ */
+export async function scheduleDeletion(user, { exceptSessionId } = {}) {
+  const now = new Date();
+  const deletionScheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  const updated = await db.user.update({
+    where: { id: user.id },
+    data: { deletionRequestedAt: now, deletionScheduledFor },
+    include: { alertMode: true },
+  });
+
+  await revokeUserSessions(user.id, { exceptSessionId });
+
+  const preferences = await getPreferences(user.id);
+  const { subject, text, language } = notification(preferences.language, "accountDeletion", {
+    date: formatDateTime(deletionScheduledFor, preferences),
+  });
+  sendEmail(user.email, subject, text, { language })
+    .catch((error) => console.error("Deletion notice failed:", error.message));
+
+  return updated;
+}
+
+/**
+ * @param {object} user User record
+ * @returns {Promise<object>} the updated user
+ */
+export function cancelDeletion(user) {
+  return db.user.update({
+    where: { id: user.id },
+    data: { deletionRequestedAt: null, deletionScheduledFor: null },
+    include: { alertMode: true },
+  });
+}
+
+/**
+ * Deletes locations no connectivity log or saved place points to anymore.
+ * Locations are shared between users (see getOrCreateFuzzyLocation), so
+ * only those the purged account was the last user of go.
+ */
+async function deleteOrphanedLocations(locationIds) {
+  for (const id of new Set(locationIds)) {
+    const [logs, places] = await Promise.all([
+      db.connectivityInfo.count({ where: { locationId: id } }),
+      db.userLocation.count({ where: { locationId: id } }),
+    ]);
+    if (logs === 0 && places === 0) {
+      await db.location.deleteMany({ where: { id } });
+    }
+  }
+}
+
+/**
+ * Removes the account and everything that belongs to it: devices with their
+ * logs, network, battery and latency readings, API keys and alerts, locations only it used,
+ * contacts, saved places, sessions, codes, preferences, signal thresholds, data exports and files.
+ *
+ * Children are deleted before parents so an interrupted purge leaves no
+ * orphans and can simply run again.
+ *
+ * @param {string} userId
+ */
+export async function purgeUser(userId) {
+  const user = await db.user.findUnique({ where: { id: userId } });
+  if (!user) return;
+
+  const devices = await db.deviceInfo.findMany({ where: { userId }, select: { id: true } });
+  const deviceIds = devices.map((device) => device.id);
+
+  const logs = await db.connectivityInfo.findMany({
+    where: { deviceId: { in: deviceIds } },
+    select: { locationId: true, mobileNetworkInfoId: true },
+  });
+  const places = await db.userLocation.findMany({ where: { userId }, select: { locationId: true } });
+
+  const locationIds = [...logs, ...places].map((record) => record.locationId).filter(Boolean);
+  // A network reading is created per log, so it has no other user
+  const mobileNetworkInfoIds = logs.map((log) => log.mobileNetworkInfoId).filter(Boolean);
+
+  const exports = await db.dataExport.findMany({ where: { userId, storageKey: { not: null } } });
+  await Promise.all(exports.map((dataExport) => privateStorage.delete(dataExport.storageKey)));
+  if (user.avatarKey) await deleteAvatar(user.avatarKey);
+
+  await db.alert.deleteMany({ where: { OR: [{ userId }, { deviceId: { in: deviceIds } }] } });
+  await db.connectivityInfo.deleteMany({ where: { deviceId: { in: deviceIds } } });
+  await db.mobileNetworkInfo.deleteMany({ where: { id: { in: mobileNetworkInfoIds } } });
+  await db.userLocation.deleteMany({ where: { userId } });
+  await deleteOrphanedLocations(locationIds);
+
+  await db.deviceApiKey.deleteMany({ where: { deviceId: { in: deviceIds } } });
+  await db.batteryReading.deleteMany({ where: { deviceId: { in: deviceIds } } });
+  await db.latencyReading.deleteMany({ where: { deviceId: { in: deviceIds } } });
+  await db.session.deleteMany({ where: { userId } });
+  await db.deviceInfo.deleteMany({ where: { id: { in: deviceIds } } });
+
+  await db.contact.deleteMany({ where: { userId } });
+  await db.oneTimeCode.deleteMany({ where: { userId } });
+  await db.userPreferences.deleteMany({ where: { userId } });
+  await db.signalThreshold.deleteMany({ where: { userId } });
+  await db.dataExport.deleteMany({ where: { userId } });
+  await db.loginThrottle.deleteMany({
+    where: { key: { in: [user.email, user.phone].filter(Boolean).map(identifierKey) } },
+  });
+
+  await db.user.delete({ where: { id: userId } });
+}
+
+/**
+ * Purges every account whose grace period is over. Run as the "account-purge"
+ * job, see lib/jobs.js.
+ */
+export async function purgeDueAccounts() {
+  const due = await db.user.findMany({
+    where: { deletionScheduledFor: { lte: new Date() } },
+    select: { id: true },
+  });
+
+  for (const { id } of due) {
+    try {
+      await purgeUser(id);
+      console.log(`Purged account ${id}`);
+    } catch (error) {
+      console.error(`Purging account ${id} failed:`, error);
+    }
+  }
+}
@@ -0,0 +1,169 @@
+import { ContactTypeEnum, AlertType, AlertMechanism, AlertStatus } from "@prisma/client";
+import { db } from "./database.js";
+import { sendEmail, sendSms } from "./notifications.js";
+import { getPreferences, isQuietTime, formatDateTime } from "./preferences.js";
+import { notification } from "./i18n/index.js";
+
+// Notification template of each alert type, see lib/i18n
+const ALERT_NOTIFICATIONS = {
+  [AlertType.LOW_SIGNAL]: "lowSignal",
+  [AlertType.DEVICE_DISCONNECT]: "deviceDisconnect",
+  [AlertType.BATTERY_LOW]: "batteryLow",
+  [AlertType.HIGH_LATENCY]: "highLatency",
+};
+
+/**
+ * Renders the notification for an alert in the user's language.
+ * The body is what gets stored as `Alert.message`.
+ *
+ * @param {import('@prisma/client').AlertType} type
+ * @param {object} preferences as returned by `getPreferences`
+ * @param {object} [params] template values, e.g. `time`
+ * @returns {{ subject: string, text: string, language: string }}
+ */
+export function alertNotification(type, preferences, params) {
+  return notification(preferences.language, ALERT_NOTIFICATIONS[type], params);
+}
+
+/**
+ * Sends one notification, logging a failure instead of throwing: a broken
+ * mail or SMS provider must not fail the request or job that raised the alert.
+ *
+ * @param {() => Promise<unknown>} send
+ * @param {string} description recipient, for the log
+ * @returns {Promise<boolean>} whether it was sent
+ */
+async function attemptDelivery(send, description) {
+  try {
+    await send();
+    return true;
+  } catch (error) {
+    console.error(`Alert delivery to ${description} failed:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Delivers an alert to the user's emergency contacts, over the channels
+ * enabled in the user's preferences: by email to the first contact whose
+ * email is verified, by SMS to the first whose phone is. When no such
+ * contact could be reached it falls back to the user's own email or phone,
+ * again only to verified addresses. Texts are expected in the user's
+ * language, emails are laid out for it. Failed sends are logged, never thrown.
+ *
+ * @param {object} user User record
+ * @param {string} subject
+ * @param {string} message
+ * @param {object} [preferences] as returned by `getPreferences`, loaded when omitted
+ * @returns {Promise<boolean>} whether the alert reached at least one recipient
+ */
+export async function notifyEmergencyContacts(user, subject, message, preferences) {
+  const { alertByEmail, alertBySms, language } = preferences ?? await getPreferences(user.id);
+
+  const userEmergencyContacts = await db.contact.findMany({
+    where: {
+      userId: user.id,
+      type: ContactTypeEnum.EMERGENCY,
+    },
+  });
+
+  const emailContact = alertByEmail && userEmergencyContacts.find((contact) => contact.emailVerifiedAt);
+  const smsContact = alertBySms && userEmergencyContacts.find((contact) => contact.phoneVerifiedAt);
+
+  const emailed = Boolean(emailContact) && await attemptDelivery(
+    () => sendEmail(emailContact.email, subject, message, { language }),
+    `contact ${emailContact.id} by email`,
+  );
+  const texted = Boolean(smsContact) && await attemptDelivery(
+    () => sendSms(smsContact.phone, message),
+    `contact ${smsContact.id} by SMS`,
+  );
+  if (emailed || texted) return true;
+
+  if (alertByEmail && user.emailVerifiedAt && await attemptDelivery(
+    () => sendEmail(user.email, subject, message, { language }),
+    `user ${user.id} by email`,
+  )) return true;
+
+  if (alertBySms && user.phoneVerifiedAt && await attemptDelivery(
+    () => sendSms(user.phone, message),
+    `user ${user.id} by SMS`,
+  )) return true;
+
+  console.warn(`No alert destination of user ${user.id} could be reached, alert not delivered`);
+  return false;
+}
+
+/**
+ * Raises an alert for a device through its owner's alert mode. With
+ * "auto_alert" the emergency contacts are notified right away, except during
+ * quiet hours, and the alert is CONFIRMED once delivered. Otherwise, or when
+ * it could not be delivered, it stays PENDING for the user to confirm, which
+ * sends it again, or dismiss.
+ *
+ * @param {{ id: string, userId: string }} device DeviceInfo record
+ * @param {import('@prisma/client').AlertType} type
+ * @param {object} [params] template values, dates are formatted in the user's time zone;
+ *   `time` defaults to `at`
+ * @param {object} [options]
+ * @param {Date} [options.at] when the condition was detected
+ * @param {boolean} [options.urgent] notify automatically even during quiet hours
+ * @param {string} [options.template] notification to send instead of the type's own
+ * @param {string} [options.connectivityInfoId] log of the reading that raised it
+ * @returns {Promise<object|null>} the Alert record, null when the user has no known alert mode
+ */
+export async function raiseAlert(device, type, params = {}, { at = new Date(), urgent = false, template, connectivityInfoId } = {}) {
+  const user = await db.user.findUnique({ where: { id: device.userId }, include: { alertMode: true } });
+  const mechanism = user?.alertMode?.key;
+
+  if (!Object.values(AlertMechanism).includes(mechanism)) {
+    console.log(`UNKNOWN MECHANISM: No ${type} alert raised for device ${device.id}`);
+    return null;
+  }
+
+  const preferences = await getPreferences(user.id);
+  const values = Object.fromEntries(Object.entries({ time: at, ...params }).map(([name, value]) => [
+    name,
+    value instanceof Date ? formatDateTime(value, preferences) : value,
+  ]));
+  const { subject, text: message } = notification(preferences.language, template ?? ALERT_NOTIFICATIONS[type], values);
+  const notifyNow = mechanism === AlertMechanism.auto_alert && (urgent || !isQuietTime(preferences, at));
+
+  const alert = await db.alert.create({
+    data: {
+      userId: user.id,
+      deviceId: device.id,
+      connectivityInfoId,
+      type,
+      message,
+      mechanism,
+    },
+  });
+  if (!notifyNow || !(await notifyEmergencyContacts(user, subject, message, preferences))) return alert;
+
+  return db.alert.update({
+    where: { id: alert.id },
+    data: { status: AlertStatus.CONFIRMED, resolvedAt: at },
+  });
+}
+
+/**
+ * Marks the device's alerts of a type raised since `since` and still waiting
+ * for the user as RESOLVED, once the condition that raised them is over.
+ *
+ * @param {string} deviceId
+ * @param {import('@prisma/client').AlertType} type
+ * @param {Date} since when the condition started
+ * @param {Date} [at]
+ * @returns {Promise<number>} how many alerts were already CONFIRMED, i.e. delivered to the contacts
+ */
+export async function resolvePendingAlerts(deviceId, type, since, at = new Date()) {
+  const raised = { deviceId, type, createdAt: { gte: since } };
+
+  await db.alert.updateMany({
+    where: { ...raised, status: AlertStatus.PENDING },
+    data: { status: AlertStatus.RESOLVED, resolvedAt: at },
+  });
+
+  return db.alert.count({ where: { ...raised, status: AlertStatus.CONFIRMED } });
+}
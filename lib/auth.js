@@ -1,29 +1,237 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { db } from "./database.js";
+import { isObjectId } from "./helpers/object-id.js";
+import { ForbiddenError, UnauthorizedError } from "./errors.js";
+import { useLanguage } from "./i18n/index.js";
+import { ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_DAYS, SESSION_TOUCH_INTERVAL_SECONDS } from "./constants/config.js";
 
-export function verifyToken(req, res, next) {
+/**
+ * @param {string} token raw token or secret
+ * @returns {string} sha256 hex digest, the only form secrets are stored in
+ */
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * @param {import('express').Request} req
+ * @returns {{ ipAddress: string, userAgent: string|undefined }} what sessions record about the client
+ */
+export function clientContext(req) {
+  return { ipAddress: req.ip, userAgent: req.get("user-agent") };
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Rejects users an admin suspended, for every way of authenticating.
+ *
+ * @param {object} user User record
+ * @throws {ForbiddenError} ACCOUNT_SUSPENDED
+ */
+export function assertNotSuspended(user) {
+  if (user.suspendedAt) {
+    throw new ForbiddenError("Account suspended", {
+      code: "ACCOUNT_SUSPENDED",
+      details: { reason: user.suspendedReason ?? null },
+    });
+  }
+}
+
+/**
+ * Signs a short-lived access token. Only the identifiers are embedded,
+ * the user record itself is reloaded on every request by `verifyToken`.
+ */
+function signAccessToken(user, session) {
+  return jwt.sign(
+    { user: { id: user.id, role: user.role }, sid: session.id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Opens a new server-side session for the user.
+ *
+ * @param {object} user User record
+ * @param {object} [options]
+ * @param {string} [options.deviceId] DeviceInfo id the session is opened on, must belong to the user
+ * @param {string} [options.ipAddress]
+ * @param {string} [options.userAgent]
+ * @returns {Promise<{ token: string, refreshToken: string, session: object }>}
+ */
+export async function createSession(user, { deviceId, ipAddress, userAgent } = {}) {
+  const secret = crypto.randomBytes(48).toString("hex");
+
+  const session = await db.session.create({
+    data: {
+      userId: user.id,
+      deviceId,
+      ipAddress,
+      userAgent,
+      lastUsedAt: new Date(),
+      refreshTokenHash: hashToken(secret),
+      expiresAt: refreshExpiry(),
+    },
+  });
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: `${session.id}.${secret}`,
+    session,
+  };
+}
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair.
+ * Replaying an already rotated refresh token revokes the whole session.
+ *
+ * @param {string} refreshToken `<sessionId>.<secret>` as issued by `createSession`
+ * @param {object} [client] as returned by `clientContext`
+ * @returns {Promise<{ token: string, refreshToken: string, session: object } | null>}
+ * @throws {ForbiddenError} ACCOUNT_SUSPENDED
+ */
+export async function rotateSession(refreshToken, { ipAddress, userAgent } = {}) {
+  const [sessionId, secret] = String(refreshToken).split(".");
+  if (!isObjectId(sessionId) || !secret) return null;
+
+  const session = await db.session.findUnique({
+    where: { id: sessionId },
+    include: { user: true },
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date() || !session.user) {
+    return null;
+  }
+
+  const presentedHash = hashToken(secret);
+
+  if (presentedHash === session.previousRefreshTokenHash) {
+    console.warn(`Refresh token reuse detected, revoking session ${session.id}`);
+    await revokeSession(session.id);
+    return null;
+  }
+
+  if (presentedHash !== session.refreshTokenHash) return null;
+
+  assertNotSuspended(session.user);
+
+  const nextSecret = crypto.randomBytes(48).toString("hex");
+
+  // Conditional on the presented hash, so of two concurrent refreshes with
+  // the same token only the first gets a new pair
+  const { count } = await db.session.updateMany({
+    where: { id: session.id, refreshTokenHash: presentedHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(nextSecret),
+      previousRefreshTokenHash: presentedHash,
+      expiresAt: refreshExpiry(),
+      lastUsedAt: new Date(),
+      ...(ipAddress && { ipAddress }),
+      ...(userAgent && { userAgent }),
+    },
+  });
+  if (count === 0) return null;
+
+  const updated = await db.session.findUnique({ where: { id: session.id } });
+
+  return {
+    token: signAccessToken(session.user, updated),
+    refreshToken: `${updated.id}.${nextSecret}`,
+    session: updated,
+  };
+}
+
+/**
+ * @param {string} sessionId
+ */
+export async function revokeSession(sessionId) {
+  await db.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+}
+
+/**
+ * Revokes every active session of a user, e.g. after a password change.
+ *
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string} [options.exceptSessionId] session to keep alive (usually the caller's)
+ */
+export async function revokeUserSessions(userId, { exceptSessionId } = {}) {
+  await db.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: { revokedAt: new Date() },
+  });
+}
+
+/**
+ * Records where and when a session was last used. Writes are skipped while
+ * nothing changed within the touch interval, so not every request hits the database.
+ */
+function touchSession(session, { ipAddress, userAgent }) {
+  const stale = !session.lastUsedAt ||
+    Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_SECONDS * 1000;
+
+  if (!stale && session.ipAddress === ipAddress && session.userAgent === userAgent) return;
+
+  db.session
+    .update({ where: { id: session.id }, data: { lastUsedAt: new Date(), ipAddress, userAgent } })
+    .catch((error) => console.error("Session touch failed:", error.message));
+}
+
+export async function verifyToken(req, res, next) {
   const bearerHeader = req.headers["authorization"];
 
+  if (typeof bearerHeader === "undefined") {
+    return next(new ForbiddenError("No token provided", { code: "TOKEN_MISSING" }));
+  }
+
+  const bearerToken = bearerHeader.split(" ")[1];
+
+  let decoded;
+  try {
+    decoded = jwt.verify(bearerToken, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      return next(new UnauthorizedError("Token expired", { code: "TOKEN_EXPIRED" }));
+    }
+    return next(new ForbiddenError("Invalid Token", { code: "TOKEN_INVALID" }));
+  }
+
   try {
-    if (typeof bearerHeader !== "undefined") {
-      const bearer = bearerHeader.split(" ");
-      const bearerToken = bearer[1];
-
-      jwt.verify(bearerToken, process.env.JWT_SECRET, (err, decoded) => {
-        if (err) {
-          if (err.name === "JsonWebTokenError") {
-            return res.status(401).json({ message: "Token expired" });
-          } else {
-            return res.status(403).json({ message: "Invalid Token" });
-          }
-        }
-        req.token = bearerToken;
-        req.user = decoded.user; // ✅ Attach the user to the request
-        next();
-      });
-    } else {
-      res.status(403).json({ message: "No token provided" });
+    const session = isObjectId(decoded.sid)
+      ? await db.session.findUnique({
+        where: { id: decoded.sid },
+        include: { user: { include: { preferences: true } } },
+      })
+      : null;
+
+    if (!session || session.revokedAt || session.expiresAt < new Date() || !session.user) {
+      return next(new UnauthorizedError("Session revoked", { code: "SESSION_REVOKED" }));
     }
+
+    // A language chosen in the app's settings wins over the device's Accept-Language
+    if (session.user.preferences) useLanguage(req, session.user.preferences.language);
+
+    assertNotSuspended(session.user);
+
+    req.token = bearerToken;
+    req.user = session.user; // ✅ Always the current user row, never the token snapshot
+    req.authSession = session;
+
+    touchSession(session, clientContext(req));
   } catch (error) {
-    res.status(500).json({ message: "Internal Error" });
+    return next(error);
   }
+
+  next();
 }
@@ -0,0 +1,64 @@
+import { UserRole } from "@prisma/client";
+import { db } from "./database.js";
+import { isObjectId } from "./helpers/object-id.js";
+import { ForbiddenError, NotFoundError, UnauthorizedError } from "./errors.js";
+
+/**
+ * Lets the request through only for users holding one of the roles.
+ * Must run after `verifyToken`.
+ *
+ * @param {...import('@prisma/client').UserRole} roles
+ * @returns {import('express').RequestHandler}
+ *
+ * @example router.get('/', verifyToken, requireRole(UserRole.ADMIN), handler)
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) return next(new UnauthorizedError());
+    if (!roles.includes(req.user.role)) return next(new ForbiddenError());
+    next();
+  };
+}
+
+/**
+ * Loads the record addressed by a route param and lets the request through
+ * only for its owner, or for admins unless `allowAdmin` is off.
+ * The loaded record is exposed to the handler as `req.resource`.
+ * Must run after `verifyToken`.
+ *
+ * @param {string} model Prisma delegate name, e.g. "deviceInfo"
+ * @param {string} idParam route param holding the record id
+ * @param {object} [options]
+ * @param {(record: object) => string|null|undefined} [options.owner] resolves the owning user id, defaults to `record.userId`
+ * @param {object} [options.include] Prisma include, e.g. to reach the owner through a relation
+ * @param {boolean} [options.allowAdmin=true] whether admins bypass the ownership check
+ * @returns {import('express').RequestHandler}
+ *
+ * @example router.delete('/:id', verifyToken, requireOwnership('contact', 'id'), handler)
+ */
+export function requireOwnership(model, idParam, { owner = (record) => record.userId, include, allowAdmin = true } = {}) {
+  return async (req, res, next) => {
+    if (!req.user) return next(new UnauthorizedError());
+
+    const id = req.params[idParam];
+
+    let record = null;
+    try {
+      if (isObjectId(id)) {
+        record = await db[model].findUnique({ where: { id }, ...(include && { include }) });
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!record) return next(new NotFoundError());
+
+    const isAdmin = allowAdmin && req.user.role === UserRole.ADMIN;
+    if (!isAdmin && owner(record) !== req.user.id) {
+      return next(new ForbiddenError());
+    }
+
+    req.resource = record;
+    next();
+  };
+}
@@ -0,0 +1,99 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import { storage } from "./storage/index.js";
+import { AppError } from "./errors.js";
+import {
+  AVATAR_MAX_BYTES,
+  AVATAR_MAX_PIXELS,
+  AVATAR_SIZE,
+  AVATAR_THUMBNAIL_SIZE,
+} from "./constants/config.js";
+
+// Avatars are re-encoded server side: the upload itself is never stored, so
+// its name, metadata (EXIF location included) and any payload hidden in it
+// are dropped. Each upload gets a random key, old URLs never show a new image.
+
+/**
+ * Detects the image format from the file's magic bytes,
+ * the client-supplied name and MIME type are not trusted.
+ *
+ * @param {Buffer} data
+ * @returns {string|null} MIME type, or null for anything but JPEG, PNG, GIF and WebP
+ */
+export function sniffImageType(data) {
+  const startsWith = (bytes, offset = 0) => bytes.every((byte, index) => data[offset + index] === byte);
+
+  if (startsWith([0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (startsWith([0x47, 0x49, 0x46, 0x38])) return "image/gif";
+  if (startsWith([0x52, 0x49, 0x46, 0x46]) && startsWith([0x57, 0x45, 0x42, 0x50], 8)) return "image/webp";
+
+  return null;
+}
+
+function resize(data, size) {
+  return sharp(data, { limitInputPixels: AVATAR_MAX_PIXELS })
+    .rotate() // apply the EXIF orientation before it is stripped
+    .resize(size, size, { fit: "cover" })
+    .webp({ quality: 85 })
+    .toBuffer();
+}
+
+/**
+ * Validates an uploaded avatar and stores a square image and a thumbnail.
+ *
+ * @param {string} userId
+ * @param {import('express-fileupload').UploadedFile} file
+ * @returns {Promise<{ avatar: string, avatarThumbnail: string, avatarKey: string }>} User fields to save
+ * @throws {AppError} 413 AVATAR_TOO_LARGE, 415 INVALID_AVATAR
+ */
+export async function saveAvatar(userId, file) {
+  if (file.truncated || file.size > AVATAR_MAX_BYTES) {
+    throw new AppError(413, "AVATAR_TOO_LARGE", `Avatar must be at most ${AVATAR_MAX_BYTES / 1024 / 1024} MB`);
+  }
+  if (!sniffImageType(file.data)) {
+    throw new AppError(415, "INVALID_AVATAR", "Avatar must be a JPEG, PNG, GIF or WebP image");
+  }
+
+  let image, thumbnail;
+  try {
+    [image, thumbnail] = await Promise.all([
+      resize(file.data, AVATAR_SIZE),
+      resize(file.data, AVATAR_THUMBNAIL_SIZE),
+    ]);
+  } catch {
+    // Corrupt data behind valid magic bytes, or too many pixels
+    throw new AppError(415, "INVALID_AVATAR", "Avatar image could not be processed");
+  }
+
+  const avatarKey = `avatars/${userId}/${crypto.randomBytes(16).toString("hex")}`;
+
+  try {
+    await Promise.all([
+      storage.put(`${avatarKey}.webp`, image, "image/webp"),
+      storage.put(`${avatarKey}-thumb.webp`, thumbnail, "image/webp"),
+    ]);
+  } catch (error) {
+    // Either image may have been stored
+    deleteAvatar(avatarKey).catch((cleanupError) => console.warn("Avatar cleanup failed:", cleanupError.message));
+    throw error;
+  }
+
+  return {
+    avatar: storage.url(`${avatarKey}.webp`),
+    avatarThumbnail: storage.url(`${avatarKey}-thumb.webp`),
+    avatarKey,
+  };
+}
+
+/**
+ * Removes the files of an avatar stored by `saveAvatar`.
+ *
+ * @param {string} avatarKey
+ */
+export async function deleteAvatar(avatarKey) {
+  await Promise.all([
+    storage.delete(`${avatarKey}.webp`),
+    storage.delete(`${avatarKey}-thumb.webp`),
+  ]);
+}
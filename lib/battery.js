@@ -0,0 +1,110 @@
+import { AlertType } from "@prisma/client";
+import { db } from "./database.js";
+import { raiseAlert, resolvePendingAlerts } from "./alerts.js";
+import { deviceLabel } from "./devices.js";
+import { getPreferences } from "./preferences.js";
+import { BATTERY_LOW_RECOVERY_MARGIN } from "./constants/config.js";
+
+// Battery telemetry arrives with pings and connectivity logs. The device
+// keeps the last reported state, BatteryReading the history, and a
+// BATTERY_LOW alert is raised once when a discharging device reaches the
+// user's threshold. It is resolved when the device charges or recovers a
+// margin above the threshold, so a level hovering around it alerts only once.
+
+const BATTERY_FIELDS = ["batteryLevel", "isCharging", "powerSaveMode"];
+
+/**
+ * Picks the battery fields present in a telemetry payload.
+ *
+ * @param {object} payload PingRequest, ConnectivityLogInput or DisconnectRequest
+ * @returns {{ batteryLevel?: number, isCharging?: boolean, powerSaveMode?: boolean }}
+ */
+export function batteryFields(payload) {
+  return Object.fromEntries(BATTERY_FIELDS
+    .filter((field) => payload[field] !== undefined)
+    .map((field) => [field, payload[field]]));
+}
+
+/**
+ * Stores a battery report of the device and raises or resolves its
+ * BATTERY_LOW alert. A low battery in a weak-signal area may soon leave the
+ * user unreachable, so that alert says so and ignores quiet hours.
+ *
+ * @param {object} device DeviceInfo record
+ * @param {object} report as returned by `batteryFields`
+ * @param {object} [options]
+ * @param {Date} [options.at]
+ * @param {boolean} [options.weakSignal] whether the same report found a weak mobile signal
+ * @returns {Promise<{ low: boolean, alert: object|null }>} whether the battery is low,
+ *   and the alert raised by this report if any
+ */
+export async function recordBattery(device, report, { at = new Date(), weakSignal = false } = {}) {
+  if (Object.keys(report).length === 0) return { low: Boolean(device.batteryLowSince), alert: null };
+
+  const state = {
+    batteryLevel: device.batteryLevel ?? null,
+    isCharging: device.isCharging ?? null,
+    powerSaveMode: device.powerSaveMode ?? null,
+    ...report,
+  };
+  const changed = BATTERY_FIELDS.some((field) => state[field] !== (device[field] ?? null));
+
+  if (changed && state.batteryLevel !== null) {
+    await db.batteryReading.create({
+      data: {
+        deviceId: device.id,
+        level: state.batteryLevel,
+        isCharging: state.isCharging,
+        powerSaveMode: state.powerSaveMode,
+        recordedAt: at,
+      },
+    });
+  }
+
+  const { batteryLowThreshold } = await getPreferences(device.userId);
+  const { batteryLevel, isCharging } = state;
+  const wasLow = Boolean(device.batteryLowSince);
+  const low = batteryLevel !== null && !isCharging && (
+    wasLow
+      ? batteryLevel < batteryLowThreshold + BATTERY_LOW_RECOVERY_MARGIN
+      : batteryLevel <= batteryLowThreshold
+  );
+
+  await db.deviceInfo.update({
+    where: { id: device.id },
+    data: { ...state, batteryUpdatedAt: at },
+  });
+
+  // Conditional updates, so concurrent reports raise or resolve the alert once
+  let alert = null;
+  if (low && !wasLow) {
+    const { count } = await db.deviceInfo.updateMany({
+      where: { id: device.id, batteryLowSince: null },
+      data: { batteryLowSince: at },
+    });
+    if (count > 0) {
+      try {
+        alert = await raiseAlert(device, AlertType.BATTERY_LOW, {
+          device: deviceLabel(device),
+          level: batteryLevel,
+        }, { at, urgent: weakSignal, template: weakSignal ? "batteryLowWeakSignal" : undefined });
+      } catch (error) {
+        // Undelivered alerts stay pending, but with no alert at all the
+        // flag is cleared so the next report raises it again
+        await db.deviceInfo.updateMany({
+          where: { id: device.id, batteryLowSince: at },
+          data: { batteryLowSince: null },
+        });
+        throw error;
+      }
+    }
+  } else if (!low && wasLow) {
+    const { count } = await db.deviceInfo.updateMany({
+      where: { id: device.id, batteryLowSince: device.batteryLowSince },
+      data: { batteryLowSince: null },
+    });
+    if (count > 0) await resolvePendingAlerts(device.id, AlertType.BATTERY_LOW, device.batteryLowSince, at);
+  }
+
+  return { low, alert };
+}
@@ -1 +1,79 @@
-export const PORT = process.env.PORT || 3000;
\ No newline at end of file
+export const PORT = process.env.PORT || 3000;
+
+// Access tokens are short-lived, sessions are kept alive through rotating refresh tokens
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+export const SESSION_TOUCH_INTERVAL_SECONDS = 60; // how often lastUsedAt/IP/user agent are written back
+
+// One-time codes (password reset, verification)
+export const ONE_TIME_CODE_TTL_MINUTES = Number(process.env.ONE_TIME_CODE_TTL_MINUTES) || 10;
+export const ONE_TIME_CODE_MAX_ATTEMPTS = 5;
+export const ONE_TIME_CODE_RESEND_SECONDS = 60;
+
+// Development only: the SMS mock reports messages as sent, see lib/notifications.js
+export const SMS_MOCK_DELIVERY = process.env.SMS_MOCK_DELIVERY === 'true';
+
+// Login brute-force protection
+export const LOGIN_FREE_ATTEMPTS = 3; // failures before progressive delays kick in
+export const LOGIN_MAX_DELAY_SECONDS = 5 * 60;
+export const LOGIN_IDENTIFIER_LOCK_THRESHOLD = 10;
+export const LOGIN_IP_LOCK_THRESHOLD = 50;
+export const LOGIN_LOCK_MINUTES = 15;
+export const LOGIN_FAILURE_WINDOW_MINUTES = 60; // failures older than this are forgotten
+
+// Two-factor authentication
+export const TWO_FACTOR_CHALLENGE_TTL = '5m';
+export const TWO_FACTOR_BACKUP_CODE_COUNT = 10;
+
+// List endpoints
+export const PAGE_DEFAULT_LIMIT = 50;
+export const PAGE_MAX_LIMIT = 200;
+
+// File storage, "local" writes under UPLOADS_DIR and serves it statically, "s3" uses an S3-compatible bucket.
+// Vercel's file system is read-only, the S3 driver is the only one working there
+export const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (process.env.VERCEL ? 's3' : 'local');
+export const UPLOADS_DIR = process.env.UPLOADS_DIR || 'uploads';
+export const PRIVATE_FILES_DIR = process.env.PRIVATE_FILES_DIR || 'private'; // local driver only, never served
+
+// Avatars
+export const AVATAR_MAX_BYTES = 5 * 1024 * 1024;
+export const AVATAR_MAX_PIXELS = 40_000_000; // rejects decompression bombs before decoding
+export const AVATAR_SIZE = 512; // square, in pixels
+export const AVATAR_THUMBNAIL_SIZE = 128;
+
+// Personal data exports
+export const DATA_EXPORT_RETENTION_DAYS = 7; // the archive is deleted afterwards
+export const DATA_EXPORT_LINK_TTL = '15m'; // download links are re-issued by the status endpoint
+export const DATA_EXPORT_STALE_MINUTES = 30; // a job running longer is considered dead
+export const DATA_EXPORT_BATCH_SIZE = 1000;
+export const DATA_EXPORT_INTERVAL_MINUTES = 1; // how often queued exports are built
+
+// Account deletion
+export const ACCOUNT_DELETION_GRACE_DAYS = 14; // cancellable until then
+export const ACCOUNT_PURGE_INTERVAL_MINUTES = 60;
+
+// Background jobs, see lib/jobs.js. Vercel runs them through cron with this secret, not in-process
+export const CRON_SECRET = process.env.CRON_SECRET;
+export const RUN_JOBS_IN_PROCESS = !process.env.VERCEL;
+
+// Device heartbeats, devices are expected to call POST /api/connectivity/ping this often
+export const DEVICE_HEARTBEAT_INTERVAL_MINUTES = Number(process.env.DEVICE_HEARTBEAT_INTERVAL_MINUTES) || 5;
+export const DEVICE_OFFLINE_AFTER_MISSED_HEARTBEATS = 3; // then the device is offline and a DEVICE_DISCONNECT alert raised
+export const DEVICE_MONITOR_INTERVAL_MINUTES = 1;
+
+// Battery
+export const BATTERY_LOW_RECOVERY_MARGIN = 5; // percent above the threshold before the alert is resolved
+
+// Latency, a reading is degraded when any value reaches its threshold
+export const LATENCY_HIGH_MS = Number(process.env.LATENCY_HIGH_MS) || 500;
+export const JITTER_HIGH_MS = Number(process.env.JITTER_HIGH_MS) || 100;
+export const PACKET_LOSS_HIGH_PERCENT = Number(process.env.PACKET_LOSS_HIGH_PERCENT) || 10;
+export const LATENCY_SUSTAINED_READINGS = 3; // consecutive degraded readings before HIGH_LATENCY, healthy ones before it resolves
+export const LATENCY_SUSTAINED_WINDOW_MINUTES = 30; // older readings do not count towards a streak
+
+// Low signal alerts, both conditions must hold before one is raised
+export const LOW_SIGNAL_CONSECUTIVE_READINGS = Number(process.env.LOW_SIGNAL_CONSECUTIVE_READINGS) || 3;
+export const LOW_SIGNAL_MIN_DURATION_MINUTES = Number(process.env.LOW_SIGNAL_MIN_DURATION_MINUTES) || 5;
+export const LOW_SIGNAL_COOLDOWN_MINUTES = Number(process.env.LOW_SIGNAL_COOLDOWN_MINUTES) || 60; // after one is resolved
+export const LOW_SIGNAL_RECOVERY_MARGIN_DBM = 5; // above the user's threshold before an alert is resolved
+export const LOW_SIGNAL_RECOVERY_MARGIN_LEVELS = 1;
@@ -0,0 +1,297 @@
+import { buffer } from "stream/consumers";
+import { ZipArchive } from "archiver";
+import jwt from "jsonwebtoken";
+import { DataExportStatus } from "@prisma/client";
+import { db } from "./database.js";
+import { privateStorage } from "./storage/index.js";
+import { getPreferences } from "./preferences.js";
+import {
+  serializeUser,
+  serializeUserPreferences,
+  serializeDevice,
+  serializeConnectivityLog,
+  serializeContact,
+  serializeAlert,
+  serializeSavedPlace,
+  serializeSession,
+  serializeBatteryReading,
+  serializeLatencyReading,
+  serializeSignalThreshold,
+} from "./serializers.js";
+import {
+  DATA_EXPORT_RETENTION_DAYS,
+  DATA_EXPORT_LINK_TTL,
+  DATA_EXPORT_STALE_MINUTES,
+  DATA_EXPORT_BATCH_SIZE,
+} from "./constants/config.js";
+
+// "Download my data": a zip with everything held about a user, as one
+// data.json plus a CSV per collection. Requests are queued as PENDING and
+// built by the "data-exports" job (see lib/jobs.js), not by the request:
+// on Vercel nothing runs after the response is sent. Archives are kept in
+// private storage and only handed out through short-lived signed links.
+
+const DOWNLOAD_TOKEN_PURPOSE = "data-export";
+
+/** Reads every record of a query in id order, a batch at a time. */
+async function findAll(model, args) {
+  const records = [];
+  let cursor;
+
+  for (;;) {
+    const batch = await model.findMany({
+      ...args,
+      orderBy: { id: "asc" },
+      take: DATA_EXPORT_BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    records.push(...batch);
+    if (batch.length < DATA_EXPORT_BATCH_SIZE) return records;
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+/**
+ * Collects the user's data through the public serializers,
+ * so secrets like password hashes never end up in an archive.
+ *
+ * @param {string} userId
+ * @returns {Promise<Object<string, object[]>>} records per collection
+ */
+async function collectUserData(userId) {
+  const user = await db.user.findUnique({ where: { id: userId }, include: { alertMode: true } });
+  const devices = await findAll(db.deviceInfo, { where: { userId } });
+  const deviceIds = devices.map((device) => device.id);
+
+  const [
+    connectivityLogs, batteryReadings, latencyReadings, contacts, alerts, savedPlaces, sessions, preferences, signalThresholds,
+  ] = await Promise.all([
+    findAll(db.connectivityInfo, {
+      where: { deviceId: { in: deviceIds } },
+      include: { location: true, mobileNetworkInfo: true },
+    }),
+    findAll(db.batteryReading, { where: { deviceId: { in: deviceIds } } }),
+    findAll(db.latencyReading, { where: { deviceId: { in: deviceIds } } }),
+    findAll(db.contact, { where: { userId } }),
+    findAll(db.alert, { where: { userId } }),
+    findAll(db.userLocation, { where: { userId }, include: { location: true } }),
+    findAll(db.session, { where: { userId }, include: { device: true } }),
+    getPreferences(userId),
+    findAll(db.signalThreshold, { where: { userId } }),
+  ]);
+
+  return {
+    profile: [serializeUser(user)],
+    preferences: [serializeUserPreferences(preferences)],
+    signalThresholds: signalThresholds.map(serializeSignalThreshold),
+    devices: devices.map(serializeDevice),
+    connectivityLogs: connectivityLogs.map(serializeConnectivityLog),
+    batteryReadings: batteryReadings.map(serializeBatteryReading),
+    latencyReadings: latencyReadings.map(serializeLatencyReading),
+    contacts: contacts.map(serializeContact),
+    alerts: alerts.map(serializeAlert),
+    savedPlaces: savedPlaces.map(serializeSavedPlace),
+    sessions: sessions.map((session) => serializeSession(session)),
+  };
+}
+
+/** `{ a: { b: 1 } }` → `{ "a.b": 1 }`, arrays are kept as JSON. */
+function flatten(record, prefix = "", row = {}) {
+  for (const [key, value] of Object.entries(record ?? {})) {
+    const column = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date)) {
+      flatten(value, column, row);
+    } else {
+      row[column] = value instanceof Date ? value.toISOString() : value;
+    }
+  }
+  return row;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = Array.isArray(value) ? JSON.stringify(value) : String(value);
+  // Spreadsheets run text starting with these as a formula, so a contact named
+  // "=HYPERLINK(...)" must not become a live link. Numbers are ours, keep them as they are.
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {object[]} records
+ * @returns {string} CSV with a header of every column any record has
+ */
+function toCsv(records) {
+  const rows = records.map((record) => flatten(record));
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\r\n");
+}
+
+async function buildArchive(data) {
+  const archive = new ZipArchive({ zlib: { level: 9 } });
+  const output = buffer(archive);
+
+  archive.append(JSON.stringify(data, null, 2), { name: "data.json" });
+  for (const [collection, records] of Object.entries(data)) {
+    archive.append(toCsv(records), { name: `csv/${collection}.csv` });
+  }
+  await archive.finalize();
+
+  return output;
+}
+
+async function runExport(dataExport) {
+  try {
+    const archive = await buildArchive(await collectUserData(dataExport.userId));
+    const storageKey = `exports/${dataExport.userId}/${dataExport.id}.zip`;
+
+    await privateStorage.put(storageKey, archive, "application/zip");
+
+    await db.dataExport.update({
+      where: { id: dataExport.id },
+      data: {
+        status: DataExportStatus.READY,
+        storageKey,
+        sizeBytes: archive.length,
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + DATA_EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+      },
+    });
+  } catch (error) {
+    console.error(`Data export ${dataExport.id} failed:`, error);
+    await db.dataExport.update({
+      where: { id: dataExport.id },
+      data: { status: DataExportStatus.FAILED, error: "Export failed, please request a new one", completedAt: new Date() },
+    });
+  }
+}
+
+/**
+ * Jobs whose process died never finish, they are failed after a while
+ * so the user can request a new export.
+ *
+ * @param {object} dataExport DataExport record
+ * @returns {Promise<object>} the record, possibly marked FAILED
+ */
+export async function failIfStale(dataExport) {
+  const active = [DataExportStatus.PENDING, DataExportStatus.PROCESSING].includes(dataExport.status);
+  const stale = Date.now() - dataExport.createdAt.getTime() > DATA_EXPORT_STALE_MINUTES * 60 * 1000;
+  if (!active || !stale) return dataExport;
+
+  return db.dataExport.update({
+    where: { id: dataExport.id },
+    data: { status: DataExportStatus.FAILED, error: "Export timed out, please request a new one" },
+  });
+}
+
+/**
+ * Returns the user's export that is still being built, if any.
+ *
+ * @param {string} userId
+ * @returns {Promise<object|null>}
+ */
+export async function findActiveExport(userId) {
+  const active = await db.dataExport.findFirst({
+    where: { userId, status: { in: [DataExportStatus.PENDING, DataExportStatus.PROCESSING] } },
+    orderBy: { createdAt: "desc" },
+  });
+  if (!active) return null;
+
+  const checked = await failIfStale(active);
+  return checked.status === DataExportStatus.FAILED ? null : checked;
+}
+
+/**
+ * Queues an export of the user's data for the "data-exports" job to build;
+ * poll the record for its status.
+ *
+ * @param {string} userId
+ * @returns {Promise<object>} the PENDING DataExport record
+ */
+export function requestExport(userId) {
+  return db.dataExport.create({ data: { userId } });
+}
+
+/**
+ * Builds every queued export, one at a time, then deletes expired archives.
+ * Each export is claimed with a conditional update, so runs overlapping on
+ * several instances never build the same one twice.
+ */
+export async function processPendingExports() {
+  for (;;) {
+    const next = await db.dataExport.findFirst({
+      where: { status: DataExportStatus.PENDING },
+      orderBy: { createdAt: "asc" },
+    });
+    if (!next) break;
+
+    const { count } = await db.dataExport.updateMany({
+      where: { id: next.id, status: DataExportStatus.PENDING },
+      data: { status: DataExportStatus.PROCESSING, startedAt: new Date() },
+    });
+    if (count === 1) await runExport(next);
+  }
+
+  await deleteExpiredExports();
+}
+
+/**
+ * Deletes archives past their retention period. Runs after the queued
+ * exports are built; records are kept as EXPIRED so the history stays visible.
+ */
+export async function deleteExpiredExports() {
+  const expired = await db.dataExport.findMany({
+    where: { status: DataExportStatus.READY, expiresAt: { lte: new Date() } },
+  });
+
+  for (const dataExport of expired) {
+    try {
+      await privateStorage.delete(dataExport.storageKey);
+      await db.dataExport.update({
+        where: { id: dataExport.id },
+        data: { status: DataExportStatus.EXPIRED, storageKey: null },
+      });
+    } catch (error) {
+      console.error(`Deleting expired data export ${dataExport.id} failed:`, error.message);
+    }
+  }
+}
+
+/**
+ * @param {object} dataExport a READY DataExport record
+ * @returns {string} token for the download route, valid for DATA_EXPORT_LINK_TTL
+ */
+export function createDownloadToken(dataExport) {
+  return jwt.sign(
+    { sub: dataExport.id, purpose: DOWNLOAD_TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: DATA_EXPORT_LINK_TTL }
+  );
+}
+
+/**
+ * @param {string} token
+ * @returns {string|null} id of the export the token grants access to, null if invalid or expired
+ */
+export function verifyDownloadToken(token) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === DOWNLOAD_TOKEN_PURPOSE ? payload.sub : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {object} dataExport a READY DataExport record
+ * @returns {Promise<Buffer>} the zip archive
+ */
+export function readArchive(dataExport) {
+  return privateStorage.get(dataExport.storageKey);
+}
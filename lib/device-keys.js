@@ -0,0 +1,113 @@
+import crypto from "crypto";
+import { db } from "./database.js";
+import { hashToken, verifyToken, assertNotSuspended } from "./auth.js";
+import { useLanguage } from "./i18n/index.js";
+import { isObjectId } from "./helpers/object-id.js";
+import { serializeDeviceApiKey } from "./serializers.js";
+import { ForbiddenError, UnauthorizedError } from "./errors.js";
+import { SESSION_TOUCH_INTERVAL_SECONDS } from "./constants/config.js";
+
+const KEY_PREFIX = "dk_";
+
+/**
+ * Creates an API key for a device.
+ *
+ * @param {string} deviceId DeviceInfo id
+ * @param {string} [label]
+ * @returns {Promise<object>} key description plus the plain `key`, which cannot be retrieved again
+ */
+export async function createDeviceApiKey(deviceId, label) {
+  const secret = crypto.randomBytes(32).toString("hex");
+
+  const apiKey = await db.deviceApiKey.create({
+    data: { deviceId, label, keyHash: hashToken(secret) },
+  });
+
+  return { ...serializeDeviceApiKey(apiKey), key: `${KEY_PREFIX}${apiKey.id}.${secret}` };
+}
+
+/**
+ * @param {string} apiKeyId
+ */
+export async function revokeDeviceApiKey(apiKeyId) {
+  await db.deviceApiKey.updateMany({
+    where: { id: apiKeyId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+}
+
+/**
+ * Resolves a raw `dk_<id>.<secret>` key to its active key record,
+ * including the device and its owner.
+ *
+ * @param {string} rawKey
+ * @returns {Promise<Object|null>}
+ */
+export async function authenticateDeviceApiKey(rawKey) {
+  if (typeof rawKey !== "string" || !rawKey.startsWith(KEY_PREFIX)) return null;
+
+  const [id, secret] = rawKey.slice(KEY_PREFIX.length).split(".");
+  if (!isObjectId(id) || !secret) return null;
+
+  const apiKey = await db.deviceApiKey.findUnique({
+    where: { id },
+    include: { device: { include: { user: { include: { preferences: true } } } } },
+  });
+
+  if (!apiKey || apiKey.revokedAt || apiKey.keyHash !== hashToken(secret)) return null;
+
+  const stale = !apiKey.lastUsedAt ||
+    Date.now() - apiKey.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_SECONDS * 1000;
+
+  if (stale) {
+    db.deviceApiKey
+      .update({ where: { id }, data: { lastUsedAt: new Date() } })
+      .catch((error) => console.error("Device key touch failed:", error.message));
+  }
+
+  return apiKey;
+}
+
+/**
+ * Authenticates either a device API key sent as `X-Device-Key` or a user bearer token.
+ * A device key only grants access to its own device: `deviceId` in the body
+ * defaults to the key's device and any other device is rejected.
+ * Sets `req.user` to the device owner and `req.deviceApiKey` to the key record.
+ */
+export async function verifyDeviceKeyOrToken(req, res, next) {
+  const rawKey = req.headers["x-device-key"];
+
+  if (typeof rawKey === "undefined") return verifyToken(req, res, next);
+
+  let apiKey;
+  try {
+    apiKey = await authenticateDeviceApiKey(rawKey);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!apiKey || !apiKey.device.user) {
+    return next(new UnauthorizedError("Invalid device key", { code: "INVALID_DEVICE_KEY" }));
+  }
+
+  req.body = req.body ?? {};
+  req.body.deviceId = req.body.deviceId ?? apiKey.deviceId;
+
+  const { user } = apiKey.device;
+  if (user.preferences) useLanguage(req, user.preferences.language);
+
+  try {
+    assertNotSuspended(user);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (req.body.deviceId !== apiKey.deviceId) {
+    return next(new ForbiddenError("Device key is not valid for this device", { code: "DEVICE_KEY_MISMATCH" }));
+  }
+
+  req.user = apiKey.device.user;
+  req.deviceApiKey = apiKey;
+
+  next();
+}
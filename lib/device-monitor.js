@@ -0,0 +1,89 @@
+import { AlertType } from "@prisma/client";
+import { db } from "./database.js";
+import { raiseAlert, resolvePendingAlerts, notifyEmergencyContacts } from "./alerts.js";
+import { deviceLabel } from "./devices.js";
+import { getPreferences, formatDateTime } from "./preferences.js";
+import { notification } from "./i18n/index.js";
+import { DEVICE_HEARTBEAT_INTERVAL_MINUTES, DEVICE_OFFLINE_AFTER_MISSED_HEARTBEATS } from "./constants/config.js";
+
+// Devices report a heartbeat through POST /api/connectivity/ping. A device
+// that misses DEVICE_OFFLINE_AFTER_MISSED_HEARTBEATS of them in a row is
+// marked offline (`offlineSince`) and a DEVICE_DISCONNECT alert is raised;
+// its next ping marks it online again and resolves the alert.
+
+const OFFLINE_AFTER_MS = DEVICE_HEARTBEAT_INTERVAL_MINUTES * DEVICE_OFFLINE_AFTER_MISSED_HEARTBEATS * 60 * 1000;
+
+/**
+ * Marks the device offline and raises a DEVICE_DISCONNECT alert,
+ * unless another run already did.
+ *
+ * @param {object} device DeviceInfo record
+ * @param {Date} now
+ */
+async function markOffline(device, now) {
+  const { count } = await db.deviceInfo.updateMany({
+    where: { id: device.id, offlineSince: null },
+    data: { offlineSince: now },
+  });
+  if (count === 0) return;
+
+  // Suspended accounts cannot ping, their silence is expected
+  const user = await db.user.findUnique({ where: { id: device.userId }, select: { suspendedAt: true } });
+  if (!user || user.suspendedAt) return;
+
+  await raiseAlert(device, AlertType.DEVICE_DISCONNECT, {
+    device: deviceLabel(device),
+    lastSeen: device.lastPinged,
+  }, { at: now });
+}
+
+/**
+ * Marks every device whose last heartbeat is too old as offline.
+ * Devices that never pinged have no heartbeat to miss and are left alone.
+ * Run as the "device-monitor" job, see lib/jobs.js.
+ */
+export async function detectOfflineDevices() {
+  const now = new Date();
+  const silent = await db.deviceInfo.findMany({
+    where: {
+      userId: { not: null },
+      offlineSince: null,
+      lastPinged: { lt: new Date(now.getTime() - OFFLINE_AFTER_MS) },
+    },
+  });
+
+  for (const device of silent) {
+    try {
+      await markOffline(device, now);
+    } catch (error) {
+      console.error(`Marking device ${device.id} offline failed:`, error);
+    }
+  }
+}
+
+/**
+ * Marks an offline device online again after a ping. DEVICE_DISCONNECT
+ * alerts still waiting for the user become RESOLVED; when the emergency
+ * contacts were already told about the disconnect, they are told it is over.
+ *
+ * @param {object} device DeviceInfo record, with `offlineSince` set
+ * @param {Date} now
+ */
+export async function markOnline(device, now) {
+  const { count } = await db.deviceInfo.updateMany({
+    where: { id: device.id, offlineSince: device.offlineSince },
+    data: { offlineSince: null },
+  });
+  if (count === 0) return;
+
+  const notified = await resolvePendingAlerts(device.id, AlertType.DEVICE_DISCONNECT, device.offlineSince, now);
+  if (notified === 0) return;
+
+  const user = await db.user.findUnique({ where: { id: device.userId } });
+  const preferences = await getPreferences(user.id);
+  const { subject, text } = notification(preferences.language, "deviceReconnected", {
+    device: deviceLabel(device),
+    time: formatDateTime(now, preferences),
+  });
+  await notifyEmergencyContacts(user, subject, text, preferences);
+}
@@ -0,0 +1,46 @@
+import { Prisma } from "@prisma/client";
+import { db } from "./database.js";
+
+function isUniqueViolation(error) {
+  return error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002";
+}
+
+/**
+ * Registers a device for the user, or updates the one already registered
+ * with the same vendor `deviceId`, so reinstalling the app keeps its server
+ * id, logs and API keys. Without a vendor id a new device is always created.
+ *
+ * @param {string} userId
+ * @param {object} fields DeviceInput
+ * @returns {Promise<{ device: object, created: boolean }>}
+ */
+export async function registerDevice(userId, { deviceId, ...fields }) {
+  const update = () => db.deviceInfo.update({
+    where: { userId_deviceId: { userId, deviceId } },
+    data: fields,
+  });
+
+  if (deviceId) {
+    const existing = await db.deviceInfo.findFirst({ where: { userId, deviceId }, select: { id: true } });
+    if (existing) return { device: await update(), created: false };
+  }
+
+  try {
+    const device = await db.deviceInfo.create({
+      data: { ...fields, deviceId, user: { connect: { id: userId } } },
+    });
+    return { device, created: true };
+  } catch (error) {
+    // Registered by a concurrent request in the meantime
+    if (deviceId && isUniqueViolation(error)) return { device: await update(), created: false };
+    throw error;
+  }
+}
+
+/**
+ * @param {object} device DeviceInfo record
+ * @returns {string} how the device is named in notifications, e.g. "Samsung SM-A515F"
+ */
+export function deviceLabel(device) {
+  return [device.brand, device.model].filter(Boolean).join(" ") || device.platform;
+}
@@ -0,0 +1,100 @@
+import { Prisma } from "@prisma/client";
+import { AppError, BadRequestError, ConflictError, NotFoundError } from "./errors.js";
+import { translateError, DEFAULT_LANGUAGE } from "./i18n/index.js";
+
+/**
+ * Express 4 ignores rejected promises, so async handlers are wrapped
+ * to forward whatever they throw to the error middleware.
+ *
+ * @param {import('express').RequestHandler} handler
+ * @returns {import('express').RequestHandler}
+ *
+ * @example router.get('/', verifyToken, asyncHandler(async (req, res) => { ... }))
+ */
+export function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Translates Prisma errors callers can cause into application errors.
+ * Anything else is left alone and ends up as a 500.
+ */
+function fromPrismaError(error) {
+  if (error instanceof Prisma.PrismaClientKnownRequestError) {
+    switch (error.code) {
+      case "P2002": // unique constraint
+        return new ConflictError("A record with the same values already exists", {
+          code: "ALREADY_EXISTS",
+          details: { fields: error.meta?.target },
+        });
+      case "P2025": // record to update/delete not found
+        return new NotFoundError(error.meta?.cause ?? "Record not found");
+      case "P2023": // malformed ObjectId
+        return new BadRequestError("Malformed id", { code: "INVALID_ID" });
+      case "P2014": // required relation would be violated
+        return new ConflictError("The record is still referenced by other records", { code: "RELATION_VIOLATION" });
+      default:
+        return null;
+    }
+  }
+
+  if (error instanceof Prisma.PrismaClientValidationError) {
+    return new BadRequestError("Invalid data");
+  }
+
+  return null;
+}
+
+/**
+ * Body parser failures, e.g. malformed JSON, carry their own status.
+ */
+function fromBodyParserError(error) {
+  if (error.type === "entity.parse.failed") {
+    return new BadRequestError("Malformed JSON body", { code: "INVALID_JSON" });
+  }
+  if (error.type === "entity.too.large") {
+    return new AppError(413, "PAYLOAD_TOO_LARGE", "Request body too large");
+  }
+  return null;
+}
+
+/**
+ * Answers every error with `{ code, message, details }`, the message in the
+ * language of the request. Unexpected errors are logged and reported without
+ * their internals.
+ */
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+
+  const language = req.language ?? DEFAULT_LANGUAGE;
+
+  const appError = error instanceof AppError
+    ? error
+    : fromPrismaError(error) ?? fromBodyParserError(error);
+
+  if (!appError) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, error);
+    return res.status(500).json({
+      code: "INTERNAL_ERROR",
+      message: translateError({ code: "INTERNAL_ERROR", message: "Internal server error" }, language),
+      details: null,
+    });
+  }
+
+  if (appError.retryAfter) res.set("Retry-After", String(appError.retryAfter));
+
+  res.status(appError.status).json({
+    code: appError.code,
+    message: translateError(appError, language),
+    details: appError.details ?? null,
+  });
+}
+
+/**
+ * Catch-all for requests no router handled.
+ */
+export function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`, { code: "ROUTE_NOT_FOUND" }));
+}
@@ -0,0 +1,73 @@
+// Application errors. Throw them (or pass them to `next`) from handlers and
+// middleware; `errorHandler` in ./error-handler.js turns them into the
+// `{ code, message, details }` envelope. `code` is stable and meant for
+// clients to switch on, `message` is for humans and may change.
+
+export class AppError extends Error {
+  /**
+   * @param {number} status HTTP status
+   * @param {string} code stable machine-readable code, e.g. "NOT_FOUND"
+   * @param {string} message
+   * @param {*} [details] extra data for the client, e.g. field errors
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = "Bad request", { code = "BAD_REQUEST", details } = {}) {
+    super(400, code, message, details);
+  }
+}
+
+export class ValidationError extends AppError {
+  /**
+   * @param {Array<{ field: string, message: string }>} errors
+   * @param {string} [message]
+   */
+  constructor(errors, message = "Validation failed") {
+    super(400, "VALIDATION_FAILED", message, errors);
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = "Unauthorized", { code = "UNAUTHORIZED", details } = {}) {
+    super(401, code, message, details);
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "Forbidden", { code = "FORBIDDEN", details } = {}) {
+    super(403, code, message, details);
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Not found", { code = "NOT_FOUND", details } = {}) {
+    super(404, code, message, details);
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Conflict", { code = "CONFLICT", details } = {}) {
+    super(409, code, message, details);
+  }
+}
+
+export class TooManyRequestsError extends AppError {
+  /**
+   * @param {string} message
+   * @param {object} options
+   * @param {number} options.retryAfter seconds, sent as the Retry-After header
+   * @param {string} [options.code]
+   */
+  constructor(message, { retryAfter, code = "TOO_MANY_REQUESTS" }) {
+    super(429, code, message, { retryAfter });
+    this.retryAfter = retryAfter;
+  }
+}
@@ -0,0 +1,11 @@
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+/**
+ * 
+ * @param {unknown} value
+ * @returns {boolean}
+ * @description Prisma throws on malformed Mongo ids, so check before querying with user input
+ */
+export function isObjectId(value) {
+  return typeof value === 'string' && OBJECT_ID_PATTERN.test(value);
+}
@@ -0,0 +1,205 @@
+// النصوص العربية. رسائل الأخطاء مفهرسة برمز الخطأ (code) الثابت،
+// وما لا يوجد هنا يُعرض بالإنجليزية.
+
+export default {
+  errors: {
+    // عامة
+    BAD_REQUEST: "الطلب غير صالح",
+    VALIDATION_FAILED: "البيانات المرسلة غير صالحة",
+    UNAUTHORIZED: "يجب تسجيل الدخول",
+    FORBIDDEN: "ليست لديك صلاحية لتنفيذ هذا الإجراء",
+    NOT_FOUND: "العنصر المطلوب غير موجود",
+    CONFLICT: "يتعارض الطلب مع الحالة الحالية",
+    TOO_MANY_REQUESTS: "طلبات كثيرة جدًا، حاول مرة أخرى بعد {retryAfter:seconds}",
+    INTERNAL_ERROR: "حدث خطأ في الخادم",
+    ROUTE_NOT_FOUND: "المسار المطلوب غير موجود",
+    ALREADY_EXISTS: "يوجد سجل بالقيم نفسها",
+    RELATION_VIOLATION: "لا يمكن حذف السجل لأن سجلات أخرى تشير إليه",
+    INVALID_ID: "المعرّف غير صالح",
+    INVALID_JSON: "محتوى JSON غير صالح",
+    PAYLOAD_TOO_LARGE: "حجم الطلب كبير جدًا",
+
+    // المصادقة والجلسات
+    TOKEN_MISSING: "لم يتم إرسال رمز الدخول",
+    TOKEN_INVALID: "رمز الدخول غير صالح",
+    TOKEN_EXPIRED: "انتهت صلاحية رمز الدخول",
+    SESSION_REVOKED: "انتهت الجلسة، يرجى تسجيل الدخول من جديد",
+    INVALID_CREDENTIALS: "بيانات الدخول غير صحيحة",
+    INVALID_REFRESH_TOKEN: "رمز التحديث غير صالح",
+    INVALID_CHALLENGE: "طلب التحقق غير صالح أو منتهي الصلاحية",
+    LOGIN_THROTTLED: "محاولات دخول كثيرة جدًا، حاول مرة أخرى بعد {retryAfter:seconds}",
+    ACCOUNT_SUSPENDED: "تم إيقاف هذا الحساب",
+    ACCOUNT_EXISTS: "البريد الإلكتروني أو رقم الهاتف مستخدم بالفعل",
+    INVALID_CODE: "الرمز غير صحيح أو منتهي الصلاحية",
+    CODE_RECENTLY_SENT: "تم إرسال رمز قبل قليل، يرجى الانتظار {retryAfter:seconds} قبل طلب رمز جديد",
+    UNKNOWN_CHANNEL: "وسيلة التحقق غير معروفة",
+    ALREADY_VERIFIED: "تم التحقق من هذا العنوان مسبقًا",
+    TWO_FACTOR_ALREADY_ENABLED: "التحقق بخطوتين مفعّل بالفعل",
+    TWO_FACTOR_NOT_ENABLED: "التحقق بخطوتين غير مفعّل",
+    TWO_FACTOR_SETUP_REQUIRED: "ابدأ إعداد التحقق بخطوتين أولًا",
+    INVALID_DEVICE_KEY: "مفتاح الجهاز غير صالح",
+    DEVICE_KEY_MISMATCH: "مفتاح الجهاز لا يخص هذا الجهاز",
+    API_KEY_REVOKED: "تم إلغاء مفتاح الواجهة البرمجية مسبقًا",
+
+    // الحساب
+    USER_NOT_FOUND: "المستخدم غير موجود",
+    INVALID_PASSWORD: "كلمة المرور الحالية غير صحيحة",
+    PASSWORD_UNCHANGED: "يجب أن تختلف كلمة المرور الجديدة عن الحالية",
+    ADDRESS_UNCHANGED: "هذا هو عنوانك الحالي بالفعل",
+    ADDRESS_IN_USE: "هذا العنوان مستخدم في حساب آخر",
+    AVATAR_TOO_LARGE: "حجم الصورة الشخصية أكبر من المسموح",
+    INVALID_AVATAR: "يجب أن تكون الصورة الشخصية بصيغة JPEG أو PNG أو GIF أو WebP",
+    EXPORT_IN_PROGRESS: "يجري حاليًا تجهيز نسخة من بياناتك",
+    EXPORT_NOT_READY: "نسخة البيانات ليست جاهزة بعد",
+    EXPORT_EXPIRED: "انتهت صلاحية نسخة البيانات، يرجى طلب نسخة جديدة",
+    INVALID_DOWNLOAD_LINK: "رابط التنزيل غير صالح أو منتهي الصلاحية",
+    DELETION_PENDING: "حذف الحساب مجدول بالفعل",
+    NO_DELETION_PENDING: "لا يوجد حذف مجدول لهذا الحساب",
+    OWN_ACCOUNT: "لا يمكن للمشرف تغيير دوره أو إيقاف حسابه بنفسه",
+    ALREADY_SUSPENDED: "المستخدم موقوف بالفعل",
+    NOT_SUSPENDED: "المستخدم غير موقوف",
+    SIGNAL_THRESHOLD_EXISTS: "يوجد حد إشارة لنوع الشبكة والمشغّل نفسيهما بالفعل",
+
+    // الأجهزة والتنبيهات وجهات الاتصال
+    DEVICE_NOT_FOUND: "الجهاز غير موجود أو لا يخصك",
+    ALERT_ALREADY_HANDLED: "تمت معالجة هذا التنبيه مسبقًا",
+    PROTECTED_ALERT_MODE: "لا يمكن حذف وضع التنبيه الأول",
+    LAST_ALERT_MODE: "لا يمكن حذف آخر وضع تنبيه متبقٍ",
+    CONTACT_EXISTS: "جهة الاتصال موجودة بالفعل",
+  },
+
+  validation: {
+    required: "حقل مطلوب",
+    type: {
+      integer: "يجب أن يكون عددًا صحيحًا",
+      number: "يجب أن يكون رقمًا",
+      boolean: "يجب أن تكون القيمة true أو false",
+      string: "يجب أن يكون نصًا",
+      object: "يجب أن يكون كائنًا",
+      array: "يجب أن يكون مصفوفة",
+    },
+    enum: "يجب أن تكون القيمة إحدى: {values}",
+    minLength: "يجب ألا يقل طوله عن {min} حرفًا",
+    maxLength: "يجب ألا يزيد طوله عن {max} حرفًا",
+    pattern: "صيغته غير صحيحة",
+    email: "يجب أن يكون بريدًا إلكترونيًا صحيحًا",
+    dateTime: "يجب أن يكون تاريخًا ووقتًا بصيغة ISO 8601",
+    minimum: "يجب ألا تقل القيمة عن {min}",
+    maximum: "يجب ألا تزيد القيمة عن {max}",
+    minItems: "يجب أن يحتوي على {min} عناصر على الأقل",
+    maxItems: "يجب ألا يحتوي على أكثر من {max} عناصر",
+    minProperties: "يجب إرسال {min} حقل قابل للتعديل على الأقل",
+    timezone: "يجب أن تكون منطقة زمنية من قاعدة IANA، مثل Africa/Cairo",
+    quietHoursPair: "يجب تحديد quietHoursStart و quietHoursEnd معًا",
+    alertChannel: "يجب إبقاء وسيلة تنبيه واحدة على الأقل مفعّلة",
+  },
+
+  units: {
+    minutes: {
+      zero: "{count} دقيقة",
+      one: "دقيقة واحدة",
+      two: "دقيقتين",
+      few: "{count} دقائق",
+      many: "{count} دقيقة",
+      other: "{count} دقيقة",
+    },
+    seconds: {
+      zero: "{count} ثانية",
+      one: "ثانية واحدة",
+      two: "ثانيتين",
+      few: "{count} ثوانٍ",
+      many: "{count} ثانية",
+      other: "{count} ثانية",
+    },
+  },
+
+  channels: {
+    email: "البريد الإلكتروني",
+    phone: "رقم الهاتف",
+  },
+
+  messages: {
+    resetCodeSent: "إذا كان الحساب موجودًا فقد تم إرسال رمز إعادة التعيين.",
+    passwordReset: "تمت إعادة تعيين كلمة المرور.",
+    verificationCodeSent: "تم إرسال رمز التحقق.",
+    addressVerified: "تم التحقق من {channel}.",
+    accountUnlocked: "تم فتح الحساب.",
+    passwordChanged: "تم تغيير كلمة المرور.",
+    changeCodeSent: "تم إرسال رمز التأكيد إلى {channel} الجديد.",
+    alertConfirmed: "تم تأكيد التنبيه وإبلاغ جهات الطوارئ",
+    alertDismissed: "تم تجاهل التنبيه",
+    alertModeDeleted: "تم حذف وضع التنبيه",
+    connectivityLogDeleted: "تم حذف سجل الاتصال",
+    contactDeleted: "تم حذف جهة الاتصال",
+    deviceDeleted: "تم حذف الجهاز",
+    locationDeleted: "تم حذف الموقع",
+    mobileNetworkInfoDeleted: "تم حذف بيانات شبكة الجوال",
+    signalThresholdDeleted: "تم حذف حد الإشارة",
+    lowSignalWarning: "تم رصد إشارة ضعيفة",
+    batteryLowWarning: "البطارية منخفضة",
+    highLatencyWarning: "جودة الاتصال ضعيفة",
+  },
+
+  notifications: {
+    lowSignal: {
+      subject: "تنبيه: إشارة ضعيفة",
+      body: "تم رصد إشارة ضعيفة على جهازك في {time}",
+    },
+    deviceDisconnect: {
+      subject: "تنبيه: انقطاع اتصال الجهاز",
+      body: "لم يصل أي اتصال من الجهاز {device} منذ {lastSeen}.",
+    },
+    deviceReconnected: {
+      subject: "عاد الجهاز إلى الاتصال",
+      body: "عاد الجهاز {device} إلى الاتصال في {time}.",
+    },
+    batteryLow: {
+      subject: "تنبيه: البطارية منخفضة",
+      body: "وصلت بطارية الجهاز {device} إلى {level}% ({time}).",
+    },
+    highLatency: {
+      subject: "تنبيه: ضعف جودة الاتصال",
+      body: "اتصال الجهاز {device} ضعيف ({time}): متوسط زمن الاستجابة {latency} ملّي ثانية، وفقد الحزم {loss}%.",
+    },
+    batteryLowWeakSignal: {
+      subject: "تنبيه: بطارية منخفضة وإشارة ضعيفة",
+      body: "وصلت بطارية الجهاز {device} إلى {level}% وإشارة الجوال ضعيفة ({time}). قد يتعذر الوصول إليه قريبًا.",
+    },
+    verificationCode: {
+      subject: "تحقق من {channel}",
+      body: "رمز التحقق الخاص بك في Sigme هو {code}. تنتهي صلاحيته خلال {count:minutes}.",
+    },
+    contactVerificationCode: {
+      subject: "جهة اتصال للطوارئ على Sigme",
+      body: "أضافك {name} كجهة اتصال للطوارئ على Sigme. لتلقي تنبيهاته، أعطه الرمز {code}. تنتهي صلاحيته خلال {count:minutes}.",
+    },
+    changeCode: {
+      subject: "تأكيد {channel} الجديد",
+      body: "رمز التأكيد الخاص بك في Sigme هو {code}. تنتهي صلاحيته خلال {count:minutes}.",
+    },
+    addressChanged: {
+      subject: "تم تغيير {channel}",
+      body: "تم تغيير {channel} في حسابك على Sigme إلى {address}. إذا لم تقم بذلك فتواصل مع الدعم.",
+    },
+    passwordReset: {
+      subject: "إعادة تعيين كلمة المرور",
+      body: "رمز إعادة تعيين كلمة المرور هو {code}. تنتهي صلاحيته خلال {count:minutes}.",
+    },
+    passwordChanged: {
+      subject: "تم تغيير كلمة المرور",
+      body: "تم تغيير كلمة المرور لحسابك على Sigme. إذا لم تقم بذلك فأعد تعيين كلمة المرور الآن.",
+    },
+    accountLocked: {
+      subject: "تم قفل الحساب",
+      body:
+        "قفلنا حسابك لمدة {count:minutes} بعد محاولات دخول فاشلة كثيرة. " +
+        "إذا كنت أنت من حاول الدخول فاستخدم الرمز {code} لفتح الحساب الآن، وإلا فننصحك بإعادة تعيين كلمة المرور.",
+    },
+    accountDeletion: {
+      subject: "سيتم حذف حسابك",
+      body:
+        "سيتم حذف حسابك على Sigme وجميع بياناته في {date}. " +
+        "سجّل الدخول وألغِ الحذف قبل ذلك إذا أردت الاحتفاظ به.",
+    },
+  },
+};
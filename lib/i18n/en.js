@@ -0,0 +1,125 @@
+// English texts. Error messages are not listed here, they are written
+// where the errors are thrown (see ./index.js).
+
+export default {
+  validation: {
+    required: "is required",
+    type: {
+      integer: "must be an integer",
+      number: "must be a number",
+      boolean: "must be a boolean",
+      string: "must be a string",
+      object: "must be an object",
+      array: "must be an array",
+    },
+    enum: "must be one of: {values}",
+    minLength: "must be at least {min} characters long",
+    maxLength: "must be at most {max} characters long",
+    pattern: "has an invalid format",
+    email: "must be a valid email address",
+    dateTime: "must be an ISO 8601 date-time",
+    minimum: "must be at least {min}",
+    maximum: "must be at most {max}",
+    minItems: "must contain at least {min} items",
+    maxItems: "must contain at most {max} items",
+    minProperties: "must contain at least {min} updatable field(s)",
+    timezone: "must be an IANA time zone, e.g. Africa/Cairo",
+    quietHoursPair: "quietHoursStart and quietHoursEnd must be set together",
+    alertChannel: "at least one alert channel must stay enabled",
+  },
+
+  units: {
+    minutes: { one: "{count} minute", other: "{count} minutes" },
+    seconds: { one: "{count} second", other: "{count} seconds" },
+  },
+
+  channels: {
+    email: "email",
+    phone: "phone",
+  },
+
+  messages: {
+    resetCodeSent: "If the account exists, a reset code has been sent.",
+    passwordReset: "Password has been reset.",
+    verificationCodeSent: "Verification code sent.",
+    addressVerified: "{channel} verified.",
+    accountUnlocked: "Account unlocked.",
+    passwordChanged: "Password changed.",
+    changeCodeSent: "Confirmation code sent to the new {channel}.",
+    alertConfirmed: "Alert confirmed and action triggered",
+    alertDismissed: "Alert dismissed",
+    alertModeDeleted: "Alert mode deleted",
+    connectivityLogDeleted: "Connectivity log deleted",
+    contactDeleted: "Contact deleted",
+    deviceDeleted: "Device deleted",
+    locationDeleted: "Location deleted",
+    mobileNetworkInfoDeleted: "mobile network info deleted",
+    signalThresholdDeleted: "Signal threshold deleted",
+    lowSignalWarning: "Low signal detected",
+    batteryLowWarning: "Battery low",
+    highLatencyWarning: "Connection quality is poor",
+  },
+
+  notifications: {
+    lowSignal: {
+      subject: "Low Signal Alert",
+      body: "Low signal detected on your device at {time}",
+    },
+    deviceDisconnect: {
+      subject: "Device Disconnected",
+      body: "{device} has not been heard from since {lastSeen}.",
+    },
+    deviceReconnected: {
+      subject: "Device Back Online",
+      body: "{device} is connected again since {time}.",
+    },
+    batteryLow: {
+      subject: "Low Battery Alert",
+      body: "The battery of {device} is at {level}% ({time}).",
+    },
+    highLatency: {
+      subject: "Poor Connection Alert",
+      body: "The connection of {device} is poor ({time}): {latency} ms average latency, {loss}% packet loss.",
+    },
+    batteryLowWeakSignal: {
+      subject: "Low Battery in a Weak Signal Area",
+      body: "The battery of {device} is at {level}% and its mobile signal is weak ({time}). It may soon become unreachable.",
+    },
+    verificationCode: {
+      subject: "Verify your {channel}",
+      body: "Your Sigme verification code is {code}. It expires in {count:minutes}.",
+    },
+    contactVerificationCode: {
+      subject: "Emergency contact on Sigme",
+      body: "{name} added you as an emergency contact on Sigme. To receive their alerts, give them the code {code}. It expires in {count:minutes}.",
+    },
+    changeCode: {
+      subject: "Confirm your new {channel}",
+      body: "Your Sigme confirmation code is {code}. It expires in {count:minutes}.",
+    },
+    addressChanged: {
+      subject: "Your {channel} was changed",
+      body: "The {channel} of your Sigme account was changed to {address}. If this was not you, contact support.",
+    },
+    passwordReset: {
+      subject: "Password Reset",
+      body: "Your password reset code is {code}. It expires in {count:minutes}.",
+    },
+    passwordChanged: {
+      subject: "Password changed",
+      body: "The password of your Sigme account was changed. If this was not you, reset your password now.",
+    },
+    accountLocked: {
+      subject: "Account Locked",
+      body:
+        "We locked your account for {count:minutes} after too many failed login attempts. " +
+        "If this was you, use the code {code} to unlock it now. If not, consider resetting your password.",
+    },
+    accountDeletion: {
+      subject: "Your account will be deleted",
+      body:
+        "Your Sigme account and all its data will be deleted on {date}. " +
+        "Sign in and cancel the deletion before then if you want to keep it.",
+    },
+  },
+};
@@ -0,0 +1,161 @@
+import { db } from "../database.js";
+import en from "./en.js";
+import ar from "./ar.js";
+
+// Translations of API messages and notifications. Catalogs are nested
+// objects addressed by dotted keys, e.g. "messages.contactDeleted".
+// Error messages are the exception: the English text is written where the
+// error is thrown, other catalogs translate it by the error's stable code.
+
+const CATALOGS = { en, ar };
+const RTL_LANGUAGES = ["ar"];
+
+export const DEFAULT_LANGUAGE = "en";
+
+// First-strong isolate / pop directional isolate
+const FSI = "\u2068";
+const PDI = "\u2069";
+
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => node?.[part], catalog);
+}
+
+/**
+ * A template is a string, or an object of plural forms ("zero", "one",
+ * "two", "few", "many", "other") chosen by the `count` param.
+ * `{name}` inserts a param, `{name:unit}` a quantity with its unit from
+ * "units", e.g. `{count:minutes}` → "10 minutes".
+ */
+function interpolate(template, params, language) {
+  const text = typeof template === "string"
+    ? template
+    : template[new Intl.PluralRules(language).select(params.count)] ?? template.other;
+
+  return text.replace(/\{(\w+)(?::(\w+))?\}/g, (placeholder, name, unit) => {
+    if (params[name] === undefined || params[name] === null) return placeholder;
+
+    const value = unit ? t(language, `units.${unit}`, { count: params[name] }) : String(params[name]);
+    // Isolated, so addresses, codes and numbers keep their order inside RTL sentences
+    return isRtl(language) && !unit ? `${FSI}${value}${PDI}` : value;
+  });
+}
+
+/**
+ * @param {string} language
+ * @returns {boolean} whether the language is written right to left
+ */
+export function isRtl(language) {
+  return RTL_LANGUAGES.includes(language);
+}
+
+/**
+ * Translates a catalog key, falling back to English and then to the key itself.
+ *
+ * @param {string} language
+ * @param {string} key dotted catalog key
+ * @param {object} [params] values for `{placeholders}`, `count` picks the plural form
+ * @returns {string}
+ *
+ * @example t("ar", "messages.contactDeleted")
+ */
+export function t(language, key, params = {}) {
+  const translated = lookup(CATALOGS[language], key);
+  if (translated !== undefined) return interpolate(translated, params, language);
+
+  const fallback = lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+  return fallback === undefined ? key : interpolate(fallback, params, DEFAULT_LANGUAGE);
+}
+
+/**
+ * Translates the message of an application error by its code,
+ * keeping the English message when the catalog has no entry.
+ *
+ * @param {{ code: string, message: string, details?: * }} error
+ * @param {string} language
+ * @returns {string}
+ */
+export function translateError(error, language) {
+  const template = lookup(CATALOGS[language], `errors.${error.code}`);
+  if (template === undefined) return error.message;
+
+  const params = error.details && typeof error.details === "object" && !Array.isArray(error.details)
+    ? error.details
+    : {};
+  return interpolate(template, params, language);
+}
+
+/**
+ * Renders a notification template in the given language.
+ *
+ * @param {string} language
+ * @param {string} name key under "notifications", e.g. "lowSignal"
+ * @param {object} [params]
+ * @returns {{ subject: string, text: string, language: string }}
+ */
+export function notification(language, name, params = {}) {
+  return {
+    subject: t(language, `notifications.${name}.subject`, params),
+    text: t(language, `notifications.${name}.body`, params),
+    language,
+  };
+}
+
+/**
+ * Picks the best supported language from an Accept-Language header,
+ * e.g. "ar-EG,ar;q=0.9,en;q=0.8" → "ar".
+ *
+ * @param {string} [header]
+ * @returns {string|null} null when the header names no supported language
+ */
+export function negotiateLanguage(header) {
+  if (!header) return null;
+
+  const ranges = header.split(",").map((range, index) => {
+    const [tag, ...options] = range.trim().split(";");
+    const quality = options.find((option) => option.trim().startsWith("q="));
+    return { tag: tag.trim().toLowerCase(), q: quality ? Number(quality.trim().slice(2)) : 1, index };
+  });
+
+  const match = ranges
+    .filter(({ q }) => q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .find(({ tag }) => Object.hasOwn(CATALOGS, tag.split("-")[0]));
+
+  return match ? match.tag.split("-")[0] : null;
+}
+
+/**
+ * Sets the language of the response, see `localize`.
+ *
+ * @param {import('express').Request} req
+ * @param {string} language
+ */
+export function useLanguage(req, language) {
+  req.language = language;
+  req.res?.set("Content-Language", language);
+}
+
+/**
+ * Middleware selecting the response language from Accept-Language.
+ * `verifyToken` switches to the user's stored preference when they have one.
+ * Exposes `req.language` and `req.t(key, params)`.
+ */
+export function localize(req, res, next) {
+  useLanguage(req, negotiateLanguage(req.get("accept-language")) ?? DEFAULT_LANGUAGE);
+  req.t = (key, params) => t(req.language, key, params);
+  res.vary("Accept-Language");
+  next();
+}
+
+/**
+ * The language notifications to a user are written in: their stored
+ * preference, else `fallback` (usually the language of the current request).
+ *
+ * @param {string} userId
+ * @param {string} [fallback]
+ * @returns {Promise<string>}
+ */
+export async function languageOf(userId, fallback = DEFAULT_LANGUAGE) {
+  const preferences = await db.userPreferences.findUnique({ where: { userId }, select: { language: true } });
+  return preferences?.language ?? fallback;
+}
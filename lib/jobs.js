@@ -0,0 +1,20 @@
+import { purgeDueAccounts } from "./account-deletion.js";
+import { detectOfflineDevices } from "./device-monitor.js";
+import { processPendingExports } from "./data-export.js";
+import {
+  ACCOUNT_PURGE_INTERVAL_MINUTES,
+  DEVICE_MONITOR_INTERVAL_MINUTES,
+  DATA_EXPORT_INTERVAL_MINUTES,
+} from "./constants/config.js";
+
+// Background jobs, by the name they are run under. A long-running server
+// runs them itself (see index.js and ./scheduler.js). On Vercel nothing runs
+// between requests, so Vercel Cron calls GET /api/cron/:job instead (see
+// vercel.json and controllers/cron.controller.js); keep both in sync.
+
+/** @type {Record<string, { intervalMinutes: number, run: () => Promise<unknown> }>} */
+export const JOBS = {
+  "account-purge": { intervalMinutes: ACCOUNT_PURGE_INTERVAL_MINUTES, run: purgeDueAccounts },
+  "device-monitor": { intervalMinutes: DEVICE_MONITOR_INTERVAL_MINUTES, run: detectOfflineDevices },
+  "data-exports": { intervalMinutes: DATA_EXPORT_INTERVAL_MINUTES, run: processPendingExports },
+};
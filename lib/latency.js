@@ -0,0 +1,116 @@
+import { AlertType } from "@prisma/client";
+import { db } from "./database.js";
+import { raiseAlert, resolvePendingAlerts } from "./alerts.js";
+import { deviceLabel } from "./devices.js";
+import {
+  LATENCY_HIGH_MS,
+  JITTER_HIGH_MS,
+  PACKET_LOSS_HIGH_PERCENT,
+  LATENCY_SUSTAINED_READINGS,
+  LATENCY_SUSTAINED_WINDOW_MINUTES,
+} from "./constants/config.js";
+
+// Latency telemetry arrives with pings and connectivity logs, usually timed
+// by the client against GET /api/connectivity/echo. Every report is kept as
+// a LatencyReading. A single slow probe says little, so HIGH_LATENCY is only
+// raised once LATENCY_SUSTAINED_READINGS recent readings in a row are
+// degraded, and resolved once as many in a row are healthy again.
+
+const LATENCY_FIELDS = ["latencyMs", "jitterMs", "packetLossPercent"];
+
+/**
+ * Picks the latency fields present in a telemetry payload.
+ *
+ * @param {object} payload PingRequest or ConnectivityLogInput
+ * @returns {{ latencyMs?: number, jitterMs?: number, packetLossPercent?: number }}
+ */
+export function latencyFields(payload) {
+  return Object.fromEntries(LATENCY_FIELDS
+    .filter((field) => payload[field] !== undefined)
+    .map((field) => [field, payload[field]]));
+}
+
+/**
+ * @param {object} reading LatencyReading record
+ * @returns {boolean} whether any of its values reaches its threshold
+ */
+function isDegraded({ latencyMs, jitterMs, packetLossPercent }) {
+  return (latencyMs ?? 0) >= LATENCY_HIGH_MS
+    || (jitterMs ?? 0) >= JITTER_HIGH_MS
+    || (packetLossPercent ?? 0) >= PACKET_LOSS_HIGH_PERCENT;
+}
+
+/**
+ * Averages a field over the readings that have it.
+ *
+ * @returns {string} rounded, or "–" when no reading has it
+ */
+function average(readings, field) {
+  const values = readings.map((reading) => reading[field]).filter((value) => value !== null && value !== undefined);
+  if (values.length === 0) return "–";
+  return String(Math.round(values.reduce((sum, value) => sum + value, 0) / values.length));
+}
+
+/**
+ * Stores a latency report of the device and raises or resolves its
+ * HIGH_LATENCY alert.
+ *
+ * @param {object} device DeviceInfo record
+ * @param {object} report as returned by `latencyFields`
+ * @param {object} [options]
+ * @param {Date} [options.at]
+ * @returns {Promise<{ degraded: boolean, alert: object|null }>} whether a HIGH_LATENCY
+ *   alert is in effect, and the alert raised by this report if any
+ */
+export async function recordLatency(device, report, { at = new Date() } = {}) {
+  const wasDegraded = Boolean(device.highLatencySince);
+  if (Object.keys(report).length === 0) return { degraded: wasDegraded, alert: null };
+
+  await db.latencyReading.create({ data: { ...report, deviceId: device.id, recordedAt: at } });
+
+  const recent = await db.latencyReading.findMany({
+    where: {
+      deviceId: device.id,
+      recordedAt: { gte: new Date(at.getTime() - LATENCY_SUSTAINED_WINDOW_MINUTES * 60 * 1000) },
+    },
+    orderBy: { recordedAt: "desc" },
+    take: LATENCY_SUSTAINED_READINGS,
+  });
+  const streak = recent.length === LATENCY_SUSTAINED_READINGS;
+
+  // Conditional updates, so concurrent reports raise or resolve the alert once
+  if (!wasDegraded && streak && recent.every(isDegraded)) {
+    const { count } = await db.deviceInfo.updateMany({
+      where: { id: device.id, highLatencySince: null },
+      data: { highLatencySince: at },
+    });
+    if (count === 0) return { degraded: true, alert: null };
+
+    try {
+      const alert = await raiseAlert(device, AlertType.HIGH_LATENCY, {
+        device: deviceLabel(device),
+        latency: average(recent, "latencyMs"),
+        loss: average(recent, "packetLossPercent"),
+      }, { at });
+      return { degraded: true, alert };
+    } catch (error) {
+      // No alert to resolve later, the next degraded report raises it again
+      await db.deviceInfo.updateMany({
+        where: { id: device.id, highLatencySince: at },
+        data: { highLatencySince: null },
+      });
+      throw error;
+    }
+  }
+
+  if (wasDegraded && streak && !recent.some(isDegraded)) {
+    const { count } = await db.deviceInfo.updateMany({
+      where: { id: device.id, highLatencySince: device.highLatencySince },
+      data: { highLatencySince: null },
+    });
+    if (count > 0) await resolvePendingAlerts(device.id, AlertType.HIGH_LATENCY, device.highLatencySince, at);
+    return { degraded: false, alert: null };
+  }
+
+  return { degraded: wasDegraded, alert: null };
+}
@@ -0,0 +1,138 @@
+import { Prisma } from "@prisma/client";
+import { db } from "./database.js";
+import {
+  LOGIN_FREE_ATTEMPTS,
+  LOGIN_MAX_DELAY_SECONDS,
+  LOGIN_IDENTIFIER_LOCK_THRESHOLD,
+  LOGIN_IP_LOCK_THRESHOLD,
+  LOGIN_LOCK_MINUTES,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+} from "./constants/config.js";
+
+function isUniqueViolation(error) {
+  return error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002";
+}
+
+/**
+ * @param {string} identifier email or phone as typed by the user
+ * @returns {string}
+ */
+export function identifierKey(identifier) {
+  return `identifier:${String(identifier).trim().toLowerCase()}`;
+}
+
+/**
+ * @param {string} ip
+ * @returns {string}
+ */
+export function ipKey(ip) {
+  return `ip:${ip}`;
+}
+
+/**
+ * Failures are forgotten once the window has passed or a lock has run out,
+ * so counting starts over instead of staying at the maximum delay.
+ */
+function isStale(record, now) {
+  if (record.lockedUntil && record.lockedUntil.getTime() <= now) return true;
+
+  return !record.lastFailureAt ||
+    now - record.lastFailureAt.getTime() > LOGIN_FAILURE_WINDOW_MINUTES * 60 * 1000;
+}
+
+/**
+ * Seconds to wait after the last failure: free for the first few failures,
+ * then doubling with every further failure up to a cap.
+ */
+function progressiveDelaySeconds(failures) {
+  if (failures < LOGIN_FREE_ATTEMPTS) return 0;
+  return Math.min(2 ** (failures - LOGIN_FREE_ATTEMPTS), LOGIN_MAX_DELAY_SECONDS);
+}
+
+/**
+ * Checks whether any of the keys is locked or still inside its progressive delay.
+ *
+ * @param {string[]} keys
+ * @returns {Promise<number>} seconds until the next attempt is allowed, 0 if allowed now
+ */
+export async function getLoginRetryAfter(keys) {
+  const records = await db.loginThrottle.findMany({ where: { key: { in: keys } } });
+  const now = Date.now();
+  let retryAfterMs = 0;
+
+  for (const record of records) {
+    if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+      retryAfterMs = Math.max(retryAfterMs, record.lockedUntil.getTime() - now);
+      continue;
+    }
+
+    if (isStale(record, now)) continue;
+
+    const nextAttemptAt = record.lastFailureAt.getTime() + progressiveDelaySeconds(record.failures) * 1000;
+    retryAfterMs = Math.max(retryAfterMs, nextAttemptAt - now);
+  }
+
+  return Math.ceil(retryAfterMs / 1000);
+}
+
+/**
+ * Counts a failed login against a key and locks it once its threshold is
+ * reached. The count is incremented in the database, so concurrent failures
+ * are all counted and exactly one of them reaches the threshold.
+ *
+ * @param {string} key
+ * @returns {Promise<{ record: object, locked: boolean }>} `locked` is true only for the failure that caused the lock
+ */
+export async function recordLoginFailure(key) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - LOGIN_FAILURE_WINDOW_MINUTES * 60 * 1000);
+
+  // Start over when the failures are stale (see isStale). Conditional, so a
+  // failure counted in the meantime is not reset away
+  await db.loginThrottle.updateMany({
+    where: {
+      key,
+      OR: [
+        { lockedUntil: { lte: now } },
+        { lockedUntil: null, OR: [{ lastFailureAt: null }, { lastFailureAt: { lt: windowStart } }] },
+      ],
+    },
+    data: { failures: 0, lockedUntil: null },
+  });
+
+  const increment = () => db.loginThrottle.upsert({
+    where: { key },
+    create: { key, failures: 1, lastFailureAt: now, lockedUntil: null },
+    update: { failures: { increment: 1 }, lastFailureAt: now },
+  });
+
+  let record;
+  try {
+    record = await increment();
+  } catch (error) {
+    // Created by a concurrent failure in the meantime
+    if (!isUniqueViolation(error)) throw error;
+    record = await increment();
+  }
+
+  const threshold = key.startsWith("ip:") ? LOGIN_IP_LOCK_THRESHOLD : LOGIN_IDENTIFIER_LOCK_THRESHOLD;
+  if (record.failures < threshold) return { record, locked: false };
+
+  // Failures racing the one that reached the threshold find the lock set
+  const lockedUntil = new Date(now.getTime() + LOGIN_LOCK_MINUTES * 60 * 1000);
+  const { count } = await db.loginThrottle.updateMany({
+    where: { key, lockedUntil: null },
+    data: { lockedUntil },
+  });
+
+  return count === 1 ? { record: { ...record, lockedUntil }, locked: true } : { record, locked: false };
+}
+
+/**
+ * Forgets failures and lifts any lock for the given keys.
+ *
+ * @param {string[]} keys
+ */
+export async function clearLoginThrottle(keys) {
+  await db.loginThrottle.deleteMany({ where: { key: { in: keys } } });
+}
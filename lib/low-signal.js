@@ -0,0 +1,143 @@
+import { AlertType } from "@prisma/client";
+import { db } from "./database.js";
+import { raiseAlert, resolvePendingAlerts } from "./alerts.js";
+import { evaluateSignal } from "./signal-thresholds.js";
+import {
+  LOW_SIGNAL_CONSECUTIVE_READINGS,
+  LOW_SIGNAL_MIN_DURATION_MINUTES,
+  LOW_SIGNAL_COOLDOWN_MINUTES,
+  LOW_SIGNAL_RECOVERY_MARGIN_DBM,
+  LOW_SIGNAL_RECOVERY_MARGIN_LEVELS,
+  DEVICE_HEARTBEAT_INTERVAL_MINUTES,
+  DEVICE_OFFLINE_AFTER_MISSED_HEARTBEATS,
+} from "./constants/config.js";
+
+// Signal readings from pings go through a per-device state machine, so a
+// device sitting in a basement alerts once instead of on every ping:
+//  - a LOW_SIGNAL alert needs LOW_SIGNAL_CONSECUTIVE_READINGS weak readings
+//    in a row spanning LOW_SIGNAL_MIN_DURATION_MINUTES; a healthy reading or
+//    a silence as long as the heartbeat monitor's breaks the streak;
+//  - while the alert is in effect (`lowSignalSince`) weak readings are ignored;
+//  - only a reading clearing the threshold by a margin resolves it, so a
+//    signal hovering around the threshold does not flap;
+//  - no new alert is raised for LOW_SIGNAL_COOLDOWN_MINUTES after that.
+
+const STREAK_GAP_MS = DEVICE_HEARTBEAT_INTERVAL_MINUTES * DEVICE_OFFLINE_AFTER_MISSED_HEARTBEATS * 60 * 1000;
+
+function minutesSince(date, at) {
+  return (at.getTime() - date.getTime()) / (60 * 1000);
+}
+
+/**
+ * @param {object} reading
+ * @param {object} threshold as returned by `resolveSignalThreshold`
+ * @returns {boolean} whether every value reported clears the threshold by its margin
+ */
+function isRecovered({ signalDbm, signalLevel }, threshold) {
+  const checks = [];
+  if (Number.isInteger(signalDbm)) checks.push(signalDbm > threshold.maxDbm + LOW_SIGNAL_RECOVERY_MARGIN_DBM);
+  if (Number.isInteger(signalLevel)) checks.push(signalLevel > threshold.maxLevel + LOW_SIGNAL_RECOVERY_MARGIN_LEVELS);
+  return checks.length > 0 && checks.every(Boolean);
+}
+
+async function resolveLowSignal(device, at) {
+  const { count } = await db.deviceInfo.updateMany({
+    where: { id: device.id, lowSignalSince: device.lowSignalSince },
+    data: { lowSignalSince: null, lowSignalClearedAt: at, lowSignalReadings: 0, lowSignalStreakSince: null },
+  });
+  if (count > 0) await resolvePendingAlerts(device.id, AlertType.LOW_SIGNAL, device.lowSignalSince, at);
+}
+
+/**
+ * Feeds a signal reading of the device into its LOW_SIGNAL state machine.
+ * The reading that raises an alert is stored as a connectivity log with its
+ * network info and linked to the alert, other readings are not kept.
+ *
+ * @param {object} device DeviceInfo record
+ * @param {object} reading
+ * @param {number} [reading.signalDbm]
+ * @param {number} [reading.signalLevel] 0–4
+ * @param {string} [reading.networkType]
+ * @param {string} [reading.carrier]
+ * @param {string} [reading.mcc]
+ * @param {string} [reading.mnc]
+ * @param {object} [options]
+ * @param {Date} [options.at]
+ * @param {object} [options.logFields] extra ConnectivityInfo fields for the stored log, e.g. battery
+ * @returns {Promise<{ low: boolean, alert: object|null }>} whether this reading is weak,
+ *   and the alert it raised if any
+ */
+export async function recordSignal(device, reading, { at = new Date(), logFields = {} } = {}) {
+  const { signalDbm, signalLevel, networkType, carrier, mcc, mnc } = reading;
+  if (!Number.isInteger(signalDbm) && !Number.isInteger(signalLevel)) return { low: false, alert: null };
+
+  const { low, threshold } = await evaluateSignal(device.userId, reading);
+
+  if (device.lowSignalSince) {
+    if (isRecovered(reading, threshold)) await resolveLowSignal(device, at);
+    return { low, alert: null };
+  }
+
+  if (!low) {
+    if (device.lowSignalReadings) {
+      await db.deviceInfo.update({
+        where: { id: device.id },
+        data: { lowSignalReadings: 0, lowSignalStreakSince: null },
+      });
+    }
+    return { low, alert: null };
+  }
+
+  const continues = device.lowSignalReadings > 0 && at.getTime() - device.lowSignalLastAt?.getTime() <= STREAK_GAP_MS;
+  const readings = continues ? device.lowSignalReadings + 1 : 1;
+  const streakSince = continues ? device.lowSignalStreakSince : at;
+
+  await db.deviceInfo.update({
+    where: { id: device.id },
+    data: { lowSignalReadings: readings, lowSignalStreakSince: streakSince, lowSignalLastAt: at },
+  });
+
+  const sustained = readings >= LOW_SIGNAL_CONSECUTIVE_READINGS
+    && minutesSince(streakSince, at) >= LOW_SIGNAL_MIN_DURATION_MINUTES;
+  const coolingDown = device.lowSignalClearedAt
+    && minutesSince(device.lowSignalClearedAt, at) < LOW_SIGNAL_COOLDOWN_MINUTES;
+  if (!sustained || coolingDown) return { low, alert: null };
+
+  // Conditional, so concurrent pings raise the alert once
+  const { count } = await db.deviceInfo.updateMany({
+    where: { id: device.id, lowSignalSince: null },
+    data: { lowSignalSince: at },
+  });
+  if (count === 0) return { low, alert: null };
+
+  let mobileNetworkInfo = null;
+  let log = null;
+  try {
+    mobileNetworkInfo = await db.mobileNetworkInfo.create({
+      data: { carrier, networkType, signalDbm, signalLevel, mcc, mnc },
+    });
+    log = await db.connectivityInfo.create({
+      data: {
+        ...logFields,
+        deviceId: device.id,
+        connectivityType: "mobile",
+        isConnected: false,
+        mobileNetworkInfoId: mobileNetworkInfo.id,
+        timestamp: at,
+      },
+    });
+
+    const alert = await raiseAlert(device, AlertType.LOW_SIGNAL, {}, { at, connectivityInfoId: log.id });
+    return { low, alert };
+  } catch (error) {
+    // The streak is kept, so the next weak reading raises the alert again
+    // and stores its own log, this one would be linked to nothing
+    await db.deviceInfo.updateMany({
+      where: { id: device.id, lowSignalSince: at },
+      data: { lowSignalSince: null },
+    });
+    if (log) await db.connectivityInfo.delete({ where: { id: log.id } });
+    if (mobileNetworkInfo) await db.mobileNetworkInfo.delete({ where: { id: mobileNetworkInfo.id } });
+    throw error;
+  }
+}
@@ -1,7 +1,39 @@
 // lib/utils/sendEmail.js
 import nodemailer from 'nodemailer';
+import { isRtl, DEFAULT_LANGUAGE } from './i18n/index.js';
+import { SMS_MOCK_DELIVERY } from './constants/config.js';
 
-export async function sendEmail(to, subject, text) {
+const RLM = '\u200F';
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Plain text has no direction markup, so each line of an RTL text starts
+ * with a right-to-left mark; the HTML part sets dir and lang explicitly.
+ */
+function renderBodies(text, language) {
+  const rtl = isRtl(language);
+  const dir = rtl ? 'rtl' : 'ltr';
+
+  return {
+    text: rtl ? text.split('\n').map((line) => RLM + line).join('\n') : text,
+    html:
+      `<!DOCTYPE html><html lang="${language}" dir="${dir}"><body>` +
+      `<div dir="${dir}" style="text-align: ${rtl ? 'right' : 'left'}; white-space: pre-line;">${escapeHtml(text)}</div>` +
+      '</body></html>',
+  };
+}
+
+/**
+ * @param {string} to
+ * @param {string} subject
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.language] language of the text, sets the direction of the email
+ */
+export async function sendEmail(to, subject, text, { language = DEFAULT_LANGUAGE } = {}) {
   try {
     // Set up the transporter using Gmail SMTP
     const transporter = nodemailer.createTransport({
@@ -17,7 +49,7 @@ export async function sendEmail(to, subject, text) {
       from: `"Alert System" <${process.env.APP_NAME}>`,
       to,
       subject,
-      text,
+      ...renderBodies(text, language),
     };
 
     // Send email
@@ -31,8 +63,19 @@ export async function sendEmail(to, subject, text) {
 }
 
 
+/**
+ * No SMS provider is wired up yet, messages are only logged. The body is
+ * left out of the log, it carries one-time codes. Unless SMS_MOCK_DELIVERY
+ * is set for development the message counts as not sent, so an alert is
+ * never taken as delivered when nobody received it.
+ *
+ * @param {string} phone
+ * @param {string} message
+ */
 export const sendSms = async (phone, message) => {
-    console.log(`📲 [Mock SMS] Sending to ${phone}: ${message}`);
+    console.log(`📲 [Mock SMS] To ${phone}: <${message.length} characters redacted>`);
+
+    if (!SMS_MOCK_DELIVERY) throw new Error('SMS delivery failed: no SMS provider configured');
 };
 
 
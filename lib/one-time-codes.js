@@ -0,0 +1,118 @@
+import crypto from "crypto";
+import { db } from "./database.js";
+import {
+  ONE_TIME_CODE_TTL_MINUTES,
+  ONE_TIME_CODE_MAX_ATTEMPTS,
+  ONE_TIME_CODE_RESEND_SECONDS,
+} from "./constants/config.js";
+
+function hashCode(code) {
+  return crypto.createHmac("sha256", process.env.JWT_SECRET).update(String(code)).digest("hex");
+}
+
+/**
+ * Returns the latest code of this purpose that can still be used.
+ *
+ * @param {string} userId
+ * @param {import('@prisma/client').OneTimeCodePurpose} purpose
+ * @param {object} [options]
+ * @param {string} [options.scope] record the code is for, see `issueCode`
+ * @returns {Promise<Object|null>}
+ */
+export async function findActiveCode(userId, purpose, { scope } = {}) {
+  return db.oneTimeCode.findFirst({
+    where: {
+      userId,
+      purpose,
+      ...(scope && { scope }),
+      consumedAt: null,
+      expiresAt: { gt: new Date() },
+      attempts: { lt: ONE_TIME_CODE_MAX_ATTEMPTS },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Whether a code of this purpose was issued too recently to send another one.
+ *
+ * @param {string} userId
+ * @param {import('@prisma/client').OneTimeCodePurpose} purpose
+ * @param {object} [options]
+ * @param {string} [options.scope] record the code is for, see `issueCode`
+ * @returns {Promise<boolean>}
+ */
+export async function isResendThrottled(userId, purpose, { scope } = {}) {
+  const active = await findActiveCode(userId, purpose, { scope });
+  return !!active && Date.now() - active.createdAt.getTime() < ONE_TIME_CODE_RESEND_SECONDS * 1000;
+}
+
+/**
+ * Issues a 6-digit single-use code. Any previous unused code of the same
+ * purpose, and scope if any, is invalidated, so only the most recently
+ * delivered code works.
+ *
+ * @param {string} userId
+ * @param {import('@prisma/client').OneTimeCodePurpose} purpose
+ * @param {object} [options]
+ * @param {string} [options.target] email or phone the code is delivered to
+ * @param {string} [options.scope] id of the record the code is for, when the user can have
+ *   codes of this purpose for several at once, e.g. one per contact
+ * @returns {Promise<string>} the plain code, to be delivered and then forgotten
+ */
+export async function issueCode(userId, purpose, { target, scope } = {}) {
+  const code = crypto.randomInt(0, 1_000_000).toString().padStart(6, "0");
+
+  await db.oneTimeCode.updateMany({
+    where: { userId, purpose, ...(scope && { scope }), consumedAt: null },
+    data: { consumedAt: new Date() },
+  });
+
+  await db.oneTimeCode.create({
+    data: {
+      userId,
+      purpose,
+      target,
+      scope,
+      codeHash: hashCode(code),
+      expiresAt: new Date(Date.now() + ONE_TIME_CODE_TTL_MINUTES * 60 * 1000),
+    },
+  });
+
+  return code;
+}
+
+/**
+ * Checks a code and marks it as used. Every wrong guess counts towards
+ * the attempt limit, after which the code is dead even if later guessed right.
+ *
+ * @param {string} userId
+ * @param {import('@prisma/client').OneTimeCodePurpose} purpose
+ * @param {string} code
+ * @param {object} [options]
+ * @param {string} [options.scope] record the code is for, see `issueCode`
+ * @returns {Promise<Object|null>} the consumed code record, or null if invalid
+ */
+export async function consumeCode(userId, purpose, code, { scope } = {}) {
+  const active = await findActiveCode(userId, purpose, { scope });
+  if (!active || !code) return null;
+
+  const expected = Buffer.from(active.codeHash, "hex");
+  const presented = Buffer.from(hashCode(code), "hex");
+
+  if (!crypto.timingSafeEqual(expected, presented)) {
+    await db.oneTimeCode.update({
+      where: { id: active.id },
+      data: { attempts: { increment: 1 } },
+    });
+    return null;
+  }
+
+  // Guard against two concurrent requests consuming the same code
+  const { count } = await db.oneTimeCode.updateMany({
+    where: { id: active.id, consumedAt: null },
+    data: { consumedAt: new Date() },
+  });
+
+  return count === 1 ? active : null;
+}
@@ -0,0 +1,125 @@
+// Cursor-based pagination and filters for list endpoints. The query is
+// validated first against one of the `*ListQuery` schemas in ./schemas.js,
+// which supply `limit`, `cursor`, `sort` and the endpoint's filters; the
+// `*Filter` functions below turn those filters into Prisma `where` clauses.
+//
+// The cursor is the id of the last record of the previous page rather than
+// an offset, so pages stay cheap and stable while new logs are written.
+// Prisma ignores `undefined` conditions, so absent filters need no special casing.
+
+/**
+ * `"-timestamp"` → `[{ timestamp: "desc" }, { id: "desc" }]`. The id breaks
+ * ties, records sharing a sort value would otherwise repeat or go missing
+ * across pages.
+ */
+function orderByFor(sort) {
+  const direction = sort.startsWith("-") ? "desc" : "asc";
+  const field = sort.replace(/^-/, "");
+
+  return field === "id"
+    ? [{ id: direction }]
+    : [{ [field]: direction }, { id: direction }];
+}
+
+/**
+ * Fetches one page of `model` records.
+ *
+ * @param {object} model Prisma delegate, e.g. `db.connectivityInfo`
+ * @param {{ limit: number, cursor?: string, sort: string }} query validated query
+ * @param {object} [options]
+ * @param {object} [options.where]
+ * @param {object} [options.include]
+ * @param {(record: object) => object} options.serialize
+ * @returns {Promise<{ data: object[], nextCursor: string|null }>} `nextCursor` is null on the last page
+ *
+ * @example
+ * res.json(await findPage(db.deviceInfo, req.query, { where, serialize: serializeDevice }))
+ */
+export async function findPage(model, query, { where, include, serialize }) {
+  const { limit, cursor, sort } = query;
+
+  // One extra record tells whether another page follows
+  const records = await model.findMany({
+    where,
+    include,
+    orderBy: orderByFor(sort),
+    take: limit + 1,
+    ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+  });
+
+  const hasMore = records.length > limit;
+  const page = hasMore ? records.slice(0, limit) : records;
+
+  return {
+    data: page.map((record) => serialize(record)),
+    nextCursor: hasMore ? page[page.length - 1].id : null,
+  };
+}
+
+/**
+ * Prisma filter for the `from`/`to` query parameters, both inclusive.
+ *
+ * @param {string} [from] ISO 8601 date-time
+ * @param {string} [to] ISO 8601 date-time
+ * @returns {object|undefined} undefined when neither bound is given
+ */
+export function dateRange(from, to) {
+  if (!from && !to) return undefined;
+
+  return {
+    ...(from && { gte: new Date(from) }),
+    ...(to && { lte: new Date(to) }),
+  };
+}
+
+// ---------- Filters ----------
+
+/** ConnectivityLogListQuery and DeviceLogListQuery */
+export function connectivityLogFilter(query) {
+  const { from, to, connectivityType, isConnected, carrier, networkType, deviceId, userId } = query;
+
+  return {
+    timestamp: dateRange(from, to),
+    connectivityType,
+    isConnected,
+    deviceId,
+    ...(userId && { device: { is: { userId } } }),
+    ...((carrier || networkType) && { mobileNetworkInfo: { is: { carrier, networkType } } }),
+  };
+}
+
+/** LocationListQuery, a bounding box */
+export function locationFilter({ minLatitude, maxLatitude, minLongitude, maxLongitude }) {
+  return {
+    latitude: { gte: minLatitude, lte: maxLatitude },
+    longitude: { gte: minLongitude, lte: maxLongitude },
+  };
+}
+
+/** MobileNetworkInfoListQuery */
+export function mobileNetworkInfoFilter({ from, to, carrier, networkType, mcc, mnc }) {
+  return { createdAt: dateRange(from, to), carrier, networkType, mcc, mnc };
+}
+
+/** DeviceListQuery */
+export function deviceFilter({ from, to, platform, brand, userId }) {
+  return { createdAt: dateRange(from, to), platform, brand, userId };
+}
+
+/** ContactListQuery */
+export function contactFilter({ from, to, type, userId }) {
+  return { createdAt: dateRange(from, to), type, userId };
+}
+
+/** UserListQuery, `q` matches part of the name, email or phone */
+export function userFilter({ from, to, role, alertModeId, suspended, q }) {
+  const contains = { contains: q, mode: "insensitive" };
+
+  return {
+    createdAt: dateRange(from, to),
+    role,
+    alertModeId,
+    ...(suspended !== undefined && { suspendedAt: suspended ? { not: null } : null }),
+    ...(q && { OR: [{ name: contains }, { email: contains }, { phone: contains }] }),
+  };
+}
@@ -0,0 +1,95 @@
+import { MeasurementUnits } from "@prisma/client";
+import { db } from "./database.js";
+
+export const SUPPORTED_LANGUAGES = ["en", "ar"];
+
+/**
+ * What a user without a stored UserPreferences record gets,
+ * mirrors the column defaults in schema.prisma.
+ */
+export const DEFAULT_PREFERENCES = {
+  language: "en",
+  timezone: "UTC",
+  units: MeasurementUnits.METRIC,
+  quietHoursStart: null,
+  quietHoursEnd: null,
+  alertByEmail: true,
+  alertBySms: true,
+  batteryLowThreshold: 15,
+};
+
+/**
+ * @param {string} userId
+ * @returns {Promise<object>} the stored preferences, or the defaults
+ */
+export async function getPreferences(userId) {
+  const stored = await db.userPreferences.findUnique({ where: { userId } });
+  return stored ?? { ...DEFAULT_PREFERENCES, userId };
+}
+
+/**
+ * @param {string} timezone
+ * @returns {boolean} whether the runtime knows this IANA time zone
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Minutes since local midnight of `date` in `timezone`. */
+function localMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return value("hour") * 60 + value("minute");
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether `date` falls in the user's quiet hours. The start is inclusive,
+ * the end exclusive, and a window like 22:00–07:00 spans midnight.
+ *
+ * @param {object} preferences as returned by `getPreferences`
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+export function isQuietTime(preferences, date = new Date()) {
+  const { quietHoursStart, quietHoursEnd, timezone } = preferences;
+  if (!quietHoursStart || !quietHoursEnd) return false;
+
+  const now = localMinutes(date, timezone);
+  const start = toMinutes(quietHoursStart);
+  const end = toMinutes(quietHoursEnd);
+
+  return start <= end
+    ? now >= start && now < end
+    : now >= start || now < end;
+}
+
+/**
+ * Formats a timestamp for notification texts in the user's language and time zone.
+ *
+ * @param {Date} date
+ * @param {object} preferences as returned by `getPreferences`
+ * @returns {string} e.g. "Jun 3, 2024, 3:12 AM (Africa/Cairo)"
+ */
+export function formatDateTime(date, { language, timezone }) {
+  return new Intl.DateTimeFormat(language, {
+    timeZone: timezone,
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(date) + ` (${timezone})`;
+}
@@ -0,0 +1,42 @@
+// In-process periodic jobs. Runs of a job never overlap: a run that is
+// still going when the next one is due makes that one skip.
+
+const jobs = new Map();
+
+/**
+ * Runs `task` every `intervalMinutes`, the first time right away.
+ * Errors are logged and do not stop later runs.
+ *
+ * @param {string} name used in logs, and to ignore a second registration
+ * @param {number} intervalMinutes
+ * @param {() => Promise<unknown>} task
+ *
+ * @example schedule("account purge", ACCOUNT_PURGE_INTERVAL_MINUTES, purgeDueAccounts)
+ */
+export function schedule(name, intervalMinutes, task) {
+  if (jobs.has(name)) return;
+
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Job "${name}" failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  // unref: a pending timer alone does not keep the process alive
+  jobs.set(name, setInterval(run, intervalMinutes * 60 * 1000).unref());
+  run();
+}
+
+/** Stops every scheduled job. */
+export function stopAll() {
+  for (const timer of jobs.values()) clearInterval(timer);
+  jobs.clear();
+}
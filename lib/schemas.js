@@ -0,0 +1,634 @@
+import { ContactTypeEnum, MeasurementUnits, UserRole } from "@prisma/client";
+import { PAGE_DEFAULT_LIMIT, PAGE_MAX_LIMIT } from "./constants/config.js";
+import { SUPPORTED_LANGUAGES } from "./preferences.js";
+import { NETWORK_TYPES } from "./signal-thresholds.js";
+
+// Request schemas, enforced by `validate` from ./validation.js and published
+// as Swagger components by controllers/swagger.controller.js, so the docs and
+// the checks cannot drift apart. Route docs reference them by name, e.g.
+// `$ref: '#/components/schemas/PingRequest'`.
+
+const objectId = {
+  type: "string",
+  pattern: "^[a-fA-F0-9]{24}$",
+  example: "665a7cc0cf8a973db4fcce4c",
+};
+
+const password = { type: "string", format: "password", minLength: 1 };
+
+// Email or phone number, as accepted by login and the recovery flows
+const accountIdentifier = {
+  type: "string",
+  minLength: 1,
+  description: "Account email or phone number",
+  example: "yousef@example.com",
+};
+
+const code = { type: "string", minLength: 1, example: "482913" };
+
+/** Same fields as `base`, none of them required, at least one present. */
+function partial(base) {
+  const { required, ...rest } = base;
+  return { ...rest, minProperties: 1 };
+}
+
+/**
+ * Query of a list endpoint, see ../lib/pagination.js. The first sort field,
+ * descending, is the default order.
+ *
+ * @param {string[]} sortFields fields clients may sort by
+ * @param {object} [filters] schemas of the endpoint's filter parameters
+ */
+function listQuery(sortFields, filters = {}) {
+  return {
+    type: "object",
+    properties: {
+      limit: { type: "integer", minimum: 1, maximum: PAGE_MAX_LIMIT, default: PAGE_DEFAULT_LIMIT },
+      cursor: { ...objectId, description: "`nextCursor` of the previous page" },
+      sort: {
+        type: "string",
+        enum: sortFields.flatMap((field) => [field, `-${field}`]),
+        default: `-${sortFields[0]}`,
+        description: "Sort field, prefixed with `-` for descending order",
+      },
+      ...filters,
+    },
+  };
+}
+
+// Inclusive time range filter, applied to the list's main timestamp
+const from = { type: "string", format: "date-time", example: "2024-06-01T00:00:00Z" };
+const to = { type: "string", format: "date-time", example: "2024-06-30T23:59:59Z" };
+
+// ---------- Auth ----------
+
+const LoginRequest = {
+  type: "object",
+  required: ["email", "password"],
+  properties: {
+    email: accountIdentifier,
+    password,
+    deviceId: {
+      type: "string",
+      description: "Server or vendor ID of an already registered device, links the session to it",
+    },
+  },
+};
+
+const RegisterRequest = {
+  type: "object",
+  required: ["name", "password", "phone", "email"],
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 100, example: "Yousef Ali" },
+    password,
+    phone: { type: "string", minLength: 1, example: "+201234567890" },
+    email: { type: "string", format: "email", example: "yousef@example.com" },
+    gender: { type: "string", enum: ["male", "female", "other"] },
+  },
+};
+
+const RefreshRequest = {
+  type: "object",
+  required: ["refreshToken"],
+  properties: {
+    refreshToken: { type: "string", minLength: 1 },
+  },
+};
+
+const LogoutRequest = {
+  type: "object",
+  properties: {
+    allDevices: {
+      type: "boolean",
+      description: "Also revoke every other session of the user",
+      example: false,
+    },
+  },
+};
+
+const ForgotPasswordRequest = {
+  type: "object",
+  required: ["email"],
+  properties: {
+    email: accountIdentifier,
+  },
+};
+
+const ResetPasswordRequest = {
+  type: "object",
+  required: ["email", "code", "password"],
+  properties: {
+    email: accountIdentifier,
+    code,
+    password,
+  },
+};
+
+const UnlockRequest = {
+  type: "object",
+  required: ["email", "code"],
+  properties: {
+    email: accountIdentifier,
+    code,
+  },
+};
+
+const CodeRequest = {
+  type: "object",
+  required: ["code"],
+  properties: {
+    code,
+  },
+};
+
+const TwoFactorVerifyRequest = {
+  type: "object",
+  required: ["challengeToken", "code"],
+  properties: {
+    challengeToken: { type: "string", minLength: 1, description: "As returned by /api/auth/login" },
+    code: { ...code, description: "6-digit authenticator code or a backup code" },
+  },
+};
+
+const TwoFactorDisableRequest = {
+  type: "object",
+  required: ["password", "code"],
+  properties: {
+    password,
+    code: { ...code, description: "Authenticator code or a backup code" },
+  },
+};
+
+// ---------- Users ----------
+
+// Email, phone and password have their own flows, see ChangePasswordRequest
+// and the address change requests below
+const UserUpdate = {
+  type: "object",
+  properties: {
+    name: RegisterRequest.properties.name,
+    gender: RegisterRequest.properties.gender,
+    avatar: {
+      type: "string",
+      format: "binary",
+      description: "JPEG, PNG, GIF or WebP up to 5 MB, stored cropped to a square along with a thumbnail",
+    },
+  },
+};
+
+const ChangePasswordRequest = {
+  type: "object",
+  required: ["currentPassword", "newPassword"],
+  properties: {
+    currentPassword: password,
+    newPassword: password,
+  },
+};
+
+const EmailChangeRequest = {
+  type: "object",
+  required: ["email"],
+  properties: {
+    email: { ...RegisterRequest.properties.email, description: "New email, receives the confirmation code" },
+  },
+};
+
+const PhoneChangeRequest = {
+  type: "object",
+  required: ["phone"],
+  properties: {
+    phone: { ...RegisterRequest.properties.phone, description: "New phone number, receives the confirmation code" },
+  },
+};
+
+const quietTime = {
+  type: "string",
+  pattern: "^([01][0-9]|2[0-3]):[0-5][0-9]$",
+  nullable: true,
+  description: "Local time in `timezone`, HH:MM",
+};
+
+const UserPreferencesUpdate = {
+  type: "object",
+  minProperties: 1,
+  properties: {
+    language: { type: "string", enum: SUPPORTED_LANGUAGES, example: "ar" },
+    timezone: { type: "string", minLength: 1, description: "IANA time zone", example: "Africa/Cairo" },
+    units: { type: "string", enum: Object.values(MeasurementUnits) },
+    quietHoursStart: { ...quietTime, example: "22:00" },
+    quietHoursEnd: { ...quietTime, example: "07:00" },
+    alertByEmail: { type: "boolean" },
+    alertBySms: { type: "boolean" },
+    batteryLowThreshold: {
+      type: "integer",
+      minimum: 1,
+      maximum: 50,
+      description: "Battery percent at or below which BATTERY_LOW alerts are raised",
+      example: 20,
+    },
+  },
+};
+
+const SignalThresholdInput = {
+  type: "object",
+  properties: {
+    networkType: {
+      type: "string",
+      enum: NETWORK_TYPES,
+      nullable: true,
+      description: "Omit or null for any network type",
+      example: "4G",
+    },
+    carrier: {
+      type: "string",
+      minLength: 1,
+      maxLength: 64,
+      nullable: true,
+      description: "Omit or null for any carrier, matched case-insensitively",
+      example: "Vodafone",
+    },
+    maxDbm: {
+      type: "integer",
+      minimum: -200,
+      maximum: 0,
+      description: "Readings at or below are low, defaults to the built-in value of the network type",
+      example: -112,
+    },
+    maxLevel: {
+      type: "integer",
+      minimum: 0,
+      maximum: 4,
+      description: "Levels at or below are low, defaults to the built-in value of the network type",
+      example: 1,
+    },
+  },
+};
+
+const SignalThresholdUpdate = partial(SignalThresholdInput);
+
+const AccountDeletionQuery = {
+  type: "object",
+  properties: {
+    immediate: {
+      type: "boolean",
+      description: "Admins only: purge the account now instead of after the grace period",
+      default: false,
+    },
+  },
+};
+
+const UserRoleUpdate = {
+  type: "object",
+  required: ["role"],
+  properties: {
+    role: { type: "string", enum: Object.values(UserRole), example: "ADMIN" },
+  },
+};
+
+const UserSuspension = {
+  type: "object",
+  properties: {
+    reason: { type: "string", maxLength: 500, description: "Shown to the user when they try to sign in", example: "Abusive messages to emergency contacts" },
+  },
+};
+
+const AlertModeSelection = {
+  type: "object",
+  required: ["alertModeId"],
+  properties: {
+    alertModeId: objectId,
+  },
+};
+
+// ---------- Devices ----------
+
+const DeviceInput = {
+  type: "object",
+  required: ["platform"],
+  properties: {
+    platform: { type: "string", minLength: 1, example: "Android" },
+    model: { type: "string", example: "Pixel 5" },
+    brand: { type: "string", example: "Google" },
+    manufacturer: { type: "string", example: "Google" },
+    systemName: { type: "string", example: "Android" },
+    systemVersion: { type: "string", example: "12" },
+    sdkInt: { type: "integer", example: 31 },
+    isPhysicalDevice: { type: "boolean", example: true },
+    appVersion: { type: "string", maxLength: 50, example: "2.4.1 (87)" },
+    deviceId: {
+      type: "string",
+      minLength: 1,
+      description: "Vendor identifier (identifierForVendor / Android ID). Registering the same one again updates the existing device",
+      example: "abc123xyz",
+    },
+    userAgent: { type: "string", example: "Mozilla/5.0 (Linux; Android 12...)" },
+    hardwareConcurrency: { type: "integer", minimum: 1, example: 8 },
+    deviceMemory: { type: "integer", minimum: 0, example: 4 },
+  },
+};
+
+// The vendor identifier is what a registration is keyed on, a new one is a new device
+const DeviceUpdate = partial({
+  ...DeviceInput,
+  properties: Object.fromEntries(Object.entries(DeviceInput.properties).filter(([field]) => field !== "deviceId")),
+});
+
+const DeviceApiKeyInput = {
+  type: "object",
+  properties: {
+    label: { type: "string", maxLength: 100, example: "Rooftop monitor" },
+  },
+};
+
+// ---------- Locations & mobile networks ----------
+
+const LocationInput = {
+  type: "object",
+  required: ["latitude", "longitude"],
+  properties: {
+    latitude: { type: "number", minimum: -90, maximum: 90, example: 30.0444196 },
+    longitude: { type: "number", minimum: -180, maximum: 180, example: 31.2357116 },
+    accuracy: { type: "number", minimum: 0, example: 10 },
+  },
+};
+
+const LocationUpdate = partial(LocationInput);
+
+const MobileNetworkInfoInput = {
+  type: "object",
+  properties: {
+    carrier: { type: "string", example: "Vodafone" },
+    networkType: { type: "string", example: "4G" },
+    signalLevel: { type: "integer", minimum: 0, maximum: 4, example: 3 },
+    signalDbm: { type: "integer", minimum: -200, maximum: 0, example: -85 },
+    asuLevel: { type: "integer", minimum: 0, example: 28 },
+    mcc: { type: "string", example: "602" },
+    mnc: { type: "string", example: "01" },
+  },
+};
+
+const MobileNetworkInfoUpdate = partial(MobileNetworkInfoInput);
+
+// ---------- Connectivity ----------
+
+const wifiFields = {
+  ipAddress: { type: "string", example: "192.168.0.105" },
+  wifiName: { type: "string", example: "HomeNetwork" },
+  wifiBSSID: { type: "string", example: "00:1A:2B:3C:4D:5E" },
+};
+
+const batteryFields = {
+  batteryLevel: { type: "integer", minimum: 0, maximum: 100, description: "Percent", example: 42 },
+  isCharging: { type: "boolean", example: false },
+  powerSaveMode: { type: "boolean", example: false },
+};
+
+const latencyFields = {
+  latencyMs: { type: "number", minimum: 0, maximum: 60000, description: "Round trip time", example: 120 },
+  jitterMs: { type: "number", minimum: 0, maximum: 60000, example: 15 },
+  packetLossPercent: { type: "number", minimum: 0, maximum: 100, example: 2.5 },
+};
+
+const telemetryDeviceId = {
+  ...objectId,
+  description: "Required with a bearer token, defaults to the key's device with X-Device-Key",
+};
+
+const ConnectivityLogInput = {
+  type: "object",
+  required: ["connectivityType", "deviceId"],
+  properties: {
+    connectivityType: { type: "string", minLength: 1, example: "wifi" },
+    deviceId: objectId,
+    isConnected: { type: "boolean", example: true },
+    ...wifiFields,
+    ...batteryFields,
+    ...latencyFields,
+    location: LocationInput,
+    mobileNetworkInfo: MobileNetworkInfoInput,
+  },
+};
+
+const ConnectivityLogUpdate = {
+  type: "object",
+  minProperties: 1,
+  properties: {
+    connectivityType: { type: "string", minLength: 1, example: "mobile" },
+    isConnected: { type: "boolean", example: false },
+    ...wifiFields,
+  },
+};
+
+const PingRequest = {
+  type: "object",
+  properties: {
+    deviceId: telemetryDeviceId,
+    signalDbm: { type: "integer", minimum: -200, maximum: 0, example: -105 },
+    signalLevel: { type: "integer", minimum: 0, maximum: 4, example: 1 },
+    carrier: { type: "string", example: "Vodafone" },
+    networkType: { type: "string", description: "Generation or radio technology, e.g. 4G or LTE", example: "4G" },
+    mcc: { type: "string", example: "602" },
+    mnc: { type: "string", example: "01" },
+    ...batteryFields,
+    ...latencyFields,
+  },
+};
+
+const EchoQuery = {
+  type: "object",
+  properties: {
+    nonce: { type: "string", maxLength: 64, description: "Returned as is, to match replies to probes", example: "probe-17" },
+  },
+};
+
+const DisconnectRequest = {
+  type: "object",
+  properties: {
+    deviceId: telemetryDeviceId,
+    connectivityType: { type: "string", description: "Defaults to none", example: "mobile" },
+    ...wifiFields,
+    ...batteryFields,
+    location: LocationInput,
+    mobileNetworkInfo: MobileNetworkInfoInput,
+  },
+};
+
+// ---------- Contacts ----------
+
+const ContactInput = {
+  type: "object",
+  required: ["phone", "email"],
+  properties: {
+    phone: { type: "string", minLength: 1, example: "+201234567890" },
+    email: { type: "string", format: "email", example: "contact@example.com" },
+    contactName: { type: "string", maxLength: 100, example: "Ahmed Ali" },
+    type: { type: "string", enum: Object.values(ContactTypeEnum), example: ContactTypeEnum.EMERGENCY },
+    userId: {
+      ...objectId,
+      description: "Owner of the contact (Admin only), defaults to the authenticated user",
+    },
+  },
+};
+
+const ContactUpdate = partial({
+  ...ContactInput,
+  properties: {
+    phone: ContactInput.properties.phone,
+    email: ContactInput.properties.email,
+    contactName: ContactInput.properties.contactName,
+    type: ContactInput.properties.type,
+  },
+});
+
+// ---------- Alert modes ----------
+
+const AlertModeInput = {
+  type: "object",
+  required: ["key", "label"],
+  properties: {
+    key: { type: "string", minLength: 1, example: "auto_alert" },
+    label: { type: "string", minLength: 1, example: "Automatic alert" },
+    description: { type: "string", example: "Emergency contacts are notified without confirmation" },
+  },
+};
+
+const AlertModeUpdate = partial(AlertModeInput);
+
+// ---------- List queries ----------
+
+const connectivityFilters = {
+  from,
+  to,
+  connectivityType: { type: "string", example: "mobile" },
+  isConnected: { type: "boolean" },
+  carrier: { type: "string", example: "Vodafone" },
+  networkType: { type: "string", example: "4G" },
+};
+
+const ConnectivityLogListQuery = listQuery(["timestamp"], {
+  ...connectivityFilters,
+  deviceId: objectId,
+  userId: { ...objectId, description: "Owner of the device" },
+});
+
+// For /api/devices/{deviceId}/logs, the device comes from the path
+const DeviceLogListQuery = listQuery(["timestamp"], connectivityFilters);
+
+const BatteryReadingListQuery = listQuery(["recordedAt"], { from, to });
+
+const LatencyReadingListQuery = listQuery(["recordedAt"], { from, to });
+
+const LocationListQuery = listQuery(["id", "latitude", "longitude"], {
+  minLatitude: { type: "number", minimum: -90, maximum: 90 },
+  maxLatitude: { type: "number", minimum: -90, maximum: 90 },
+  minLongitude: { type: "number", minimum: -180, maximum: 180 },
+  maxLongitude: { type: "number", minimum: -180, maximum: 180 },
+});
+
+const MobileNetworkInfoListQuery = listQuery(["createdAt", "updatedAt"], {
+  from,
+  to,
+  carrier: { type: "string", example: "Vodafone" },
+  networkType: { type: "string", example: "4G" },
+  mcc: { type: "string", example: "602" },
+  mnc: { type: "string", example: "01" },
+});
+
+const DeviceListQuery = listQuery(["createdAt", "updatedAt"], {
+  from,
+  to,
+  platform: { type: "string", example: "Android" },
+  brand: { type: "string", example: "Google" },
+  userId: objectId,
+});
+
+const ContactListQuery = listQuery(["createdAt", "updatedAt", "email"], {
+  from,
+  to,
+  type: ContactInput.properties.type,
+  userId: objectId,
+});
+
+const UserListQuery = listQuery(["createdAt", "updatedAt", "name", "email"], {
+  from,
+  to,
+  q: { type: "string", minLength: 1, maxLength: 100, description: "Part of the name, email or phone", example: "ali" },
+  role: { type: "string", enum: Object.values(UserRole) },
+  alertModeId: objectId,
+  suspended: { type: "boolean" },
+});
+
+// ---------- Places ----------
+
+const PlaceSearchQuery = {
+  type: "object",
+  required: ["input"],
+  properties: {
+    input: { type: "string", minLength: 1 },
+    carrier: { type: "string" },
+    minSignalCount: { type: "integer", minimum: 1 },
+  },
+};
+
+// ---------- Route params ----------
+
+// For routes that look a record up by `:id` themselves, so a malformed
+// id is reported as such instead of failing inside Prisma
+const IdParams = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: objectId,
+  },
+};
+
+export const schemas = {
+  LoginRequest,
+  RegisterRequest,
+  RefreshRequest,
+  LogoutRequest,
+  ForgotPasswordRequest,
+  ResetPasswordRequest,
+  UnlockRequest,
+  CodeRequest,
+  TwoFactorVerifyRequest,
+  TwoFactorDisableRequest,
+  UserUpdate,
+  ChangePasswordRequest,
+  EmailChangeRequest,
+  PhoneChangeRequest,
+  UserPreferencesUpdate,
+  SignalThresholdInput,
+  SignalThresholdUpdate,
+  AccountDeletionQuery,
+  UserRoleUpdate,
+  UserSuspension,
+  AlertModeSelection,
+  DeviceInput,
+  DeviceUpdate,
+  DeviceApiKeyInput,
+  LocationInput,
+  LocationUpdate,
+  MobileNetworkInfoInput,
+  MobileNetworkInfoUpdate,
+  ConnectivityLogInput,
+  ConnectivityLogUpdate,
+  PingRequest,
+  EchoQuery,
+  DisconnectRequest,
+  ContactInput,
+  ContactUpdate,
+  AlertModeInput,
+  AlertModeUpdate,
+  ConnectivityLogListQuery,
+  DeviceLogListQuery,
+  BatteryReadingListQuery,
+  LatencyReadingListQuery,
+  LocationListQuery,
+  MobileNetworkInfoListQuery,
+  DeviceListQuery,
+  ContactListQuery,
+  UserListQuery,
+  PlaceSearchQuery,
+  IdParams,
+};
@@ -0,0 +1,144 @@
+// Public response shapes. Controllers never send Prisma records as they are:
+// every field has to be listed here to be emitted, so secrets such as password
+// hashes, TOTP secrets and key hashes stay on the server even when a query
+// includes a relation or the schema gains a column.
+
+/**
+ * Builds a serializer that copies the whitelisted fields and serializes
+ * relations only when the query included them.
+ *
+ * @param {string[]} fields scalar fields to copy
+ * @param {Object<string, (record: object) => object>} [relations] serializer per relation name
+ * @returns {(record: object|null|undefined) => object|null|undefined}
+ */
+function defineSerializer(fields, relations = {}) {
+  return function serialize(record) {
+    if (!record) return record;
+
+    const result = {};
+
+    for (const field of fields) {
+      if (field in record) result[field] = record[field];
+    }
+
+    for (const [relation, serializeRelation] of Object.entries(relations)) {
+      if (!(relation in record)) continue;
+
+      const value = record[relation];
+      result[relation] = Array.isArray(value)
+        ? value.map((item) => serializeRelation(item))
+        : serializeRelation(value);
+    }
+
+    return result;
+  };
+}
+
+export const serializeAlertMode = defineSerializer([
+  "id", "key", "label", "description", "createdAt", "updatedAt",
+]);
+
+export const serializeUser = defineSerializer([
+  "id", "name", "email", "phone", "avatar", "avatarThumbnail", "gender", "role", "alertModeId",
+  "emailVerifiedAt", "phoneVerifiedAt", "twoFactorEnabledAt", "suspendedAt", "suspendedReason",
+  "deletionScheduledFor", "createdAt", "updatedAt",
+], {
+  alertMode: (alertMode) => serializeAlertMode(alertMode),
+});
+
+export const serializeUserPreferences = defineSerializer([
+  "language", "timezone", "units", "quietHoursStart", "quietHoursEnd",
+  "alertByEmail", "alertBySms", "batteryLowThreshold", "updatedAt",
+]);
+
+export const serializeSignalThreshold = defineSerializer([
+  "id", "networkType", "carrier", "maxDbm", "maxLevel", "createdAt", "updatedAt",
+]);
+
+export const serializeLocation = defineSerializer([
+  "id", "latitude", "longitude", "accuracy",
+], {
+  connectivityLogs: (log) => serializeConnectivityLog(log),
+});
+
+/** A place the user saved, i.e. a UserLocation. */
+export const serializeSavedPlace = defineSerializer([
+  "id", "label", "notes", "locationId", "createdAt", "updatedAt",
+], {
+  location: (location) => serializeLocation(location),
+});
+
+export const serializeMobileNetworkInfo = defineSerializer([
+  "id", "carrier", "networkType", "signalLevel", "signalDbm", "asuLevel", "mcc", "mnc",
+  "createdAt", "updatedAt",
+]);
+
+/** Just enough to recognise a device where it is nested in another record. */
+export const serializeDeviceSummary = defineSerializer([
+  "id", "platform", "model", "brand", "deviceId",
+]);
+
+export const serializeConnectivityLog = defineSerializer([
+  "id", "connectivityType", "isConnected", "ipAddress", "wifiName", "wifiBSSID",
+  "batteryLevel", "isCharging", "powerSaveMode", "latencyMs", "jitterMs", "packetLossPercent",
+  "deviceId", "locationId", "mobileNetworkInfoId", "timestamp",
+], {
+  device: (device) => serializeDeviceSummary(device),
+  location: (location) => serializeLocation(location),
+  mobileNetworkInfo: (info) => serializeMobileNetworkInfo(info),
+});
+
+export const serializeDevice = defineSerializer([
+  "id", "platform", "model", "brand", "manufacturer", "systemName", "systemVersion",
+  "sdkInt", "isPhysicalDevice", "appVersion", "lastPinged", "offlineSince", "batteryLevel",
+  "isCharging", "powerSaveMode", "batteryUpdatedAt", "deviceId", "userAgent", "hardwareConcurrency",
+  "deviceMemory", "userId", "createdAt", "updatedAt",
+], {
+  connectivityLogs: (log) => serializeConnectivityLog(log),
+});
+
+export const serializeBatteryReading = defineSerializer([
+  "id", "deviceId", "level", "isCharging", "powerSaveMode", "recordedAt",
+]);
+
+export const serializeLatencyReading = defineSerializer([
+  "id", "deviceId", "latencyMs", "jitterMs", "packetLossPercent", "recordedAt",
+]);
+
+export const serializeDeviceApiKey = defineSerializer([
+  "id", "deviceId", "label", "lastUsedAt", "revokedAt", "createdAt",
+]);
+
+export const serializeContact = defineSerializer([
+  "id", "contactName", "phone", "email", "emailVerifiedAt", "phoneVerifiedAt", "type", "userId",
+  "createdAt", "updatedAt",
+], {
+  user: (user) => serializeUser(user),
+});
+
+export const serializeAlert = defineSerializer([
+  "id", "userId", "deviceId", "connectivityInfoId", "type", "message", "status",
+  "mechanism", "resolvedAt", "createdAt", "updatedAt",
+], {
+  device: (device) => serializeDeviceSummary(device),
+  connectivityInfo: (log) => serializeConnectivityLog(log),
+});
+
+export const serializeDataExport = defineSerializer([
+  "id", "status", "sizeBytes", "error", "startedAt", "completedAt", "expiresAt", "createdAt",
+]);
+
+const serializeSessionFields = defineSerializer([
+  "id", "ipAddress", "userAgent", "lastUsedAt", "createdAt", "expiresAt",
+], {
+  device: (device) => serializeDeviceSummary(device),
+});
+
+/**
+ * @param {object} session Session record, optionally with its device
+ * @param {string} [currentSessionId] session making the request
+ * @returns {object}
+ */
+export function serializeSession(session, currentSessionId) {
+  return { ...serializeSessionFields(session), current: session.id === currentSessionId };
+}
@@ -0,0 +1,98 @@
+import { db } from "./database.js";
+
+// When a mobile signal counts as low. Users can keep a threshold profile:
+// SignalThreshold records for any network, a network type, a carrier, or a
+// network type on one carrier. The most specific match applies, then the
+// built-in default of the network type.
+
+export const NETWORK_TYPES = ["2G", "3G", "4G", "5G"];
+
+// Radio technologies as reported by Android and iOS, by generation
+const NETWORK_TYPE_ALIASES = {
+  GSM: "2G", GPRS: "2G", EDGE: "2G", CDMA: "2G", "1XRTT": "2G",
+  UMTS: "3G", WCDMA: "3G", HSDPA: "3G", HSUPA: "3G", HSPA: "3G", "HSPA+": "3G", EVDO: "3G", "TD-SCDMA": "3G",
+  LTE: "4G", "LTE-A": "4G", "LTE+": "4G",
+  NR: "5G", "5G NR": "5G", "NR NSA": "5G",
+};
+
+/**
+ * Built-in thresholds, a reading at or below either bound is low. The dBm
+ * value is RSSI on 2G, RSCP on 3G and RSRP on 4G and 5G, where -100 dBm is
+ * still a usable signal. `networkType: null` applies to unknown networks.
+ */
+export const DEFAULT_SIGNAL_THRESHOLDS = [
+  { networkType: null, maxDbm: -100, maxLevel: 1 },
+  { networkType: "2G", maxDbm: -100, maxLevel: 1 },
+  { networkType: "3G", maxDbm: -100, maxLevel: 1 },
+  { networkType: "4G", maxDbm: -110, maxLevel: 1 },
+  { networkType: "5G", maxDbm: -110, maxLevel: 1 },
+];
+
+/**
+ * @param {string} [networkType] as reported by the device, e.g. "LTE" or "4G"
+ * @returns {string|null} one of NETWORK_TYPES, null when unknown
+ */
+export function normalizeNetworkType(networkType) {
+  if (!networkType) return null;
+
+  const upper = networkType.trim().toUpperCase();
+  return NETWORK_TYPES.includes(upper) ? upper : NETWORK_TYPE_ALIASES[upper] ?? null;
+}
+
+/**
+ * @param {string|null} [networkType] one of NETWORK_TYPES
+ * @returns {{ networkType: string|null, maxDbm: number, maxLevel: number }}
+ */
+export function defaultSignalThreshold(networkType) {
+  return DEFAULT_SIGNAL_THRESHOLDS.find((threshold) => threshold.networkType === (networkType ?? null))
+    ?? DEFAULT_SIGNAL_THRESHOLDS[0];
+}
+
+function sameCarrier(a, b) {
+  return Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/** Network type outweighs carrier, both outweigh neither. */
+function specificity(threshold) {
+  return (threshold.networkType ? 2 : 0) + (threshold.carrier ? 1 : 0);
+}
+
+/**
+ * Finds the threshold applying to a reading of the user's device.
+ *
+ * @param {string} userId
+ * @param {object} network
+ * @param {string} [network.networkType] as reported, normalized here
+ * @param {string} [network.carrier]
+ * @returns {Promise<object>} a SignalThreshold record, or a built-in default
+ */
+export async function resolveSignalThreshold(userId, { networkType, carrier } = {}) {
+  const type = normalizeNetworkType(networkType);
+  const thresholds = await db.signalThreshold.findMany({ where: { userId } });
+
+  const [match] = thresholds
+    .filter((threshold) => !threshold.networkType || threshold.networkType === type)
+    .filter((threshold) => !threshold.carrier || sameCarrier(threshold.carrier, carrier))
+    .sort((a, b) => specificity(b) - specificity(a));
+
+  return match ?? defaultSignalThreshold(type);
+}
+
+/**
+ * Decides whether a signal reading is low for the user.
+ *
+ * @param {string} userId
+ * @param {object} reading
+ * @param {number} [reading.signalDbm]
+ * @param {number} [reading.signalLevel] 0–4
+ * @param {string} [reading.networkType]
+ * @param {string} [reading.carrier]
+ * @returns {Promise<{ low: boolean, threshold: object }>} and the threshold it was judged by
+ */
+export async function evaluateSignal(userId, { signalDbm, signalLevel, networkType, carrier }) {
+  const threshold = await resolveSignalThreshold(userId, { networkType, carrier });
+  const low = (Number.isInteger(signalDbm) && signalDbm <= threshold.maxDbm)
+    || (Number.isInteger(signalLevel) && signalLevel <= threshold.maxLevel);
+
+  return { low, threshold };
+}
@@ -0,0 +1,49 @@
+import { STORAGE_DRIVER, UPLOADS_DIR, PRIVATE_FILES_DIR } from "../constants/config.js";
+import { createLocalStorage } from "./local.js";
+import { createS3Storage } from "./s3.js";
+
+// File storage shared by the app. Every driver implements:
+//   put(key, body, contentType) stores a Buffer under a "/"-separated key
+//   get(key)                    reads it back as a Buffer
+//   delete(key)                 removes it, missing keys are not an error
+//   url(key)                    public URL of the key
+// Callers keep the keys they wrote so they can delete them later.
+
+function createStorage(driver, { root, bucket, cacheControl }) {
+  switch (driver) {
+    case "local":
+      return createLocalStorage({ root });
+    case "s3":
+      return createS3Storage({
+        bucket,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        publicUrl: process.env.S3_PUBLIC_URL,
+        cacheControl,
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}", expected "local" or "s3"`);
+  }
+}
+
+/** Publicly readable files, e.g. avatars. */
+export const storage = createStorage(STORAGE_DRIVER, {
+  root: UPLOADS_DIR,
+  bucket: process.env.S3_BUCKET,
+  // Keys are random and never overwritten, so caches may keep them for good
+  cacheControl: "public, max-age=31536000, immutable",
+});
+
+/**
+ * Files only handed out by the API after an access check, e.g. data exports.
+ * Its directory is never served and its bucket must not be public, which is
+ * why it is a separate bucket; `url` is meaningless here. Its objects get
+ * no public caching headers.
+ */
+export const privateStorage = createStorage(STORAGE_DRIVER, {
+  root: PRIVATE_FILES_DIR,
+  bucket: process.env.S3_PRIVATE_BUCKET,
+});
@@ -0,0 +1,36 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+/**
+ * Stores files on the local disk. Public files are served by `express.static`
+ * mounted on `root` (see index.js), so a key's URL is its path.
+ *
+ * Not usable on Vercel, whose file system is read-only and not shared
+ * between invocations; use the S3 driver there.
+ *
+ * @param {object} options
+ * @param {string} options.root directory files are written to
+ */
+export function createLocalStorage({ root }) {
+  const resolve = (key) => path.join(root, ...key.split("/"));
+
+  return {
+    async put(key, body) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+    },
+
+    async get(key) {
+      return fs.readFile(resolve(key));
+    },
+
+    async delete(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+
+    url(key) {
+      return `/${key}`;
+    },
+  };
+}
@@ -0,0 +1,68 @@
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+
+/**
+ * Stores files in an S3-compatible bucket. Setting `endpoint` and
+ * `forcePathStyle` points it at any S3-compatible server, e.g. a local MinIO
+ * container for development.
+ *
+ * @param {object} options
+ * @param {string} options.bucket
+ * @param {string} [options.region]
+ * @param {string} [options.endpoint] custom endpoint, e.g. http://localhost:9000
+ * @param {boolean} [options.forcePathStyle] bucket in the path instead of the host name
+ * @param {string} [options.accessKeyId] defaults to the AWS SDK credential chain
+ * @param {string} [options.secretAccessKey]
+ * @param {string} [options.publicUrl] base URL objects are publicly read from, e.g. a CDN
+ * @param {string} [options.cacheControl] Cache-Control header of stored objects
+ */
+export function createS3Storage({
+  bucket,
+  region = "us-east-1",
+  endpoint,
+  forcePathStyle = false,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+  cacheControl,
+}) {
+  // Checked on use, so a missing bucket breaks file uploads and exports, not the whole app
+  const send = (command) => {
+    if (!bucket) throw new Error("S3 storage needs a bucket, set S3_BUCKET and S3_PRIVATE_BUCKET");
+    return client.send(command);
+  };
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+  });
+
+  const baseUrl = (publicUrl
+    ?? (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/$/, "");
+
+  return {
+    async put(key, body, contentType) {
+      await send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        CacheControl: cacheControl,
+      }));
+    },
+
+    async get(key) {
+      const { Body } = await send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await Body.transformToByteArray());
+    },
+
+    async delete(key) {
+      await send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    url(key) {
+      return `${baseUrl}/${key}`;
+    },
+  };
+}
@@ -0,0 +1,124 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { db } from "./database.js";
+import { hashToken } from "./auth.js";
+import { verifyTotp } from "./totp.js";
+import { TWO_FACTOR_CHALLENGE_TTL, TWO_FACTOR_BACKUP_CODE_COUNT } from "./constants/config.js";
+
+const CHALLENGE_PURPOSE = "2fa-challenge";
+
+/**
+ * @param {object} user User record
+ * @returns {boolean}
+ */
+export function isTwoFactorEnabled(user) {
+  return !!(user.twoFactorEnabledAt && user.twoFactorSecret);
+}
+
+/**
+ * Generates a fresh set of backup codes.
+ *
+ * @returns {{ codes: string[], hashes: string[] }} plain codes for the user, hashes for storage
+ */
+export function generateBackupCodes() {
+  const codes = Array.from({ length: TWO_FACTOR_BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map((code) => hashToken(code)) };
+}
+
+/**
+ * Checks a TOTP code or, failing that, an unused backup code. Accepted TOTP
+ * steps and backup codes are burned so neither can be replayed. Both writes
+ * are conditional, so a code presented by two requests at once is accepted
+ * for one of them only.
+ *
+ * @param {object} user User record with a TOTP secret
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+export async function verifySecondFactor(user, code) {
+  if (!user.twoFactorSecret || !code) return false;
+
+  const step = verifyTotp(user.twoFactorSecret, code);
+
+  if (step !== null) {
+    const { count } = await db.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [
+          { twoFactorLastUsedStep: null },
+          { twoFactorLastUsedStep: { isSet: false } },
+          { twoFactorLastUsedStep: { lt: step } },
+        ],
+      },
+      data: { twoFactorLastUsedStep: step },
+    });
+    return count === 1;
+  }
+
+  const backupHash = hashToken(String(code).trim().toLowerCase());
+  let backupCodes = user.twoFactorBackupCodes;
+
+  while (backupCodes.includes(backupHash)) {
+    // Only written over the list it was computed from, so a code burned by a
+    // concurrent request is neither accepted twice nor put back
+    const { count } = await db.user.updateMany({
+      where: { id: user.id, twoFactorBackupCodes: { equals: backupCodes } },
+      data: { twoFactorBackupCodes: backupCodes.filter((hash) => hash !== backupHash) },
+    });
+    if (count === 1) return true;
+
+    const current = await db.user.findUnique({ where: { id: user.id }, select: { twoFactorBackupCodes: true } });
+    backupCodes = current?.twoFactorBackupCodes ?? [];
+  }
+
+  return false;
+}
+
+/**
+ * Removes every trace of two-factor authentication from the account.
+ *
+ * @param {string} userId
+ */
+export async function clearTwoFactor(userId) {
+  await db.user.update({
+    where: { id: userId },
+    data: {
+      twoFactorSecret: null,
+      twoFactorEnabledAt: null,
+      twoFactorBackupCodes: [],
+      twoFactorLastUsedStep: null,
+    },
+  });
+}
+
+/**
+ * Signs the token returned by login in place of a session while the second factor is outstanding.
+ *
+ * @param {object} user User record
+ * @param {object} [context] carried over to session creation, e.g. `{ deviceId }`
+ * @returns {string}
+ */
+export function signTwoFactorChallenge(user, context = {}) {
+  return jwt.sign(
+    { sub: user.id, purpose: CHALLENGE_PURPOSE, ...context },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+  );
+}
+
+/**
+ * @param {string} challengeToken
+ * @returns {object|null} decoded payload, or null if invalid or expired
+ */
+export function verifyTwoFactorChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,187 @@
+import { ValidationError } from "./errors.js";
+import { t, DEFAULT_LANGUAGE } from "./i18n/index.js";
+
+// Request validation against the OpenAPI-style schemas in ./schemas.js,
+// the same definitions Swagger renders. Only the subset of keywords those
+// schemas use is supported.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/** Records a failed rule, messages are only rendered once the language is known. */
+function fail(errors, field, rule, params) {
+  errors.push({ field, rule, params });
+}
+
+/**
+ * Query strings and multipart forms only carry strings,
+ * so numbers and booleans written as text are accepted too.
+ */
+function coerce(type, value) {
+  if (typeof value !== "string") return value;
+
+  const text = value.trim();
+
+  if ((type === "integer" || type === "number") && text !== "" && !isNaN(Number(text))) {
+    return Number(text);
+  }
+  if (type === "boolean" && (text === "true" || text === "false")) {
+    return text === "true";
+  }
+
+  return value;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case "integer": return Number.isInteger(value);
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    case "boolean": return typeof value === "boolean";
+    case "string": return typeof value === "string";
+    case "array": return Array.isArray(value);
+    case "object": return typeof value === "object" && value !== null && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+function checkString(schema, value, path, errors) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    fail(errors, path, "minLength", { min: schema.minLength });
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    fail(errors, path, "maxLength", { max: schema.maxLength });
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    fail(errors, path, "pattern");
+  }
+  if (schema.format === "email" && !EMAIL_PATTERN.test(value)) {
+    fail(errors, path, "email");
+  }
+  if (schema.format === "date-time" && isNaN(Date.parse(value))) {
+    fail(errors, path, "dateTime");
+  }
+}
+
+function checkNumber(schema, value, path, errors) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    fail(errors, path, "minimum", { min: schema.minimum });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    fail(errors, path, "maximum", { max: schema.maximum });
+  }
+}
+
+/**
+ * Validates a value and returns a cleaned copy: scalars are coerced,
+ * missing properties with a `default` are filled in and object properties
+ * the schema does not declare are dropped, so handlers can hand the result
+ * to Prisma without mass-assigning other columns.
+ *
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [path] field path used in error messages
+ * @param {string} [language] language of the error messages
+ * @returns {{ value: *, errors: Array<{ field: string, message: string }> }}
+ */
+export function validateValue(schema, value, path = "", language = DEFAULT_LANGUAGE) {
+  const failures = [];
+  const cleaned = clean(schema, value, path, failures);
+
+  const errors = failures.map(({ field, rule, params }) => ({
+    field,
+    message: t(language, `validation.${rule}`, params),
+  }));
+  return { value: cleaned, errors };
+}
+
+function clean(schema, value, path, errors) {
+  if (value === null && schema.nullable) return null;
+
+  const coerced = coerce(schema.type, value);
+
+  if (schema.type && !matchesType(schema.type, coerced)) {
+    fail(errors, path, `type.${schema.type}`);
+    return undefined;
+  }
+
+  if (schema.enum && !schema.enum.includes(coerced)) {
+    fail(errors, path, "enum", { values: schema.enum.join(", ") });
+    return undefined;
+  }
+
+  if (typeof coerced === "string") checkString(schema, coerced, path, errors);
+  if (typeof coerced === "number") checkNumber(schema, coerced, path, errors);
+
+  if (schema.type === "array") {
+    if (schema.minItems !== undefined && coerced.length < schema.minItems) {
+      fail(errors, path, "minItems", { min: schema.minItems });
+    }
+    if (schema.maxItems !== undefined && coerced.length > schema.maxItems) {
+      fail(errors, path, "maxItems", { max: schema.maxItems });
+    }
+    return schema.items
+      ? coerced.map((item, index) => clean(schema.items, item, join(path, index), errors))
+      : coerced;
+  }
+
+  if (schema.type === "object") {
+    const result = {};
+
+    for (const field of schema.required ?? []) {
+      if (coerced[field] === undefined || coerced[field] === "") {
+        fail(errors, join(path, field), "required");
+      }
+    }
+
+    for (const [field, fieldSchema] of Object.entries(schema.properties ?? {})) {
+      if (coerced[field] === undefined) {
+        if (fieldSchema.default !== undefined) result[field] = fieldSchema.default;
+        continue;
+      }
+
+      const fieldValue = clean(fieldSchema, coerced[field], join(path, field), errors);
+      if (fieldValue !== undefined) result[field] = fieldValue;
+    }
+
+    if (schema.minProperties && Object.keys(result).length < schema.minProperties) {
+      fail(errors, path || "body", "minProperties", { min: schema.minProperties });
+    }
+
+    return result;
+  }
+
+  return coerced;
+}
+
+/**
+ * Validates and cleans `req.body`, `req.query` and `req.params`,
+ * failing with a `ValidationError` listing every field error at once.
+ *
+ * @param {object} schemas
+ * @param {object} [schemas.body]
+ * @param {object} [schemas.query]
+ * @param {object} [schemas.params]
+ * @returns {import('express').RequestHandler}
+ *
+ * @example router.post('/', verifyToken, validate({ body: schemas.ContactInput }), handler)
+ */
+export function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const part of ["params", "query", "body"]) {
+      if (!schemas[part]) continue;
+
+      const result = validateValue(schemas[part], req[part] ?? {}, part === "body" ? "" : part, req.language);
+      errors.push(...result.errors);
+      req[part] = result.value;
+    }
+
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    next();
+  };
+}
@@ -0,0 +1,241 @@
+import { OneTimeCodePurpose } from "@prisma/client";
+import { db } from "./database.js";
+import { issueCode, consumeCode } from "./one-time-codes.js";
+import { sendEmail, sendSms } from "./notifications.js";
+import { notification, t, DEFAULT_LANGUAGE } from "./i18n/index.js";
+import { ONE_TIME_CODE_TTL_MINUTES } from "./constants/config.js";
+
+/**
+ * Per-channel wiring between the user's address field, its verification
+ * timestamp and the one-time-code purposes used to verify or change it.
+ */
+const CHANNELS = {
+  email: {
+    field: "email",
+    verifiedField: "emailVerifiedAt",
+    purpose: OneTimeCodePurpose.EMAIL_VERIFICATION,
+    changePurpose: OneTimeCodePurpose.EMAIL_CHANGE,
+    contactPurpose: OneTimeCodePurpose.CONTACT_EMAIL_VERIFICATION,
+    deliver: (to, { subject, text, language }) => sendEmail(to, subject, text, { language }),
+  },
+  phone: {
+    field: "phone",
+    verifiedField: "phoneVerifiedAt",
+    purpose: OneTimeCodePurpose.PHONE_VERIFICATION,
+    changePurpose: OneTimeCodePurpose.PHONE_CHANGE,
+    contactPurpose: OneTimeCodePurpose.CONTACT_PHONE_VERIFICATION,
+    deliver: (to, { text }) => sendSms(to, text),
+  },
+};
+
+export const VERIFICATION_CHANNELS = Object.keys(CHANNELS);
+
+/** Renders a notification whose texts name the channel, e.g. "Verify your email". */
+function channelNotification(language, name, channel, params = {}) {
+  return notification(language, name, { ...params, channel: t(language, `channels.${channel}`) });
+}
+
+/**
+ * @param {'email'|'phone'} channel
+ * @returns {import('@prisma/client').OneTimeCodePurpose}
+ */
+export function verificationPurpose(channel) {
+  return CHANNELS[channel].purpose;
+}
+
+/**
+ * @param {'email'|'phone'} channel
+ * @returns {import('@prisma/client').OneTimeCodePurpose}
+ */
+export function changePurpose(channel) {
+  return CHANNELS[channel].changePurpose;
+}
+
+/**
+ * @param {'email'|'phone'} channel
+ * @returns {import('@prisma/client').OneTimeCodePurpose}
+ */
+export function contactVerificationPurpose(channel) {
+  return CHANNELS[channel].contactPurpose;
+}
+
+/**
+ * Whether another account already uses this email or phone.
+ *
+ * @param {'email'|'phone'} channel
+ * @param {string} address
+ * @param {string} [userId] account to ignore, the one changing its address
+ * @returns {Promise<boolean>}
+ */
+export async function isAddressTaken(channel, address, userId) {
+  const owner = await db.user.findFirst({
+    where: { [CHANNELS[channel].field]: address },
+    select: { id: true },
+  });
+  return !!owner && owner.id !== userId;
+}
+
+/**
+ * Issues and delivers a verification code for the user's email or phone.
+ *
+ * @param {object} user User record
+ * @param {'email'|'phone'} channel
+ * @param {object} [options]
+ * @param {string} [options.language] language of the message
+ */
+export async function sendVerificationCode(user, channel, { language = DEFAULT_LANGUAGE } = {}) {
+  const { field, purpose, deliver } = CHANNELS[channel];
+  const target = user[field];
+
+  const code = await issueCode(user.id, purpose, { target });
+  await deliver(target, channelNotification(language, "verificationCode", channel, {
+    code,
+    count: ONE_TIME_CODE_TTL_MINUTES,
+  }));
+}
+
+/**
+ * Confirms a verification code. A code only verifies the address it was
+ * sent to, so changing the address in between invalidates it.
+ *
+ * @param {object} user User record
+ * @param {'email'|'phone'} channel
+ * @param {string} code
+ * @returns {Promise<Object|null>} the updated user, or null if the code is invalid
+ */
+export async function confirmVerificationCode(user, channel, code) {
+  const { field, verifiedField, purpose } = CHANNELS[channel];
+
+  const consumed = await consumeCode(user.id, purpose, code);
+  if (!consumed || consumed.target !== user[field]) return null;
+
+  return db.user.update({
+    where: { id: user.id },
+    data: { [verifiedField]: new Date() },
+  });
+}
+
+/**
+ * Starts changing the user's email or phone. The code goes to the new
+ * address and the current one stays in place until the code is confirmed,
+ * so a typo cannot lock the user out of their account.
+ *
+ * @param {object} user User record
+ * @param {'email'|'phone'} channel
+ * @param {string} address new email or phone
+ * @param {object} [options]
+ * @param {string} [options.language] language of the message
+ */
+export async function sendChangeCode(user, channel, address, { language = DEFAULT_LANGUAGE } = {}) {
+  const { changePurpose, deliver } = CHANNELS[channel];
+
+  const code = await issueCode(user.id, changePurpose, { target: address });
+  await deliver(address, channelNotification(language, "changeCode", channel, {
+    code,
+    count: ONE_TIME_CODE_TTL_MINUTES,
+  }));
+}
+
+/**
+ * Confirms an address change, replacing the address with the one the code
+ * was sent to and marking it verified. The previous address is told about
+ * the change, so a hijacked session cannot quietly take over the account.
+ *
+ * @param {object} user User record
+ * @param {'email'|'phone'} channel
+ * @param {string} code
+ * @param {object} [options]
+ * @param {string} [options.language] language of the notice to the previous address
+ * @returns {Promise<Object|null>} the updated user, or null if the code is invalid
+ */
+export async function confirmChangeCode(user, channel, code, { language = DEFAULT_LANGUAGE } = {}) {
+  const { field, verifiedField, changePurpose, deliver } = CHANNELS[channel];
+
+  const consumed = await consumeCode(user.id, changePurpose, code);
+  if (!consumed) return null;
+
+  const updated = await db.user.update({
+    where: { id: user.id },
+    data: { [field]: consumed.target, [verifiedField]: new Date() },
+  });
+
+  deliver(user[field], channelNotification(language, "addressChanged", channel, { address: consumed.target }))
+    .catch((error) => console.error(`${channel} change notice failed:`, error.message));
+
+  return updated;
+}
+
+/**
+ * Issues and delivers a verification code to an address of the user's
+ * contact. The contact gives the code to the user, which confirms they
+ * agree to receive the user's alerts there. Codes are per contact, so
+ * verifying several contacts at once does not invalidate earlier codes.
+ *
+ * @param {object} user User record, the contact's owner
+ * @param {object} contact Contact record
+ * @param {'email'|'phone'} channel
+ * @param {object} [options]
+ * @param {string} [options.language] language of the message
+ */
+export async function sendContactVerificationCode(user, contact, channel, { language = DEFAULT_LANGUAGE } = {}) {
+  const { field, contactPurpose, deliver } = CHANNELS[channel];
+  const target = contact[field];
+
+  const code = await issueCode(user.id, contactPurpose, { target, scope: contact.id });
+  await deliver(target, notification(language, "contactVerificationCode", {
+    name: user.name,
+    code,
+    count: ONE_TIME_CODE_TTL_MINUTES,
+  }));
+}
+
+/**
+ * Confirms a contact verification code. Like the user's own codes, it only
+ * verifies the address it was sent to.
+ *
+ * @param {object} contact Contact record
+ * @param {'email'|'phone'} channel
+ * @param {string} code
+ * @returns {Promise<Object|null>} the updated contact, or null if the code is invalid
+ */
+export async function confirmContactVerificationCode(contact, channel, code) {
+  const { field, verifiedField, contactPurpose } = CHANNELS[channel];
+
+  const consumed = await consumeCode(contact.userId, contactPurpose, code, { scope: contact.id });
+  if (!consumed || consumed.target !== contact[field]) return null;
+
+  return db.contact.update({
+    where: { id: contact.id },
+    data: { [verifiedField]: new Date() },
+  });
+}
+
+/**
+ * Marks the addresses of users and contacts created before `before` as
+ * verified, as of `before`. They were added when there was nothing to
+ * verify, and alerts only go to verified addresses: without this, no alert
+ * of an existing account would reach anyone until its addresses are
+ * confirmed again. Run once on deployment, see scripts/backfill-verified-addresses.js.
+ *
+ * @param {Date} before when address verification went live
+ * @returns {Promise<{ users: number, contacts: number }>} addresses marked verified
+ */
+export async function backfillVerifiedAddresses(before) {
+  const counts = { users: 0, contacts: 0 };
+
+  for (const [name, delegate] of [["users", db.user], ["contacts", db.contact]]) {
+    for (const { verifiedField } of Object.values(CHANNELS)) {
+      const { count } = await delegate.updateMany({
+        // Unset and null are different filters on MongoDB
+        where: {
+          createdAt: { lt: before },
+          OR: [{ [verifiedField]: null }, { [verifiedField]: { isSet: false } }],
+        },
+        data: { [verifiedField]: before },
+      });
+      counts[name] += count;
+    }
+  }
+
+  return counts;
+}
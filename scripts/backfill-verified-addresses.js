@@ -0,0 +1,24 @@
+// Marks the addresses of existing users and emergency contacts verified, so
+// alerts keep reaching them after address verification is deployed. Run
+// once, with the time that deployment went live:
+//
+//   npm run backfill:verified-addresses -- 2026-10-18T12:00:00Z
+//
+// Addresses added after that time are left alone, they have to be verified.
+import "dotenv/config";
+import { db } from "../lib/database.js";
+import { backfillVerifiedAddresses } from "../lib/verification.js";
+
+const before = new Date(process.argv[2]);
+
+if (!process.argv[2] || Number.isNaN(before.getTime())) {
+  console.error("Usage: npm run backfill:verified-addresses -- <ISO date address verification went live>");
+  process.exit(1);
+}
+
+try {
+  const { users, contacts } = await backfillVerifiedAddresses(before);
+  console.log(`Marked ${users} user and ${contacts} contact addresses verified as of ${before.toISOString()}`);
+} finally {
+  await db.$disconnect();
+}
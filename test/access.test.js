@@ -0,0 +1,393 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcrypt";
+import { AlertMechanism, AlertType, DataExportStatus, UserRole } from "@prisma/client";
+import { createSession } from "../lib/auth.js";
+import { createDownloadToken } from "../lib/data-export.js";
+import { privateStorage } from "../lib/storage/index.js";
+import { db, resetDatabase } from "./support/database.js";
+import { outbox } from "./support/notifications.js";
+import { startServer } from "./support/server.js";
+
+// Access matrix of every route: each one is called by an anonymous client,
+// the owner of the records it addresses, another user and an admin, on a
+// freshly seeded database. Allowed callers must get past access control
+// (any status but 401, 403 and 404) without the route failing (5xx), the
+// others must be turned away.
+
+const ROLES = ["anonymous", "owner", "other", "admin"];
+
+const RULES = {
+  public: { anonymous: true, owner: true, other: true, admin: true },
+  signedIn: { anonymous: false, owner: true, other: true, admin: true },
+  ownerOrAdmin: { anonymous: false, owner: true, other: false, admin: true },
+  ownerOnly: { anonymous: false, owner: true, other: false, admin: false },
+  adminOnly: { anonymous: false, owner: false, other: false, admin: true },
+  // Takes the cron secret, not a user token
+  cronOnly: { anonymous: false, owner: false, other: false, admin: false },
+};
+
+// Public routes can answer 401 or 404 for their own reasons, e.g. wrong
+// credentials, but never ask for a token
+const TOKEN_CODES = ["TOKEN_MISSING", "TOKEN_INVALID", "TOKEN_EXPIRED", "SESSION_REVOKED"];
+
+const PASSWORD = "Passw0rd!";
+const ARCHIVE_KEY = "exports/test/archive.zip";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let passwordHash;
+
+async function createUser(name, role, alertMode) {
+  const user = await db.user.create({
+    data: {
+      name,
+      email: `${name}@example.com`,
+      phone: `+2010000000${ROLES.indexOf(name)}`,
+      password: passwordHash,
+      role,
+      alertModeId: alertMode.id,
+      emailVerifiedAt: new Date(),
+      phoneVerifiedAt: new Date(),
+    },
+  });
+  await db.userPreferences.create({ data: { userId: user.id } });
+  return user;
+}
+
+/** Records of "owner", one of each kind a route can address, and a session per user. */
+async function seed() {
+  resetDatabase();
+  outbox.length = 0;
+
+  const alertMode = await db.alertMode.create({ data: { key: AlertMechanism.manual_alert, label: "Manual alert" } });
+  // The built-in modes cannot be deleted
+  const customAlertMode = await db.alertMode.create({ data: { key: "custom_alert", label: "Custom alert" } });
+  const owner = await createUser("owner", UserRole.USER, alertMode);
+  const other = await createUser("other", UserRole.USER, alertMode);
+  const admin = await createUser("admin", UserRole.ADMIN, alertMode);
+
+  const device = await db.deviceInfo.create({
+    data: { platform: "android", deviceId: "owner-phone", userId: owner.id, lastPinged: new Date() },
+  });
+  const location = await db.location.create({ data: { latitude: 30.0444, longitude: 31.2357 } });
+  const mobileNetworkInfo = await db.mobileNetworkInfo.create({
+    data: { carrier: "Vodafone", networkType: "4G", signalDbm: -90 },
+  });
+  const log = await db.connectivityInfo.create({
+    data: {
+      connectivityType: "mobile",
+      isConnected: true,
+      deviceId: device.id,
+      locationId: location.id,
+      mobileNetworkInfoId: mobileNetworkInfo.id,
+    },
+  });
+
+  const contact = await db.contact.create({
+    data: { contactName: "Friend", phone: "+201000000009", email: "friend@example.com", userId: owner.id },
+  });
+  const alert = await db.alert.create({
+    data: {
+      userId: owner.id,
+      deviceId: device.id,
+      type: AlertType.LOW_SIGNAL,
+      message: "Weak signal",
+      mechanism: AlertMechanism.manual_alert,
+    },
+  });
+  const threshold = await db.signalThreshold.create({
+    data: { userId: owner.id, networkType: "4G", maxDbm: -115, maxLevel: 1 },
+  });
+  const apiKey = await db.deviceApiKey.create({ data: { deviceId: device.id, keyHash: "0".repeat(64) } });
+  const dataExport = await db.dataExport.create({
+    data: {
+      userId: owner.id,
+      status: DataExportStatus.READY,
+      storageKey: ARCHIVE_KEY,
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + DAY_MS),
+    },
+  });
+  const lockout = await db.loginThrottle.create({
+    data: { key: "identifier:locked@example.com", failures: 5, lockedUntil: new Date(Date.now() + DAY_MS) },
+  });
+
+  const tokens = {};
+  for (const [role, user] of Object.entries({ owner, other, admin })) {
+    tokens[role] = (await createSession(user)).token;
+  }
+  const spare = await createSession(owner);
+
+  return {
+    alertMode, customAlertMode, owner, other, admin, device, location, mobileNetworkInfo, log, contact, alert,
+    threshold, apiKey, dataExport, lockout, tokens, spareSession: spare.session, spareRefreshToken: spare.refreshToken,
+  };
+}
+
+const code = { code: "000000" };
+
+/**
+ * Every route, by mount point. `path`, `body` and `query` receive the
+ * seeded records; ids in paths are the owner's.
+ */
+const ROUTES = {
+  "/api/auth": [
+    { method: "POST", path: "/login", rule: "public", body: (f) => ({ email: f.owner.email, password: PASSWORD }) },
+    {
+      method: "POST", path: "/register", rule: "public",
+      body: { name: "New User", password: PASSWORD, phone: "+201099999999", email: "new@example.com" },
+    },
+    { method: "POST", path: "/refresh", rule: "public", body: (f) => ({ refreshToken: f.spareRefreshToken }) },
+    { method: "POST", path: "/logout", rule: "signedIn", body: {} },
+    { method: "POST", path: "/forgot-password", rule: "public", body: (f) => ({ email: f.owner.email }) },
+    { method: "POST", path: "/reset-password", rule: "public", body: (f) => ({ email: f.owner.email, password: PASSWORD, ...code }) },
+    { method: "POST", path: "/verify/email/request", rule: "signedIn" },
+    { method: "POST", path: "/verify/email/confirm", rule: "signedIn", body: code },
+    { method: "POST", path: "/unlock", rule: "public", body: (f) => ({ email: f.owner.email, ...code }) },
+    { method: "GET", path: "/lockouts", rule: "adminOnly" },
+    { method: "DELETE", path: (f) => `/lockouts/${f.lockout.id}`, rule: "adminOnly" },
+    { method: "GET", path: "/sessions", rule: "signedIn" },
+    { method: "DELETE", path: "/sessions", rule: "signedIn" },
+    { method: "DELETE", path: (f) => `/sessions/${f.spareSession.id}`, rule: "ownerOnly" },
+    { method: "POST", path: "/2fa/verify", rule: "public", body: { challengeToken: "challenge", ...code } },
+    { method: "POST", path: "/2fa/setup", rule: "signedIn" },
+    { method: "POST", path: "/2fa/enable", rule: "signedIn", body: code },
+    { method: "POST", path: "/2fa/backup-codes", rule: "signedIn", body: code },
+    { method: "POST", path: "/2fa/disable", rule: "signedIn", body: { password: PASSWORD, ...code } },
+  ],
+  "/api/users": [
+    { method: "GET", path: "/active_user", rule: "signedIn" },
+    { method: "GET", path: "/", rule: "adminOnly" },
+    { method: "PATCH", path: (f) => `/${f.owner.id}`, rule: "ownerOrAdmin", body: { name: "Renamed" } },
+    {
+      method: "POST", path: (f) => `/${f.owner.id}/password`, rule: "ownerOnly",
+      body: { currentPassword: PASSWORD, newPassword: "N3w-Passw0rd!" },
+    },
+    { method: "POST", path: (f) => `/${f.owner.id}/email/change`, rule: "ownerOnly", body: { email: "renamed@example.com" } },
+    { method: "POST", path: (f) => `/${f.owner.id}/email/change/confirm`, rule: "ownerOnly", body: code },
+    { method: "POST", path: (f) => `/${f.owner.id}/phone/change`, rule: "ownerOnly", body: { phone: "+201088888888" } },
+    { method: "POST", path: (f) => `/${f.owner.id}/phone/change/confirm`, rule: "ownerOnly", body: code },
+    { method: "DELETE", path: (f) => `/${f.owner.id}`, rule: "ownerOrAdmin" },
+    { method: "POST", path: (f) => `/${f.owner.id}/deletion/cancel`, rule: "ownerOrAdmin" },
+    {
+      method: "PATCH", path: (f) => `/${f.owner.id}/alert-mode`, rule: "ownerOrAdmin",
+      body: (f) => ({ alertModeId: f.alertMode.id }),
+    },
+    { method: "GET", path: (f) => `/${f.owner.id}/preferences`, rule: "ownerOrAdmin" },
+    { method: "PATCH", path: (f) => `/${f.owner.id}/preferences`, rule: "ownerOrAdmin", body: { language: "ar" } },
+    { method: "GET", path: (f) => `/${f.owner.id}/signal-thresholds`, rule: "ownerOrAdmin" },
+    {
+      method: "POST", path: (f) => `/${f.owner.id}/signal-thresholds`, rule: "ownerOrAdmin",
+      body: { networkType: "5G", maxDbm: -115, maxLevel: 1 },
+    },
+    {
+      method: "PATCH", path: (f) => `/${f.owner.id}/signal-thresholds/${f.threshold.id}`, rule: "ownerOrAdmin",
+      body: { maxDbm: -112 },
+    },
+    { method: "DELETE", path: (f) => `/${f.owner.id}/signal-thresholds/${f.threshold.id}`, rule: "ownerOrAdmin" },
+    { method: "POST", path: (f) => `/${f.owner.id}/exports`, rule: "ownerOnly" },
+    { method: "GET", path: (f) => `/${f.owner.id}/exports/${f.dataExport.id}`, rule: "ownerOnly" },
+    // The signed link is the credential, see the test below for requests without it
+    {
+      method: "GET", path: (f) => `/${f.owner.id}/exports/${f.dataExport.id}/download`, rule: "public",
+      query: (f) => ({ token: createDownloadToken(f.dataExport) }),
+    },
+    { method: "DELETE", path: (f) => `/${f.owner.id}/two-factor`, rule: "adminOnly" },
+    { method: "PATCH", path: (f) => `/${f.owner.id}/role`, rule: "adminOnly", body: { role: UserRole.USER } },
+    { method: "POST", path: (f) => `/${f.owner.id}/suspend`, rule: "adminOnly", body: {} },
+    { method: "POST", path: (f) => `/${f.owner.id}/unsuspend`, rule: "adminOnly" },
+    { method: "DELETE", path: (f) => `/${f.owner.id}/sessions`, rule: "adminOnly" },
+    { method: "GET", path: (f) => `/${f.owner.id}/overview`, rule: "adminOnly" },
+  ],
+  "/api/devices": [
+    { method: "POST", path: "/", rule: "signedIn", body: { platform: "android", deviceId: "new-phone" } },
+    { method: "GET", path: "/", rule: "adminOnly" },
+    { method: "GET", path: "/user-devices", rule: "signedIn" },
+    { method: "GET", path: (f) => `/${f.device.id}`, rule: "ownerOrAdmin" },
+    { method: "PATCH", path: (f) => `/${f.device.id}`, rule: "ownerOrAdmin", body: { model: "Pixel 8" } },
+    { method: "DELETE", path: (f) => `/${f.device.id}`, rule: "ownerOrAdmin" },
+    { method: "GET", path: (f) => `/${f.device.id}/logs`, rule: "ownerOrAdmin" },
+    { method: "GET", path: (f) => `/${f.device.id}/battery`, rule: "ownerOrAdmin" },
+    { method: "GET", path: (f) => `/${f.device.id}/latency`, rule: "ownerOrAdmin" },
+    { method: "GET", path: (f) => `/${f.device.id}/api-keys`, rule: "ownerOrAdmin" },
+    { method: "POST", path: (f) => `/${f.device.id}/api-keys`, rule: "ownerOnly", body: { label: "Tracker" } },
+    { method: "POST", path: (f) => `/${f.device.id}/api-keys/${f.apiKey.id}/rotate`, rule: "ownerOnly" },
+    { method: "DELETE", path: (f) => `/${f.device.id}/api-keys/${f.apiKey.id}`, rule: "ownerOrAdmin" },
+  ],
+  "/api/locations": [
+    { method: "POST", path: "/", rule: "signedIn", body: { latitude: 30.05, longitude: 31.24 } },
+    { method: "GET", path: "/", rule: "adminOnly" },
+    { method: "GET", path: (f) => `/${f.location.id}`, rule: "ownerOrAdmin" },
+    { method: "PUT", path: (f) => `/${f.location.id}`, rule: "adminOnly", body: { accuracy: 5 } },
+    { method: "DELETE", path: (f) => `/${f.location.id}`, rule: "adminOnly" },
+  ],
+  "/api/mobile-network": [
+    { method: "POST", path: "/", rule: "signedIn", body: { carrier: "Orange", networkType: "4G" } },
+    { method: "GET", path: "/", rule: "adminOnly" },
+    { method: "GET", path: (f) => `/${f.mobileNetworkInfo.id}`, rule: "ownerOrAdmin" },
+    { method: "PUT", path: (f) => `/${f.mobileNetworkInfo.id}`, rule: "adminOnly", body: { signalLevel: 2 } },
+    { method: "DELETE", path: (f) => `/${f.mobileNetworkInfo.id}`, rule: "adminOnly" },
+  ],
+  "/api/connectivity": [
+    {
+      method: "POST", path: "/", rule: "ownerOrAdmin",
+      body: (f) => ({ connectivityType: "wifi", isConnected: true, deviceId: f.device.id }),
+    },
+    { method: "GET", path: "/", rule: "adminOnly" },
+    { method: "GET", path: "/echo", rule: "public" },
+    { method: "GET", path: (f) => `/${f.log.id}`, rule: "ownerOrAdmin" },
+    { method: "PUT", path: (f) => `/${f.log.id}`, rule: "ownerOrAdmin", body: { isConnected: false } },
+    { method: "DELETE", path: (f) => `/${f.log.id}`, rule: "ownerOrAdmin" },
+    { method: "POST", path: "/ping", rule: "ownerOnly", body: (f) => ({ deviceId: f.device.id, signalDbm: -80 }) },
+    { method: "POST", path: "/disconnect", rule: "ownerOnly", body: (f) => ({ deviceId: f.device.id }) },
+  ],
+  "/api/contacts": [
+    {
+      method: "POST", path: "/", rule: "ownerOrAdmin",
+      body: (f) => ({ phone: "+201000000010", email: "neighbour@example.com", userId: f.owner.id }),
+    },
+    { method: "GET", path: "/", rule: "adminOnly" },
+    { method: "GET", path: "/user-contacts", rule: "signedIn" },
+    { method: "GET", path: (f) => `/${f.contact.id}`, rule: "ownerOrAdmin" },
+    { method: "PATCH", path: (f) => `/${f.contact.id}`, rule: "ownerOrAdmin", body: { contactName: "Best friend" } },
+    { method: "POST", path: (f) => `/${f.contact.id}/verify/email/request`, rule: "ownerOrAdmin" },
+    { method: "POST", path: (f) => `/${f.contact.id}/verify/email/confirm`, rule: "ownerOrAdmin", body: code },
+    { method: "DELETE", path: (f) => `/${f.contact.id}`, rule: "ownerOrAdmin" },
+  ],
+  "/api/alert-modes": [
+    { method: "POST", path: "/", rule: "adminOnly", body: { key: "silent_alert", label: "Silent alert" } },
+    { method: "GET", path: "/", rule: "signedIn" },
+    { method: "GET", path: (f) => `/${f.alertMode.id}`, rule: "signedIn" },
+    { method: "PATCH", path: (f) => `/${f.customAlertMode.id}`, rule: "adminOnly", body: { label: "Custom" } },
+    { method: "DELETE", path: (f) => `/${f.customAlertMode.id}`, rule: "adminOnly" },
+  ],
+  "/api/alerts": [
+    { method: "POST", path: (f) => `/${f.alert.id}/confirm`, rule: "ownerOnly" },
+    { method: "POST", path: (f) => `/${f.alert.id}/dismiss`, rule: "ownerOnly" },
+  ],
+  "/api/cron": [
+    { method: "GET", path: "/account-purge", rule: "cronOnly" },
+    { method: "GET", path: "/device-monitor", rule: "cronOnly" },
+    { method: "GET", path: "/data-exports", rule: "cronOnly" },
+  ],
+  "/api/places": [
+    // Calls the places API, which the tests cannot reach (see support/offline-fetch.js)
+    { method: "GET", path: "/find", rule: "signedIn", query: { input: "Cairo Tower" }, offline: true },
+  ],
+  "": [
+    { method: "GET", path: "/api-docs", rule: "public" },
+    { method: "GET", path: "/swagger.json", rule: "public" },
+  ],
+};
+
+let server;
+let baseUrl;
+
+function resolve(value, fixtures) {
+  return typeof value === "function" ? value(fixtures) : value;
+}
+
+async function request(fixtures, role, { method, path, body, query }) {
+  const url = new URL(path, baseUrl);
+  for (const [name, value] of Object.entries(query ?? {})) url.searchParams.set(name, value);
+
+  const response = await fetch(url, {
+    method,
+    redirect: "manual",
+    headers: {
+      ...(body && { "content-type": "application/json" }),
+      ...(role !== "anonymous" && { authorization: `Bearer ${fixtures.tokens[role]}` }),
+    },
+    body: body && JSON.stringify(body),
+  });
+
+  const text = await response.text();
+  let errorCode;
+  try {
+    errorCode = JSON.parse(text).code;
+  } catch {
+    errorCode = undefined;
+  }
+  return { status: response.status, code: errorCode };
+}
+
+function assertAccess(label, { rule, offline }, role, { status, code: errorCode }) {
+  const message = `${label} as ${role}: got ${status}${errorCode ? ` ${errorCode}` : ""}`;
+
+  if (RULES[rule][role] && !offline) {
+    assert.ok(status < 500, `${message}, expected the route to work`);
+  }
+
+  if (rule === "public") {
+    assert.ok(!TOKEN_CODES.includes(errorCode), `${message}, expected no token to be required`);
+  } else if (RULES[rule][role]) {
+    assert.ok(![401, 403, 404].includes(status), `${message}, expected to be let through`);
+  } else {
+    const denied = role === "anonymous" ? [401, 403] : [401, 403, 404];
+    assert.ok(denied.includes(status), `${message}, expected to be turned away`);
+  }
+}
+
+before(async () => {
+  passwordHash = await bcrypt.hash(PASSWORD, 4);
+  await privateStorage.put(ARCHIVE_KEY, Buffer.from("archive"), "application/zip");
+
+  server = await startServer();
+  ({ baseUrl } = server);
+});
+
+after(() => server.close());
+
+for (const [mountPath, routes] of Object.entries(ROUTES)) {
+  describe(mountPath || "/", () => {
+    for (const route of routes) {
+      // Ids in the test names are placeholders, e.g. /:ownerId
+      const placeholders = new Proxy({}, { get: (target, name) => ({ id: `:${String(name)}Id` }) });
+      const label = `${route.method} ${mountPath}${resolve(route.path, placeholders)}`.replace(/(.)\/$/, "$1");
+
+      it(`${label} is ${route.rule}`, async () => {
+        for (const role of ROLES) {
+          const fixtures = await seed();
+          const response = await request(fixtures, role, {
+            method: route.method,
+            path: `${mountPath}${resolve(route.path, fixtures)}`,
+            body: resolve(route.body, fixtures),
+            query: resolve(route.query, fixtures),
+          });
+          assertAccess(label, route, role, response);
+        }
+      });
+    }
+  });
+}
+
+describe("data export download", () => {
+  it("turns away requests without a valid link", async () => {
+    const fixtures = await seed();
+    for (const token of [undefined, fixtures.tokens.owner]) {
+      const { status, code: errorCode } = await request(fixtures, "owner", {
+        method: "GET",
+        path: `/api/users/${fixtures.owner.id}/exports/${fixtures.dataExport.id}/download`,
+        query: token && { token },
+      });
+      assert.equal(status, 403);
+      assert.equal(errorCode, "INVALID_DOWNLOAD_LINK");
+    }
+  });
+});
+
+describe("location details", () => {
+  it("include the connectivity logs for admins only, they may belong to other users", async () => {
+    const fixtures = await seed();
+    const read = async (role) => {
+      const response = await fetch(`${baseUrl}/api/locations/${fixtures.location.id}`, {
+        headers: { authorization: `Bearer ${fixtures.tokens[role]}` },
+      });
+      assert.equal(response.status, 200);
+      return response.json();
+    };
+
+    assert.equal((await read("owner")).connectivityLogs, undefined);
+    assert.equal((await read("admin")).connectivityLogs.length, 1);
+  });
+});
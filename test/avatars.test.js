@@ -0,0 +1,66 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readdir } from "node:fs/promises";
+import path from "node:path";
+import sharp from "sharp";
+import { createSession } from "../lib/auth.js";
+import { UPLOADS_DIR } from "../lib/constants/config.js";
+import { db } from "./support/database.js";
+import { reset, createUser } from "./support/fixtures.js";
+import { startServer } from "./support/server.js";
+
+let server;
+let user;
+let token;
+
+async function storedAvatars() {
+  return readdir(path.join(UPLOADS_DIR, "avatars", user.id)).catch(() => []);
+}
+
+async function uploadAvatar() {
+  const image = await sharp({ create: { width: 32, height: 32, channels: 3, background: "red" } }).png().toBuffer();
+  const form = new FormData();
+  form.append("avatar", new Blob([image], { type: "image/png" }), "avatar.png");
+
+  return fetch(`${server.baseUrl}/api/users/${user.id}`, {
+    method: "PATCH",
+    headers: { authorization: `Bearer ${token}` },
+    body: form,
+  });
+}
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  reset();
+  user = await createUser();
+  ({ token } = await createSession(user));
+});
+
+describe("avatar upload", () => {
+  it("stores the image and its thumbnail", async () => {
+    const response = await uploadAvatar();
+
+    assert.equal(response.status, 200);
+    assert.equal((await storedAvatars()).length, 2);
+  });
+
+  it("deletes the new files when the user could not be updated", async (t) => {
+    const { update } = db.user;
+    t.mock.method(db.user, "update", async (args) => {
+      if (args.data.avatarKey) throw new Error("Database unavailable");
+      return update(args);
+    });
+
+    const response = await uploadAvatar();
+    assert.equal(response.status, 500);
+
+    // The cleanup is not awaited by the request
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(await storedAvatars(), []);
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { AlertMechanism, AlertStatus, AlertType } from "@prisma/client";
+import { recordBattery, batteryFields } from "../lib/battery.js";
+import { BATTERY_LOW_RECOVERY_MARGIN } from "../lib/constants/config.js";
+import { db } from "./support/database.js";
+import { outbox } from "./support/notifications.js";
+import { reset, createUser, createDevice } from "./support/fixtures.js";
+
+const THRESHOLD = 20;
+
+let user;
+let device;
+
+async function setUp(alertMode, preferences = {}) {
+  user = await createUser({}, { alertMode });
+  device = await createDevice(user);
+  await db.userPreferences.create({ data: { userId: user.id, batteryLowThreshold: THRESHOLD, ...preferences } });
+}
+
+beforeEach(async () => {
+  reset();
+  await setUp(AlertMechanism.manual_alert);
+});
+
+/** Reports battery fields for the device, as a ping does. */
+async function report(fields, options) {
+  device = await db.deviceInfo.findUnique({ where: { id: device.id } });
+  return recordBattery(device, fields, options);
+}
+
+const batteryAlerts = () => db.alert.findMany({ where: { type: AlertType.BATTERY_LOW } });
+
+describe("batteryFields", () => {
+  it("picks the battery fields present", () => {
+    assert.deepEqual(batteryFields({ deviceId: "x", batteryLevel: 0, isCharging: false, latencyMs: 40 }), {
+      batteryLevel: 0,
+      isCharging: false,
+    });
+  });
+});
+
+describe("recordBattery", () => {
+  it("keeps the device's last state and a reading per change", async () => {
+    await report({ batteryLevel: 80, isCharging: true });
+    await report({ batteryLevel: 80 });
+    await report({ isCharging: false });
+
+    const readings = await db.batteryReading.findMany({ where: { deviceId: device.id } });
+    assert.equal(readings.length, 2);
+    assert.equal(readings[1].isCharging, false);
+    const updated = await db.deviceInfo.findUnique({ where: { id: device.id } });
+    assert.equal(updated.batteryLevel, 80);
+    assert.equal(updated.isCharging, false);
+  });
+
+  it("leaves the device alone when nothing about the battery is reported", async () => {
+    assert.deepEqual(await report({}), { low: false, alert: null });
+    assert.deepEqual(await db.batteryReading.findMany(), []);
+  });
+
+  it("raises BATTERY_LOW once when a discharging device reaches the threshold", async () => {
+    assert.equal((await report({ batteryLevel: THRESHOLD + 1, isCharging: false })).alert, null);
+
+    const { low, alert } = await report({ batteryLevel: THRESHOLD });
+    assert.equal(low, true);
+    assert.equal(alert.type, AlertType.BATTERY_LOW);
+    assert.match(alert.message, new RegExp(`${THRESHOLD}%`));
+
+    assert.equal((await report({ batteryLevel: THRESHOLD - 5 })).alert, null);
+    assert.equal((await batteryAlerts()).length, 1);
+  });
+
+  it("raises nothing for a device that is charging", async () => {
+    const { low, alert } = await report({ batteryLevel: 5, isCharging: true });
+
+    assert.equal(low, false);
+    assert.equal(alert, null);
+  });
+
+  it("resolves the alert once the level clears the margin, not while it hovers", async () => {
+    const { alert } = await report({ batteryLevel: THRESHOLD, isCharging: false });
+
+    assert.equal((await report({ batteryLevel: THRESHOLD + BATTERY_LOW_RECOVERY_MARGIN - 1 })).low, true);
+    assert.equal((await db.alert.findUnique({ where: { id: alert.id } })).status, AlertStatus.PENDING);
+
+    assert.equal((await report({ batteryLevel: THRESHOLD + BATTERY_LOW_RECOVERY_MARGIN })).low, false);
+    assert.equal((await db.alert.findUnique({ where: { id: alert.id } })).status, AlertStatus.RESOLVED);
+  });
+
+  it("resolves the alert when the device starts charging", async () => {
+    await report({ batteryLevel: THRESHOLD, isCharging: false });
+
+    assert.equal((await report({ isCharging: true })).low, false);
+    assert.equal((await db.deviceInfo.findUnique({ where: { id: device.id } })).batteryLowSince, null);
+  });
+
+  it("raises one alert for concurrent reports", async () => {
+    device = await db.deviceInfo.findUnique({ where: { id: device.id } });
+
+    await Promise.all([
+      recordBattery(device, { batteryLevel: 10, isCharging: false }),
+      recordBattery(device, { batteryLevel: 9, isCharging: false }),
+    ]);
+
+    assert.equal((await batteryAlerts()).length, 1);
+  });
+
+  it("raises the alert on the next report when it could not be raised", async (t) => {
+    const { create } = db.alert;
+    const failing = t.mock.method(db.alert, "create", async () => {
+      throw new Error("Database unavailable");
+    });
+
+    await assert.rejects(report({ batteryLevel: 10, isCharging: false }), /Database unavailable/);
+    assert.equal((await db.deviceInfo.findUnique({ where: { id: device.id } })).batteryLowSince, null);
+
+    failing.mock.mockImplementation(create);
+    assert.equal((await report({ batteryLevel: 9 })).alert?.type, AlertType.BATTERY_LOW);
+  });
+
+  describe("during quiet hours", () => {
+    const at = new Date("2026-01-05T02:00:00Z");
+
+    beforeEach(async () => {
+      reset();
+      await setUp(AlertMechanism.auto_alert, { quietHoursStart: "22:00", quietHoursEnd: "07:00" });
+    });
+
+    it("holds the alert back", async () => {
+      const { alert } = await report({ batteryLevel: 10, isCharging: false }, { at });
+
+      assert.equal(alert.status, AlertStatus.PENDING);
+      assert.deepEqual(outbox, []);
+    });
+
+    it("delivers it right away when the signal is weak too", async () => {
+      const { alert } = await report({ batteryLevel: 10, isCharging: false }, { at, weakSignal: true });
+
+      assert.equal(alert.status, AlertStatus.CONFIRMED);
+      assert.equal(outbox[0].subject, "Low Battery in a Weak Signal Area");
+    });
+  });
+});
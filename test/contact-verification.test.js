@@ -0,0 +1,72 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { OneTimeCodePurpose } from "@prisma/client";
+import { sendContactVerificationCode, confirmContactVerificationCode, backfillVerifiedAddresses } from "../lib/verification.js";
+import { isResendThrottled } from "../lib/one-time-codes.js";
+import { db } from "./support/database.js";
+import { reset, createUser, lastCode } from "./support/fixtures.js";
+
+let owner;
+let first;
+let second;
+
+beforeEach(async () => {
+  reset();
+  owner = await createUser();
+  first = await db.contact.create({ data: { phone: "+201011111111", email: "first@example.com", userId: owner.id } });
+  second = await db.contact.create({ data: { phone: "+201022222222", email: "second@example.com", userId: owner.id } });
+});
+
+describe("contact verification codes", () => {
+  it("are kept per contact, a code for one contact leaves the other's working", async () => {
+    await sendContactVerificationCode(owner, first, "email");
+    await sendContactVerificationCode(owner, second, "email");
+
+    const verified = await confirmContactVerificationCode(first, "email", lastCode(first.email));
+    assert.ok(verified?.emailVerifiedAt);
+    assert.ok((await confirmContactVerificationCode(second, "email", lastCode(second.email)))?.emailVerifiedAt);
+  });
+
+  it("do not verify another contact", async () => {
+    await sendContactVerificationCode(owner, first, "phone");
+    await sendContactVerificationCode(owner, second, "phone");
+
+    assert.equal(await confirmContactVerificationCode(second, "phone", lastCode(first.phone)), null);
+  });
+
+  it("replace the pending code of the same contact", async () => {
+    await sendContactVerificationCode(owner, first, "email");
+    const stale = lastCode(first.email);
+    await sendContactVerificationCode(owner, first, "email");
+
+    assert.equal(await confirmContactVerificationCode(first, "email", stale), null);
+    assert.ok(await confirmContactVerificationCode(first, "email", lastCode(first.email)));
+  });
+
+  it("throttle re-requests per contact", async () => {
+    const purpose = OneTimeCodePurpose.CONTACT_EMAIL_VERIFICATION;
+    await sendContactVerificationCode(owner, first, "email");
+
+    assert.equal(await isResendThrottled(owner.id, purpose, { scope: first.id }), true);
+    assert.equal(await isResendThrottled(owner.id, purpose, { scope: second.id }), false);
+  });
+});
+
+describe("backfillVerifiedAddresses", () => {
+  it("verifies the addresses of users and contacts created before the cutoff only", async () => {
+    const cutoff = new Date(Date.now() - 60 * 1000);
+    const earlier = new Date(cutoff.getTime() - 60 * 1000);
+    const legacyUser = await createUser({ emailVerifiedAt: null, phoneVerifiedAt: null, createdAt: earlier });
+    const legacyContact = await db.contact.update({ where: { id: first.id }, data: { createdAt: earlier } });
+    const newUser = await createUser({ emailVerifiedAt: null, phoneVerifiedAt: null });
+
+    assert.deepEqual(await backfillVerifiedAddresses(cutoff), { users: 2, contacts: 2 });
+
+    const user = await db.user.findUnique({ where: { id: legacyUser.id } });
+    const contact = await db.contact.findUnique({ where: { id: legacyContact.id } });
+    assert.deepEqual([user.emailVerifiedAt, user.phoneVerifiedAt], [cutoff, cutoff]);
+    assert.deepEqual([contact.emailVerifiedAt, contact.phoneVerifiedAt], [cutoff, cutoff]);
+    assert.equal((await db.user.findUnique({ where: { id: newUser.id } })).emailVerifiedAt, null);
+    assert.equal((await db.contact.findUnique({ where: { id: second.id } })).emailVerifiedAt, null);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { inflateRawSync } from "node:zlib";
+import { DataExportStatus } from "@prisma/client";
+import { requestExport, processPendingExports, readArchive } from "../lib/data-export.js";
+import { privateStorage } from "../lib/storage/index.js";
+import { db } from "./support/database.js";
+import { reset, createUser } from "./support/fixtures.js";
+
+let user;
+
+beforeEach(async () => {
+  reset();
+  user = await createUser();
+});
+
+const reload = (dataExport) => db.dataExport.findUnique({ where: { id: dataExport.id } });
+
+/** The files of a zip archive by name, read through its central directory. */
+function unzip(archive) {
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const files = {};
+  let entry = archive.readUInt32LE(end + 16);
+
+  for (let index = 0; index < archive.readUInt16LE(end + 10); index += 1) {
+    const method = archive.readUInt16LE(entry + 10);
+    const size = archive.readUInt32LE(entry + 20);
+    const nameLength = archive.readUInt16LE(entry + 28);
+    const header = archive.readUInt32LE(entry + 42);
+    const name = archive.toString("utf8", entry + 46, entry + 46 + nameLength);
+
+    const start = header + 30 + archive.readUInt16LE(header + 26) + archive.readUInt16LE(header + 28);
+    const data = archive.subarray(start, start + size);
+    files[name] = (method === 8 ? inflateRawSync(data) : data).toString();
+
+    entry += 46 + nameLength + archive.readUInt16LE(entry + 30) + archive.readUInt16LE(entry + 32);
+  }
+  return files;
+}
+
+describe("requestExport", () => {
+  it("only queues the export, the job builds it", async () => {
+    const dataExport = await requestExport(user.id);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    assert.equal((await reload(dataExport)).status, DataExportStatus.PENDING);
+  });
+});
+
+describe("processPendingExports", () => {
+  it("builds queued exports into a zip in private storage", async () => {
+    const dataExport = await requestExport(user.id);
+
+    await processPendingExports();
+
+    const built = await reload(dataExport);
+    assert.equal(built.status, DataExportStatus.READY);
+    assert.ok(built.expiresAt > new Date());
+    const archive = await readArchive(built);
+    assert.equal(archive.length, built.sizeBytes);
+    assert.equal(archive.subarray(0, 2).toString(), "PK");
+  });
+
+  it("keeps spreadsheets from running cells as formulas", async () => {
+    await db.contact.create({
+      data: { userId: user.id, contactName: '=HYPERLINK("http://example.com","Open")', phone: "+15550100", email: "@friend" },
+    });
+    const dataExport = await requestExport(user.id);
+    await processPendingExports();
+
+    const csv = unzip(await readArchive(await reload(dataExport)))["csv/contacts.csv"];
+    const [header, row] = csv.split("\r\n").map((line) => line.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/));
+    const cell = (column) => row[header.indexOf(column)];
+    assert.equal(cell("contactName"), `"'=HYPERLINK(""http://example.com"",""Open"")"`);
+    assert.equal(cell("phone"), "'+15550100");
+    assert.equal(cell("email"), "'@friend");
+  });
+
+  it("builds each export once when runs overlap", async (t) => {
+    const put = t.mock.method(privateStorage, "put");
+    const exports = [await requestExport(user.id), await requestExport((await createUser()).id)];
+
+    await Promise.all([processPendingExports(), processPendingExports()]);
+
+    assert.equal(put.mock.callCount(), exports.length);
+    for (const dataExport of exports) assert.equal((await reload(dataExport)).status, DataExportStatus.READY);
+  });
+
+  it("marks exports that could not be built FAILED and goes on with the next", async (t) => {
+    const failing = await requestExport(user.id);
+    const next = await requestExport((await createUser()).id);
+    const { put } = privateStorage;
+    t.mock.method(privateStorage, "put", async (key, ...rest) => {
+      if (key.includes(failing.id)) throw new Error("Bucket unavailable");
+      return put(key, ...rest);
+    });
+    t.mock.method(console, "error", () => {});
+
+    await processPendingExports();
+
+    assert.equal((await reload(failing)).status, DataExportStatus.FAILED);
+    assert.equal((await reload(next)).status, DataExportStatus.READY);
+  });
+
+  it("deletes archives past their retention period", async () => {
+    const dataExport = await requestExport(user.id);
+    await processPendingExports();
+    await db.dataExport.update({ where: { id: dataExport.id }, data: { expiresAt: new Date(Date.now() - 1000) } });
+    const { storageKey } = await reload(dataExport);
+
+    await processPendingExports();
+
+    const expired = await reload(dataExport);
+    assert.equal(expired.status, DataExportStatus.EXPIRED);
+    assert.equal(expired.storageKey, null);
+    await assert.rejects(privateStorage.get(storageKey));
+  });
+});
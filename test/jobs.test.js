@@ -0,0 +1,74 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { AlertType } from "@prisma/client";
+import { JOBS } from "../lib/jobs.js";
+import { db } from "./support/database.js";
+import { reset, createUser, createDevice } from "./support/fixtures.js";
+import { startServer } from "./support/server.js";
+
+let server;
+
+const runJob = (job, secret = process.env.CRON_SECRET) => fetch(`${server.baseUrl}/api/cron/${job}`, {
+  headers: secret ? { authorization: `Bearer ${secret}` } : {},
+});
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+beforeEach(reset);
+
+describe("GET /api/cron/:job", () => {
+  it("runs the job for Vercel Cron", async () => {
+    const due = await createUser({ deletionScheduledFor: new Date(Date.now() - 1000) });
+    const kept = await createUser();
+
+    const response = await runJob("account-purge");
+
+    assert.equal(response.status, 200);
+    assert.equal(await db.user.findUnique({ where: { id: due.id } }), null);
+    assert.ok(await db.user.findUnique({ where: { id: kept.id } }));
+  });
+
+  it("runs the device monitor, raising DEVICE_DISCONNECT for devices that missed their heartbeats", async () => {
+    const user = await createUser();
+    const silent = await createDevice(user, { deviceId: "silent", lastPinged: new Date(Date.now() - 60 * 60 * 1000) });
+    const online = await createDevice(user, { deviceId: "online" });
+
+    const response = await runJob("device-monitor");
+
+    assert.equal(response.status, 200);
+    assert.ok((await db.deviceInfo.findUnique({ where: { id: silent.id } })).offlineSince);
+    assert.equal((await db.deviceInfo.findUnique({ where: { id: online.id } })).offlineSince, null);
+    const alerts = await db.alert.findMany({ where: { userId: user.id } });
+    assert.deepEqual(alerts.map(({ deviceId, type }) => [deviceId, type]), [[silent.id, AlertType.DEVICE_DISCONNECT]]);
+  });
+
+  it("turns away requests without the cron secret", async () => {
+    const due = await createUser({ deletionScheduledFor: new Date(Date.now() - 1000) });
+
+    for (const secret of [null, "wrong-secret"]) {
+      const response = await runJob("account-purge", secret);
+      assert.equal(response.status, 401);
+      assert.equal((await response.json()).code, "CRON_SECRET_INVALID");
+    }
+    assert.ok(await db.user.findUnique({ where: { id: due.id } }));
+  });
+
+  it("answers 404 for unknown jobs", async () => {
+    const response = await runJob("unknown");
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).code, "UNKNOWN_JOB");
+  });
+});
+
+describe("vercel.json", () => {
+  it("has a cron entry for every job", () => {
+    const { crons } = JSON.parse(readFileSync(new URL("../vercel.json", import.meta.url), "utf8"));
+
+    assert.deepEqual(crons.map(({ path }) => path).sort(), Object.keys(JOBS).map((job) => `/api/cron/${job}`).sort());
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { AlertMechanism, AlertStatus, AlertType } from "@prisma/client";
+import { recordLatency, latencyFields } from "../lib/latency.js";
+import {
+  LATENCY_HIGH_MS,
+  PACKET_LOSS_HIGH_PERCENT,
+  LATENCY_SUSTAINED_READINGS,
+  LATENCY_SUSTAINED_WINDOW_MINUTES,
+} from "../lib/constants/config.js";
+import { db } from "./support/database.js";
+import { reset, createUser, createDevice } from "./support/fixtures.js";
+import { startServer } from "./support/server.js";
+
+const SLOW = { latencyMs: LATENCY_HIGH_MS + 100 };
+const LOSSY = { latencyMs: 40, packetLossPercent: PACKET_LOSS_HIGH_PERCENT };
+const FAST = { latencyMs: 40, jitterMs: 5, packetLossPercent: 0 };
+const START = new Date("2026-01-05T10:00:00Z").getTime();
+
+let device;
+
+beforeEach(async () => {
+  reset();
+  const user = await createUser({}, { alertMode: AlertMechanism.manual_alert });
+  device = await createDevice(user);
+});
+
+/** Reports latency fields for the device `minutes` after START, as a ping does. */
+async function report(fields, minutes) {
+  device = await db.deviceInfo.findUnique({ where: { id: device.id } });
+  return recordLatency(device, fields, { at: new Date(START + minutes * 60 * 1000) });
+}
+
+/** A streak of `fields` reports a minute apart, returning the last result. */
+async function streak(fields, from = 0) {
+  let result;
+  for (let reading = 0; reading < LATENCY_SUSTAINED_READINGS; reading += 1) result = await report(fields, from + reading);
+  return result;
+}
+
+const latencyAlerts = () => db.alert.findMany({ where: { type: AlertType.HIGH_LATENCY } });
+
+describe("latencyFields", () => {
+  it("picks the latency fields present", () => {
+    assert.deepEqual(latencyFields({ deviceId: "x", latencyMs: 0, batteryLevel: 50 }), { latencyMs: 0 });
+  });
+});
+
+describe("recordLatency", () => {
+  it("keeps every report as a reading", async () => {
+    await report(FAST, 0);
+    await report(SLOW, 1);
+
+    assert.equal((await db.latencyReading.findMany({ where: { deviceId: device.id } })).length, 2);
+    assert.deepEqual(await report({}, 2), { degraded: false, alert: null });
+  });
+
+  it("raises HIGH_LATENCY once a streak of reports is degraded, averaging them in the message", async () => {
+    for (let reading = 0; reading < LATENCY_SUSTAINED_READINGS - 1; reading += 1) {
+      assert.equal((await report(SLOW, reading)).alert, null);
+    }
+
+    const { degraded, alert } = await report(LOSSY, LATENCY_SUSTAINED_READINGS);
+    assert.equal(degraded, true);
+    assert.equal(alert.type, AlertType.HIGH_LATENCY);
+    assert.match(alert.message, new RegExp(`${PACKET_LOSS_HIGH_PERCENT}% packet loss`));
+
+    assert.equal((await report(SLOW, 10)).alert, null);
+    assert.equal((await latencyAlerts()).length, 1);
+  });
+
+  it("does not count a single healthy report between degraded ones", async () => {
+    await report(SLOW, 0);
+    await report(FAST, 1);
+    await report(SLOW, 2);
+
+    assert.equal((await report(SLOW, 3)).degraded, false);
+  });
+
+  it("does not count reports older than the window", async () => {
+    await report(SLOW, 0);
+    await report(SLOW, 1);
+
+    assert.equal((await report(SLOW, LATENCY_SUSTAINED_WINDOW_MINUTES + 2)).alert, null);
+  });
+
+  it("resolves the alert once a streak of reports is healthy again", async () => {
+    const { alert } = await streak(SLOW);
+
+    await report(FAST, 10);
+    await report(FAST, 11);
+    assert.equal((await report(SLOW, 12)).degraded, true);
+
+    assert.equal((await streak(FAST, 13)).degraded, false);
+    assert.equal((await db.alert.findUnique({ where: { id: alert.id } })).status, AlertStatus.RESOLVED);
+  });
+
+  it("raises the alert on the next degraded report when it could not be raised", async (t) => {
+    const { create } = db.alert;
+    const failing = t.mock.method(db.alert, "create", async () => {
+      throw new Error("Database unavailable");
+    });
+
+    await assert.rejects(streak(SLOW), /Database unavailable/);
+    assert.equal((await db.deviceInfo.findUnique({ where: { id: device.id } })).highLatencySince, null);
+
+    failing.mock.mockImplementation(create);
+    assert.equal((await report(SLOW, 5)).alert?.type, AlertType.HIGH_LATENCY);
+  });
+});
+
+describe("GET /api/connectivity/echo", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  it("answers without authentication and is never cached", async () => {
+    const response = await fetch(`${server.baseUrl}/api/connectivity/echo?nonce=probe-1`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("cache-control"), "no-store");
+    assert.equal((await response.json()).nonce, "probe-1");
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcrypt";
+import {
+  identifierKey,
+  ipKey,
+  getLoginRetryAfter,
+  recordLoginFailure,
+  clearLoginThrottle,
+} from "../lib/login-throttle.js";
+import {
+  LOGIN_FREE_ATTEMPTS,
+  LOGIN_IDENTIFIER_LOCK_THRESHOLD,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+} from "../lib/constants/config.js";
+import { db } from "./support/database.js";
+import { outbox } from "./support/notifications.js";
+import { reset, createUser } from "./support/fixtures.js";
+import { startServer } from "./support/server.js";
+
+const PASSWORD = "Passw0rd!";
+const KEY = identifierKey("someone@example.com");
+
+beforeEach(reset);
+
+describe("recordLoginFailure", () => {
+  it("counts concurrent failures and locks exactly once at the threshold", async () => {
+    const results = await Promise.all(
+      Array.from({ length: LOGIN_IDENTIFIER_LOCK_THRESHOLD }, () => recordLoginFailure(KEY)),
+    );
+
+    const record = await db.loginThrottle.findUnique({ where: { key: KEY } });
+    assert.equal(record.failures, LOGIN_IDENTIFIER_LOCK_THRESHOLD);
+    assert.ok(record.lockedUntil > new Date());
+    assert.equal(results.filter(({ locked }) => locked).length, 1);
+  });
+
+  it("starts over once the failure window has passed", async () => {
+    const lastFailureAt = new Date(Date.now() - (LOGIN_FAILURE_WINDOW_MINUTES + 1) * 60 * 1000);
+    await db.loginThrottle.create({ data: { key: KEY, failures: 8, lastFailureAt, lockedUntil: null } });
+
+    const { record } = await recordLoginFailure(KEY);
+    assert.equal(record.failures, 1);
+  });
+
+  it("starts over once a lock has run out", async () => {
+    await db.loginThrottle.create({
+      data: { key: KEY, failures: 12, lastFailureAt: new Date(), lockedUntil: new Date(Date.now() - 1000) },
+    });
+
+    const { record, locked } = await recordLoginFailure(KEY);
+    assert.equal(record.failures, 1);
+    assert.equal(record.lockedUntil, null);
+    assert.equal(locked, false);
+  });
+});
+
+describe("getLoginRetryAfter", () => {
+  it("lets the free attempts through, then delays progressively", async () => {
+    for (let failure = 0; failure < LOGIN_FREE_ATTEMPTS - 1; failure += 1) await recordLoginFailure(KEY);
+    assert.equal(await getLoginRetryAfter([KEY]), 0);
+
+    await recordLoginFailure(KEY);
+    assert.equal(await getLoginRetryAfter([KEY]), 1);
+    await recordLoginFailure(KEY);
+    assert.equal(await getLoginRetryAfter([KEY]), 2);
+  });
+
+  it("reports the lock of any of the keys, until cleared", async () => {
+    const lockedUntil = new Date(Date.now() + 90 * 1000);
+    await db.loginThrottle.create({ data: { key: ipKey("10.0.0.1"), failures: 50, lockedUntil } });
+
+    const retryAfter = await getLoginRetryAfter([KEY, ipKey("10.0.0.1")]);
+    assert.ok(retryAfter > 85 && retryAfter <= 90);
+
+    await clearLoginThrottle([ipKey("10.0.0.1")]);
+    assert.equal(await getLoginRetryAfter([KEY, ipKey("10.0.0.1")]), 0);
+  });
+});
+
+describe("POST /api/auth/login", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  const login = (email, password) => fetch(`${server.baseUrl}/api/auth/login`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ email, password }),
+  });
+
+  it("locks the account when the threshold is reached by concurrent failures", async () => {
+    // The cost of real hashes, so every attempt is past the throttle check before the first failure counts
+    const user = await createUser({ password: await bcrypt.hash(PASSWORD, 10) });
+
+    const failures = await Promise.all(
+      Array.from({ length: LOGIN_IDENTIFIER_LOCK_THRESHOLD }, () => login(user.email, "wrong password")),
+    );
+    assert.deepEqual(failures.map(({ status }) => status), failures.map(() => 401));
+
+    const locked = await login(user.email, PASSWORD);
+    assert.equal(locked.status, 429);
+    assert.equal((await locked.json()).code, "LOGIN_THROTTLED");
+    assert.ok(Number(locked.headers.get("retry-after")) > 0);
+
+    // One unlock code for the one lock
+    assert.equal(outbox.filter(({ to }) => to === user.email).length, 1);
+  });
+});
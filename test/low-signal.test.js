@@ -0,0 +1,178 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { AlertMechanism, AlertStatus, AlertType } from "@prisma/client";
+import { recordSignal } from "../lib/low-signal.js";
+import { createSession } from "../lib/auth.js";
+import { LOW_SIGNAL_CONSECUTIVE_READINGS, LOW_SIGNAL_MIN_DURATION_MINUTES, LOW_SIGNAL_COOLDOWN_MINUTES } from "../lib/constants/config.js";
+import { db } from "./support/database.js";
+import { reset, createUser, createDevice } from "./support/fixtures.js";
+import { startServer } from "./support/server.js";
+
+// 4G readings, low at -110 dBm and below, recovered above -105 dBm
+const WEAK = -115;
+const HOVERING = -107;
+const HEALTHY = -90;
+const START = new Date("2026-01-05T10:00:00Z").getTime();
+
+let user;
+let device;
+
+beforeEach(async () => {
+  reset();
+  user = await createUser({}, { alertMode: AlertMechanism.manual_alert });
+  device = await createDevice(user);
+});
+
+/** Reports `signalDbm` for the device `minutes` after START, as /ping does. */
+async function report(signalDbm, minutes) {
+  device = await db.deviceInfo.findUnique({ where: { id: device.id } });
+  return recordSignal(device, { signalDbm, networkType: "LTE", carrier: "Vodafone" }, {
+    at: new Date(START + minutes * 60 * 1000),
+  });
+}
+
+/** Weak readings evenly spread over the minimum duration, the last one raising the alert. */
+async function raiseLowSignal(from = 0) {
+  const step = LOW_SIGNAL_MIN_DURATION_MINUTES / (LOW_SIGNAL_CONSECUTIVE_READINGS - 1);
+  let result;
+  for (let reading = 0; reading < LOW_SIGNAL_CONSECUTIVE_READINGS; reading += 1) {
+    result = await report(WEAK, from + reading * step);
+  }
+  return result;
+}
+
+const lowSignalAlerts = () => db.alert.findMany({ where: { type: AlertType.LOW_SIGNAL } });
+
+describe("recordSignal", () => {
+  it("raises LOW_SIGNAL once a streak is long enough, with the reading as its log", async () => {
+    const { low, alert } = await raiseLowSignal();
+
+    assert.equal(low, true);
+    assert.equal(alert.status, AlertStatus.PENDING);
+    const log = await db.connectivityInfo.findUnique({
+      where: { id: alert.connectivityInfoId },
+      include: { mobileNetworkInfo: true },
+    });
+    assert.equal(log.mobileNetworkInfo.signalDbm, WEAK);
+    assert.equal((await report(WEAK, 10)).alert, null);
+    assert.equal((await lowSignalAlerts()).length, 1);
+  });
+
+  it("keeps no log of readings that raise nothing", async () => {
+    const { low, alert } = await report(WEAK, 0);
+
+    assert.equal(low, true);
+    assert.equal(alert, null);
+    assert.equal((await db.connectivityInfo.findMany()).length, 0);
+  });
+
+  it("waits for the minimum duration however many weak readings come in", async () => {
+    for (let reading = 0; reading < LOW_SIGNAL_CONSECUTIVE_READINGS * 2; reading += 1) {
+      await report(WEAK, reading * 0.1);
+    }
+
+    assert.deepEqual(await lowSignalAlerts(), []);
+  });
+
+  it("starts over after a healthy reading", async () => {
+    await report(WEAK, 0);
+    await report(WEAK, 1);
+    await report(HEALTHY, 2);
+
+    assert.equal((await report(WEAK, LOW_SIGNAL_MIN_DURATION_MINUTES)).alert, null);
+    assert.equal((await db.deviceInfo.findUnique({ where: { id: device.id } })).lowSignalReadings, 1);
+  });
+
+  it("resolves the alert only once the signal clears the threshold by the margin", async () => {
+    const { alert } = await raiseLowSignal();
+
+    await report(HOVERING, 10);
+    assert.ok((await db.deviceInfo.findUnique({ where: { id: device.id } })).lowSignalSince);
+
+    await report(HEALTHY, 11);
+    const resolved = await db.alert.findUnique({ where: { id: alert.id } });
+    assert.equal(resolved.status, AlertStatus.RESOLVED);
+    assert.equal((await db.deviceInfo.findUnique({ where: { id: device.id } })).lowSignalSince, null);
+  });
+
+  it("raises no new alert during the cooldown", async () => {
+    await raiseLowSignal();
+    await report(HEALTHY, 10);
+
+    assert.equal((await raiseLowSignal(11)).alert, null);
+    assert.equal((await raiseLowSignal(11 + LOW_SIGNAL_COOLDOWN_MINUTES)).alert?.type, AlertType.LOW_SIGNAL);
+  });
+
+  it("raises one alert for concurrent readings completing a streak", async () => {
+    await report(WEAK, 0);
+    await report(WEAK, 1);
+    device = await db.deviceInfo.findUnique({ where: { id: device.id } });
+    const at = new Date(START + LOW_SIGNAL_MIN_DURATION_MINUTES * 60 * 1000);
+
+    await Promise.all([
+      recordSignal(device, { signalDbm: WEAK, networkType: "4G" }, { at }),
+      recordSignal(device, { signalDbm: WEAK, networkType: "4G" }, { at }),
+    ]);
+
+    assert.equal((await lowSignalAlerts()).length, 1);
+    assert.equal((await db.connectivityInfo.findMany()).length, 1);
+  });
+
+  it("leaves no log behind when the alert could not be raised, and raises it on the next reading", async (t) => {
+    const { create } = db.alert;
+    const failing = t.mock.method(db.alert, "create", async () => {
+      throw new Error("Database unavailable");
+    });
+
+    await assert.rejects(raiseLowSignal(), /Database unavailable/);
+    assert.deepEqual(await db.connectivityInfo.findMany(), []);
+    assert.deepEqual(await db.mobileNetworkInfo.findMany(), []);
+
+    failing.mock.mockImplementation(create);
+    const { alert } = await report(WEAK, LOW_SIGNAL_MIN_DURATION_MINUTES + 1);
+    assert.equal(alert.type, AlertType.LOW_SIGNAL);
+    assert.equal((await db.connectivityInfo.findMany()).length, 1);
+  });
+});
+
+describe("POST /api/connectivity/ping", () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    ({ token } = await createSession(user));
+  });
+
+  const ping = (body) => fetch(`${server.baseUrl}/api/connectivity/ping`, {
+    method: "POST",
+    headers: { authorization: `Bearer ${token}`, "content-type": "application/json" },
+    body: JSON.stringify({ deviceId: device.id, ...body }),
+  });
+
+  it("warns about a weak signal", async () => {
+    const response = await ping({ signalDbm: WEAK, networkType: "4G" });
+
+    assert.equal(response.status, 200);
+    assert.ok((await response.json()).warning);
+  });
+
+  it("still records the battery and latency when the signal could not be", async (t) => {
+    t.mock.method(db.signalThreshold, "findMany", async () => {
+      throw new Error("Database unavailable");
+    });
+    const logged = t.mock.method(console, "error", () => {});
+
+    const response = await ping({ signalDbm: WEAK, networkType: "4G", batteryLevel: 80, latencyMs: 40 });
+
+    assert.equal(response.status, 200);
+    assert.equal((await db.batteryReading.findMany({ where: { deviceId: device.id } })).length, 1);
+    assert.equal((await db.latencyReading.findMany({ where: { deviceId: device.id } })).length, 1);
+    assert.match(logged.mock.calls[0].arguments[0], /signal/);
+  });
+});
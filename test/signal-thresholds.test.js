@@ -0,0 +1,153 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeNetworkType,
+  defaultSignalThreshold,
+  resolveSignalThreshold,
+  evaluateSignal,
+} from "../lib/signal-thresholds.js";
+import { createSession } from "../lib/auth.js";
+import { db } from "./support/database.js";
+import { reset, createUser } from "./support/fixtures.js";
+import { startServer } from "./support/server.js";
+
+let user;
+
+beforeEach(async () => {
+  reset();
+  user = await createUser();
+});
+
+const addThreshold = (data) => db.signalThreshold.create({
+  data: { networkType: null, carrier: null, maxDbm: -100, maxLevel: 1, ...data, userId: user.id },
+});
+
+describe("normalizeNetworkType", () => {
+  it("maps radio technologies to their generation", () => {
+    assert.equal(normalizeNetworkType("LTE"), "4G");
+    assert.equal(normalizeNetworkType(" hspa+ "), "3G");
+    assert.equal(normalizeNetworkType("nr"), "5G");
+    assert.equal(normalizeNetworkType("5g"), "5G");
+  });
+
+  it("returns null for unknown or missing types", () => {
+    assert.equal(normalizeNetworkType("WiMAX"), null);
+    assert.equal(normalizeNetworkType(""), null);
+    assert.equal(normalizeNetworkType(undefined), null);
+  });
+});
+
+describe("resolveSignalThreshold", () => {
+  it("falls back to the built-in default of the network type", async () => {
+    assert.deepEqual(await resolveSignalThreshold(user.id, { networkType: "LTE" }), defaultSignalThreshold("4G"));
+    assert.deepEqual(await resolveSignalThreshold(user.id, { networkType: "satellite" }), defaultSignalThreshold(null));
+  });
+
+  it("prefers network type and carrier, then network type, then carrier, then any network", async () => {
+    const any = await addThreshold({ maxDbm: -101 });
+    const carrier = await addThreshold({ carrier: "Vodafone", maxDbm: -102 });
+    const type = await addThreshold({ networkType: "4G", maxDbm: -103 });
+    const both = await addThreshold({ networkType: "4G", carrier: "Vodafone", maxDbm: -104 });
+
+    const resolve = async (network) => (await resolveSignalThreshold(user.id, network)).id;
+    assert.equal(await resolve({ networkType: "LTE", carrier: "vodafone " }), both.id);
+    assert.equal(await resolve({ networkType: "LTE", carrier: "Orange" }), type.id);
+    assert.equal(await resolve({ networkType: "3G", carrier: "VODAFONE" }), carrier.id);
+    assert.equal(await resolve({ networkType: "3G" }), any.id);
+  });
+
+  it("ignores the thresholds of other users", async () => {
+    const other = await createUser();
+    await db.signalThreshold.create({ data: { userId: other.id, networkType: "4G", carrier: null, maxDbm: -80, maxLevel: 3 } });
+
+    assert.deepEqual(await resolveSignalThreshold(user.id, { networkType: "4G" }), defaultSignalThreshold("4G"));
+  });
+});
+
+describe("evaluateSignal", () => {
+  it("counts a reading at or below either bound as low", async () => {
+    await addThreshold({ networkType: "4G", maxDbm: -105, maxLevel: 1 });
+
+    assert.equal((await evaluateSignal(user.id, { signalDbm: -105, networkType: "4G" })).low, true);
+    assert.equal((await evaluateSignal(user.id, { signalDbm: -104, networkType: "4G" })).low, false);
+    assert.equal((await evaluateSignal(user.id, { signalDbm: -90, signalLevel: 1, networkType: "4G" })).low, true);
+    assert.equal((await evaluateSignal(user.id, { signalLevel: 2, networkType: "4G" })).low, false);
+  });
+
+  it("uses the threshold of the reading's network", async () => {
+    await addThreshold({ networkType: "3G", maxDbm: -90 });
+
+    assert.equal((await evaluateSignal(user.id, { signalDbm: -95, networkType: "UMTS" })).low, true);
+    assert.equal((await evaluateSignal(user.id, { signalDbm: -95, networkType: "LTE" })).low, false);
+  });
+});
+
+describe("/api/users/:userId/signal-thresholds", () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    ({ token } = await createSession(user));
+  });
+
+  const request = (method, path, body, userId = user.id) => fetch(`${server.baseUrl}/api/users/${userId}/signal-thresholds${path}`, {
+    method,
+    headers: { authorization: `Bearer ${token}`, "content-type": "application/json" },
+    body: body && JSON.stringify(body),
+  });
+
+  it("fills bounds left out from the default of the network type", async () => {
+    const response = await request("POST", "", { networkType: "5G", maxLevel: 0 });
+
+    assert.equal(response.status, 201);
+    const threshold = await response.json();
+    assert.equal(threshold.maxDbm, defaultSignalThreshold("5G").maxDbm);
+    assert.equal(threshold.maxLevel, 0);
+    assert.equal(threshold.carrier, null);
+  });
+
+  it("refuses a second threshold for the same network type and carrier, in any case", async () => {
+    const existing = await addThreshold({ networkType: "4G", carrier: "Vodafone" });
+
+    const response = await request("POST", "", { networkType: "4G", carrier: "VODAFONE", maxDbm: -115 });
+    assert.equal(response.status, 409);
+    const body = await response.json();
+    assert.equal(body.code, "SIGNAL_THRESHOLD_EXISTS");
+    assert.equal(body.details.id, existing.id);
+
+    assert.equal((await request("POST", "", { networkType: "3G", carrier: "Vodafone" })).status, 201);
+  });
+
+  it("refuses to move a threshold onto the scope of another", async () => {
+    await addThreshold({ networkType: "4G" });
+    const moved = await addThreshold({ networkType: "3G" });
+
+    assert.equal((await request("PATCH", `/${moved.id}`, { networkType: "4G" })).status, 409);
+    assert.equal((await request("PATCH", `/${moved.id}`, { maxDbm: -95 })).status, 200);
+  });
+
+  it("judges readings by the next threshold once one is deleted", async () => {
+    const specific = await addThreshold({ networkType: "4G", maxDbm: -90 });
+    await addThreshold({ maxDbm: -120 });
+
+    assert.equal((await request("DELETE", `/${specific.id}`)).status, 200);
+    assert.equal((await evaluateSignal(user.id, { signalDbm: -115, networkType: "4G" })).low, false);
+  });
+
+  it("keeps the thresholds of other users out of reach", async () => {
+    const other = await createUser();
+    const theirs = await db.signalThreshold.create({
+      data: { userId: other.id, networkType: "4G", carrier: null, maxDbm: -80, maxLevel: 3 },
+    });
+
+    assert.equal((await request("GET", "", undefined, other.id)).status, 403);
+    assert.equal((await request("PATCH", `/${theirs.id}`, { maxDbm: -95 })).status, 404);
+    assert.equal((await request("DELETE", `/${theirs.id}`)).status, 404);
+  });
+});
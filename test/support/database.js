@@ -0,0 +1,318 @@
+import { Prisma } from "@prisma/client";
+import { models, delegateName } from "./schema.js";
+
+// In-memory stand-in for lib/database.js. Each model of the schema gets a
+// delegate with the Prisma queries the app runs: where filters with the
+// common operators and relation filters, include and select through
+// relations, orderBy, cursor pagination, `connect`, `increment` and the
+// P2002 and P2025 errors. Enough for exercising routes, not a database.
+
+const tables = new Map();
+let lastId = 0;
+
+/** A fresh 24-hex-digit id, as MongoDB ObjectIds look. */
+export function objectId() {
+  lastId += 1;
+  return lastId.toString(16).padStart(24, "0");
+}
+
+/** Empties every collection. */
+export function resetDatabase() {
+  for (const model of Object.keys(models)) tables.set(model, []);
+}
+
+resetDatabase();
+
+function knownRequestError(code, message, meta) {
+  return new Prisma.PrismaClientKnownRequestError(message, { code, meta });
+}
+
+function same(a, b) {
+  if (a instanceof Date || b instanceof Date) return a?.valueOf() === b?.valueOf();
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => same(item, b[index]));
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a.valueOf() < b.valueOf() ? -1 : a.valueOf() > b.valueOf() ? 1 : 0;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !(value instanceof Date) && !Array.isArray(value);
+}
+
+/**
+ * How records of `model.field` are found: related records `r` match when
+ * `r[foreign[i]]` equals `record[local[i]]`.
+ */
+function relationOf(model, fieldName) {
+  const field = models[model].fields[fieldName];
+  if (field.relation.fields) {
+    return { model: field.type, list: field.list, local: field.relation.fields, foreign: field.relation.references };
+  }
+
+  const [, opposite] = Object.entries(models[field.type].fields).find(([, other]) => (
+    other.type === model && other.relation?.fields && other.relation.name === field.relation.name
+  ));
+  return { model: field.type, list: field.list, local: opposite.relation.references, foreign: opposite.relation.fields };
+}
+
+function relatedRecords(model, record, fieldName) {
+  const relation = relationOf(model, fieldName);
+  const records = tables.get(relation.model).filter((candidate) => relation.local.every((local, index) => (
+    record[local] !== null && record[local] !== undefined && same(candidate[relation.foreign[index]], record[local])
+  )));
+  return { relation, records };
+}
+
+function matchesScalar(value, condition) {
+  if (!isPlainObject(condition)) return same(value, condition);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operand === undefined) return true;
+    const insensitive = condition.mode === "insensitive";
+    const text = (item) => (insensitive ? String(item).toLowerCase() : String(item));
+
+    switch (operator) {
+      case "equals": return insensitive && typeof value === "string" && typeof operand === "string"
+        ? text(value) === text(operand)
+        : same(value, operand);
+      case "not": return !matchesScalar(value, operand);
+      case "in": return operand.some((item) => same(value, item));
+      case "notIn": return !operand.some((item) => same(value, item));
+      case "lt": return value !== null && value !== undefined && compare(value, operand) < 0;
+      case "lte": return value !== null && value !== undefined && compare(value, operand) <= 0;
+      case "gt": return value !== null && value !== undefined && compare(value, operand) > 0;
+      case "gte": return value !== null && value !== undefined && compare(value, operand) >= 0;
+      case "contains": return value !== null && value !== undefined && text(value).includes(text(operand));
+      case "startsWith": return value !== null && value !== undefined && text(value).startsWith(text(operand));
+      case "endsWith": return value !== null && value !== undefined && text(value).endsWith(text(operand));
+      case "has": return Array.isArray(value) && value.some((item) => same(item, operand));
+      case "isSet": return (value !== undefined) === operand;
+      case "mode": return true;
+      default: throw new Error(`Unsupported filter operator "${operator}"`);
+    }
+  });
+}
+
+function matches(model, record, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (condition === undefined) return true;
+    if (key === "AND") return [condition].flat().every((part) => matches(model, record, part));
+    if (key === "OR") return condition.some((part) => matches(model, record, part));
+    if (key === "NOT") return ![condition].flat().some((part) => matches(model, record, part));
+
+    const field = models[model].fields[key];
+    if (!field) return matches(model, record, condition); // compound unique, e.g. userId_deviceId
+    if (!field.relation) return matchesScalar(record[key], condition);
+
+    const { relation, records } = relatedRecords(model, record, key);
+    if (relation.list) {
+      const { some, every, none } = condition;
+      return (some === undefined || records.some((item) => matches(relation.model, item, some)))
+        && (every === undefined || records.every((item) => matches(relation.model, item, every)))
+        && (none === undefined || !records.some((item) => matches(relation.model, item, none)));
+    }
+
+    const [related = null] = records;
+    if (condition === null) return related === null;
+    if ("is" in condition || "isNot" in condition) {
+      const { is, isNot } = condition;
+      return (is === undefined || (is === null ? related === null : related !== null && matches(relation.model, related, is)))
+        && (isNot === undefined || (isNot === null ? related !== null : related === null || !matches(relation.model, related, isNot)));
+    }
+    return related !== null && matches(relation.model, related, condition);
+  });
+}
+
+function sortRecords(records, orderBy) {
+  const orders = [orderBy ?? []].flat().flatMap((order) => Object.entries(order));
+  return [...records].sort((a, b) => {
+    for (const [field, direction] of orders) {
+      const descending = (isPlainObject(direction) ? direction.sort : direction) === "desc";
+      const result = compare(a[field], b[field]);
+      if (result !== 0) return descending ? -result : result;
+    }
+    return 0;
+  });
+}
+
+function project(model, record, { select, include } = {}) {
+  if (!record) return null;
+
+  const related = (field, args) => {
+    const { relation, records } = relatedRecords(model, record, field);
+    const options = args === true ? {} : args;
+    return relation.list ? query(relation.model, records, options) : project(relation.model, records[0] ?? null, options);
+  };
+
+  if (select) {
+    return Object.fromEntries(Object.entries(select)
+      .filter(([, value]) => value)
+      .map(([field, value]) => [field, models[model].fields[field]?.relation ? related(field, value) : record[field]]));
+  }
+
+  const result = structuredClone(record);
+  for (const [field, value] of Object.entries(include ?? {})) {
+    if (value) result[field] = related(field, value);
+  }
+  return result;
+}
+
+function query(model, records, { where, orderBy, cursor, skip = 0, take, select, include } = {}) {
+  let found = sortRecords(records.filter((record) => matches(model, record, where)), orderBy);
+
+  if (cursor) {
+    const start = found.findIndex((record) => matches(model, record, cursor));
+    found = start === -1 ? [] : found.slice(start);
+  }
+  found = found.slice(skip);
+  if (take !== undefined) found = take < 0 ? found.slice(take) : found.slice(0, take);
+
+  return found.map((record) => project(model, record, { select, include }));
+}
+
+/** Applies create or update `data` to `record`, resolving `connect` and atomic number operations. */
+function assign(model, record, data) {
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    const field = models[model].fields[key];
+    if (!field) throw new Prisma.PrismaClientValidationError(`Unknown field ${model}.${key}`);
+
+    if (field.relation) {
+      const relation = relationOf(model, key);
+      if (value.connect) {
+        const target = tables.get(relation.model).find((candidate) => matches(relation.model, candidate, value.connect));
+        if (!target) throw knownRequestError("P2025", `No ${relation.model} to connect`, { cause: `No ${relation.model} found` });
+        relation.local.forEach((local, index) => { record[local] = target[relation.foreign[index]]; });
+      }
+      if (value.disconnect) relation.local.forEach((local) => { record[local] = null; });
+      continue;
+    }
+
+    if (isPlainObject(value) && field.type !== "Json") {
+      if ("set" in value) record[key] = value.set;
+      if ("increment" in value) record[key] = (record[key] ?? 0) + value.increment;
+      if ("decrement" in value) record[key] = (record[key] ?? 0) - value.decrement;
+      if ("multiply" in value) record[key] = (record[key] ?? 0) * value.multiply;
+      continue;
+    }
+
+    record[key] = value;
+  }
+}
+
+function assertUnique(model, record) {
+  for (const fields of models[model].uniques) {
+    if (fields.some((field) => record[field] === null || record[field] === undefined)) continue;
+
+    const clash = tables.get(model).some((other) => other !== record && other.id !== record.id
+      && fields.every((field) => same(other[field], record[field])));
+    if (clash) throw knownRequestError("P2002", `Unique constraint failed on ${fields.join(", ")}`, { target: fields });
+  }
+}
+
+function createRecord(model, data) {
+  const now = new Date();
+  const record = {};
+
+  for (const [name, field] of Object.entries(models[model].fields)) {
+    if (field.relation) continue;
+    if (field.isId) record[name] = objectId();
+    else if (field.updatedAt || field.default?.now) record[name] = now;
+    else if (field.default && "value" in field.default) record[name] = structuredClone(field.default.value);
+    else if (field.list) record[name] = [];
+    else record[name] = null;
+  }
+
+  assign(model, record, data);
+  assertUnique(model, record);
+  tables.get(model).push(record);
+  return record;
+}
+
+function updateRecord(model, record, data) {
+  const updated = structuredClone(record);
+  assign(model, updated, data);
+  for (const [name, field] of Object.entries(models[model].fields)) {
+    if (field.updatedAt && !("updatedAt" in data)) updated[name] = new Date();
+  }
+  assertUnique(model, updated);
+  Object.assign(record, updated);
+  return record;
+}
+
+function findUniqueRecord(model, where) {
+  return tables.get(model).find((record) => matches(model, record, where)) ?? null;
+}
+
+function notFound(model) {
+  return knownRequestError("P2025", `No ${model} found`, { cause: `No ${model} found` });
+}
+
+/**
+ * Each query waits a turn of the event loop first, as a round trip to the
+ * database would, so concurrent requests interleave between their queries
+ * and read-then-write races show up in tests.
+ */
+function roundTrips(queries) {
+  return Object.fromEntries(Object.entries(queries).map(([name, run]) => [name, async (args) => {
+    await new Promise((resolve) => setImmediate(resolve));
+    return run(args);
+  }]));
+}
+
+function delegate(model) {
+  const table = () => tables.get(model);
+
+  return roundTrips({
+    async findUnique({ where, ...args }) {
+      return project(model, findUniqueRecord(model, where), args);
+    },
+    async findFirst(args = {}) {
+      return query(model, table(), { ...args, take: 1 })[0] ?? null;
+    },
+    async findMany(args = {}) {
+      return query(model, table(), args);
+    },
+    async count({ where } = {}) {
+      return table().filter((record) => matches(model, record, where)).length;
+    },
+    async create({ data, ...args }) {
+      return project(model, createRecord(model, data), args);
+    },
+    async update({ where, data, ...args }) {
+      const record = findUniqueRecord(model, where);
+      if (!record) throw notFound(model);
+      return project(model, updateRecord(model, record, data), args);
+    },
+    async updateMany({ where, data }) {
+      const records = table().filter((record) => matches(model, record, where));
+      records.forEach((record) => updateRecord(model, record, data));
+      return { count: records.length };
+    },
+    async upsert({ where, create, update, ...args }) {
+      const record = findUniqueRecord(model, where);
+      return project(model, record ? updateRecord(model, record, update) : createRecord(model, create), args);
+    },
+    async delete({ where, ...args }) {
+      const record = findUniqueRecord(model, where);
+      if (!record) throw notFound(model);
+      tables.set(model, table().filter((other) => other !== record));
+      return project(model, record, args);
+    },
+    async deleteMany({ where } = {}) {
+      const kept = table().filter((record) => !matches(model, record, where));
+      const count = table().length - kept.length;
+      tables.set(model, kept);
+      return { count };
+    },
+  });
+}
+
+export const db = Object.fromEntries(Object.keys(models).map((model) => [delegateName(model), delegate(model)]));
@@ -0,0 +1,54 @@
+import { AlertMechanism, UserRole } from "@prisma/client";
+import { db, resetDatabase } from "./database.js";
+import { outbox } from "./notifications.js";
+
+// Records the behaviour tests start from. Each test file resets the
+// database with `reset` and creates only what it needs.
+
+let users = 0;
+
+/** Empties the database and the outbox. */
+export function reset() {
+  resetDatabase();
+  outbox.length = 0;
+}
+
+/**
+ * A user with verified addresses and the given alert mode.
+ *
+ * @param {object} [data] User fields to set
+ * @param {object} [options]
+ * @param {string} [options.alertMode] AlertMechanism key
+ */
+export async function createUser(data = {}, { alertMode = AlertMechanism.auto_alert } = {}) {
+  users += 1;
+  const mode = await db.alertMode.findFirst({ where: { key: alertMode } })
+    ?? await db.alertMode.create({ data: { key: alertMode, label: alertMode } });
+
+  return db.user.create({
+    data: {
+      name: `User ${users}`,
+      email: `user${users}@example.com`,
+      phone: `+2010${String(users).padStart(8, "0")}`,
+      password: "not-a-hash",
+      role: UserRole.USER,
+      alertModeId: mode.id,
+      emailVerifiedAt: new Date(),
+      phoneVerifiedAt: new Date(),
+      ...data,
+    },
+  });
+}
+
+/** A device of `user`. */
+export async function createDevice(user, data = {}) {
+  return db.deviceInfo.create({
+    data: { platform: "android", deviceId: `device-${user.id}`, userId: user.id, lastPinged: new Date(), ...data },
+  });
+}
+
+/** The 6-digit code of the last message sent to `to`. */
+export function lastCode(to) {
+  const message = outbox.findLast((sent) => sent.to === to);
+  return message?.text.match(/\b\d{6}\b/)?.[0];
+}
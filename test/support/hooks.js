@@ -0,0 +1,41 @@
+// Module hooks for the tests, registered by ./register.js. They swap the
+// modules that reach outside the process for in-process stand-ins:
+//  - `@prisma/client` for enums and error classes generated from the schema,
+//    so no generated client is needed;
+//  - lib/database.js for the in-memory database of ./database.js;
+//  - lib/notifications.js for an outbox, so no email is ever sent;
+//  - `node-fetch` for a fetch that fails, the tests run offline.
+
+const PRISMA_CLIENT_URL = "sigme-test:prisma-client";
+
+const REPLACEMENTS = {
+  "/lib/database.js": new URL("./database.js", import.meta.url).href,
+  "/lib/notifications.js": new URL("./notifications.js", import.meta.url).href,
+};
+
+const SUPPORT_DIR = new URL("./", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === "@prisma/client") return { url: PRISMA_CLIENT_URL, shortCircuit: true };
+  if (specifier === "node-fetch") return { url: new URL("./offline-fetch.js", import.meta.url).href, shortCircuit: true };
+
+  const resolved = await nextResolve(specifier, context);
+  if (context.parentURL?.startsWith(SUPPORT_DIR)) return resolved;
+
+  const replaced = Object.entries(REPLACEMENTS).find(([path]) => resolved.url.endsWith(path));
+  return replaced ? { url: replaced[1], shortCircuit: true } : resolved;
+}
+
+export async function load(url, context, nextLoad) {
+  if (url !== PRISMA_CLIENT_URL) return nextLoad(url, context);
+
+  const { enums } = await import("./schema.js");
+  const source = [
+    ...Object.entries(enums).map(([name, values]) => (
+      `export const ${name} = Object.freeze(${JSON.stringify(Object.fromEntries(values.map((value) => [value, value])))});`
+    )),
+    `export { Prisma, PrismaClient } from ${JSON.stringify(new URL("./prisma.js", import.meta.url).href)};`,
+  ].join("\n");
+
+  return { format: "module", source, shortCircuit: true };
+}
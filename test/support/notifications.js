@@ -0,0 +1,12 @@
+// Stand-in for lib/notifications.js, messages end up in `outbox`.
+
+/** @type {Array<{ channel: 'email'|'sms', to: string, subject?: string, text: string }>} */
+export const outbox = [];
+
+export async function sendEmail(to, subject, text) {
+  outbox.push({ channel: "email", to, subject, text });
+}
+
+export async function sendSms(phone, message) {
+  outbox.push({ channel: "sms", to: phone, text: message });
+}
@@ -0,0 +1,5 @@
+// `node-fetch` stand-in, the tests never reach third-party APIs.
+
+export default async function fetch(url) {
+  throw new TypeError(`fetch to ${url} is disabled in tests`);
+}
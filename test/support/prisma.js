@@ -0,0 +1,26 @@
+// Error classes and client of `@prisma/client` as far as the app uses them.
+
+class PrismaClientKnownRequestError extends Error {
+  constructor(message, { code, meta, clientVersion = "test" }) {
+    super(message);
+    this.name = "PrismaClientKnownRequestError";
+    this.code = code;
+    this.meta = meta;
+    this.clientVersion = clientVersion;
+  }
+}
+
+class PrismaClientValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PrismaClientValidationError";
+  }
+}
+
+export const Prisma = { PrismaClientKnownRequestError, PrismaClientValidationError };
+
+export class PrismaClient {
+  constructor() {
+    throw new Error("The tests use the in-memory database of test/support/database.js");
+  }
+}
@@ -0,0 +1,17 @@
+// Loaded with `node --import` before any test, see the "test" script.
+import { register } from "node:module";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+// Set before lib/constants/config.js reads them
+const filesDir = mkdtempSync(path.join(tmpdir(), "sigme-test-"));
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.CRON_SECRET = "test-cron-secret";
+process.env.STORAGE_DRIVER = "local";
+process.env.UPLOADS_DIR = path.join(filesDir, "uploads");
+process.env.PRIVATE_FILES_DIR = path.join(filesDir, "private");
+process.on("exit", () => rmSync(filesDir, { recursive: true, force: true }));
+
+register("./hooks.js", import.meta.url);
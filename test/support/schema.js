@@ -0,0 +1,103 @@
+import { readFileSync } from "node:fs";
+
+// Reads the enums and models of prisma/schema.prisma, so the Prisma client
+// stand-in and the in-memory database follow the schema without a generated client.
+
+const source = readFileSync(new URL("../../prisma/schema.prisma", import.meta.url), "utf8");
+
+function stripComment(line) {
+  return line.replace(/\/\/.*$/, "").trim();
+}
+
+/** The text between the parentheses opening at `start`, nested ones included. */
+function parenthesized(text, start) {
+  let depth = 0;
+  for (let index = start; index < text.length; index += 1) {
+    if (text[index] === "(") depth += 1;
+    if (text[index] === ")") depth -= 1;
+    if (depth === 0) return text.slice(start + 1, index);
+  }
+  throw new Error(`Unbalanced parentheses in ${text}`);
+}
+
+function attribute(attributes, name) {
+  const start = attributes.indexOf(`@${name}(`);
+  return start === -1 ? null : parenthesized(attributes, start + name.length + 1);
+}
+
+function list(text, name) {
+  const match = text?.match(new RegExp(`${name}:\\s*\\[([^\\]]*)\\]`));
+  return match ? match[1].split(",").map((item) => item.trim()) : null;
+}
+
+function parseDefault(expression) {
+  if (expression === null) return undefined;
+  if (expression === "now()") return { now: true };
+  if (expression === "auto()" || expression.endsWith("()")) return { generated: true };
+  if (expression === "true" || expression === "false") return { value: expression === "true" };
+  if (expression === "[]") return { value: [] };
+  if (/^-?\d+(\.\d+)?$/.test(expression)) return { value: Number(expression) };
+  if (/^".*"$/.test(expression)) return { value: JSON.parse(expression) };
+  return { value: expression }; // enum value
+}
+
+const blocks = [...source.matchAll(/^(model|enum)\s+(\w+)\s*\{([\s\S]*?)^\}/gm)];
+
+/** @type {Record<string, string[]>} */
+export const enums = Object.fromEntries(blocks
+  .filter(([, kind]) => kind === "enum")
+  .map(([, , name, body]) => [name, body.split("\n").map(stripComment).filter(Boolean).map((line) => line.split(/\s+/)[0])]));
+
+const modelNames = blocks.filter(([, kind]) => kind === "model").map(([, , name]) => name);
+
+/**
+ * @type {Record<string, {
+ *   fields: Record<string, { type: string, list: boolean, optional: boolean, isId: boolean, unique: boolean,
+ *     updatedAt: boolean, default?: object, relation?: { name: string|null, fields: string[]|null, references: string[]|null } }>,
+ *   uniques: string[][],
+ * }>}
+ */
+export const models = Object.fromEntries(blocks
+  .filter(([, kind]) => kind === "model")
+  .map(([, , name, body]) => {
+    const fields = {};
+    const uniques = [];
+
+    for (const line of body.split("\n").map(stripComment).filter(Boolean)) {
+      if (line.startsWith("@@")) {
+        const unique = line.startsWith("@@unique") && line.match(/\[([^\]]*)\]/);
+        if (unique) uniques.push(unique[1].split(",").map((field) => field.trim()));
+        continue;
+      }
+
+      const [, fieldName, type, isList, optional, attributes] = line.match(/^(\w+)\s+(\w+)(\[\])?(\?)?\s*(.*)$/);
+      const field = {
+        type,
+        list: Boolean(isList),
+        optional: Boolean(optional),
+        isId: attributes.includes("@id"),
+        unique: /@unique\b/.test(attributes),
+        updatedAt: attributes.includes("@updatedAt"),
+        default: parseDefault(attribute(attributes, "default")),
+      };
+
+      if (modelNames.includes(type)) {
+        const relation = attribute(attributes, "relation");
+        field.relation = {
+          name: relation?.match(/^\s*(?:name:\s*)?"([^"]+)"/)?.[1] ?? null,
+          fields: list(relation, "fields"),
+          references: list(relation, "references"),
+        };
+      }
+
+      if (field.unique) uniques.push([fieldName]);
+      fields[fieldName] = field;
+    }
+
+    return [name, { fields, uniques }];
+  }));
+
+/** `DeviceInfo` → `deviceInfo`, the name of its delegate on the client. */
+export function delegateName(model) {
+  return model[0].toLowerCase() + model.slice(1);
+}
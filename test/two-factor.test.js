@@ -0,0 +1,127 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { verifyTotp, generateTotpSecret, totpProvisioningUri } from "../lib/totp.js";
+import { verifySecondFactor, generateBackupCodes } from "../lib/two-factor.js";
+import { db } from "./support/database.js";
+import { reset, createUser } from "./support/fixtures.js";
+
+// The SHA-1 secret of RFC 6238 appendix B, "12345678901234567890", in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+// RFC 6238 appendix B test vectors, the last 6 of their 8 digits
+const RFC_VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+  [20000000000, "353130"],
+];
+
+/** The code an authenticator app shows at `now`, computed independently of lib/totp.js. */
+function currentCode(secret, now = Date.now()) {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+  const bits = [...secret].map((char) => alphabet.indexOf(char).toString(2).padStart(5, "0")).join("");
+  const key = Buffer.from(bits.match(/.{8}/g).map((byte) => parseInt(byte, 2)));
+
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(now / 30000)));
+  const hmac = crypto.createHmac("sha1", key).update(counter).digest();
+  const binary = hmac.readUInt32BE(hmac[hmac.length - 1] & 0xf) & 0x7fffffff;
+  return String(binary % 1_000_000).padStart(6, "0");
+}
+
+describe("verifyTotp", () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    it(`matches the RFC 6238 vector at T=${seconds}`, () => {
+      assert.equal(verifyTotp(RFC_SECRET, code, { window: 0, now: seconds * 1000 }), Math.floor(seconds / 30));
+    });
+  }
+
+  it("tolerates one step of clock drift either side, not more", () => {
+    const now = 1111111111 * 1000;
+    assert.equal(verifyTotp(RFC_SECRET, "050471", { now: now + 30 * 1000 }), Math.floor(1111111111 / 30));
+    assert.equal(verifyTotp(RFC_SECRET, "050471", { now: now + 60 * 1000 }), null);
+  });
+
+  it("rejects malformed codes", () => {
+    for (const code of ["", "12345", "1234567", "abcdef"]) assert.equal(verifyTotp(RFC_SECRET, code), null);
+  });
+
+  it("generates secrets authenticator apps accept", () => {
+    const secret = generateTotpSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.ok(verifyTotp(secret, currentCode(secret)) !== null);
+    assert.match(totpProvisioningUri(secret, "someone@example.com"), /^otpauth:\/\/totp\/Sigme%3Asomeone%40example\.com\?secret=/);
+  });
+});
+
+describe("verifySecondFactor", () => {
+  let user;
+  let backupCodes;
+
+  beforeEach(async () => {
+    reset();
+    const { codes, hashes } = generateBackupCodes();
+    backupCodes = codes;
+    user = await createUser({
+      twoFactorSecret: generateTotpSecret(),
+      twoFactorEnabledAt: new Date(),
+      twoFactorBackupCodes: hashes,
+    });
+  });
+
+  const reload = () => db.user.findUnique({ where: { id: user.id } });
+
+  it("accepts a TOTP code once", async () => {
+    const code = currentCode(user.twoFactorSecret);
+
+    assert.equal(await verifySecondFactor(user, code), true);
+    assert.equal(await verifySecondFactor(await reload(), code), false);
+  });
+
+  it("accepts a TOTP code presented twice at once for one of them", async () => {
+    const code = currentCode(user.twoFactorSecret);
+
+    const results = await Promise.all([verifySecondFactor(user, code), verifySecondFactor(user, code)]);
+    assert.deepEqual(results.sort(), [false, true]);
+  });
+
+  it("rejects the code of a time step before the last one used", async () => {
+    const previous = currentCode(user.twoFactorSecret, Date.now() - 30 * 1000);
+    assert.equal(await verifySecondFactor(user, currentCode(user.twoFactorSecret)), true);
+
+    assert.equal(await verifySecondFactor(await reload(), previous), false);
+  });
+
+  it("burns a backup code, in any case and with spaces around it", async () => {
+    assert.equal(await verifySecondFactor(user, ` ${backupCodes[0].toUpperCase()} `), true);
+
+    const updated = await reload();
+    assert.equal(updated.twoFactorBackupCodes.length, backupCodes.length - 1);
+    assert.equal(await verifySecondFactor(updated, backupCodes[0]), false);
+  });
+
+  it("accepts a backup code presented twice at once for one of them", async () => {
+    const results = await Promise.all([verifySecondFactor(user, backupCodes[0]), verifySecondFactor(user, backupCodes[0])]);
+
+    assert.deepEqual(results.sort(), [false, true]);
+    assert.equal((await reload()).twoFactorBackupCodes.length, backupCodes.length - 1);
+  });
+
+  it("burns both of two backup codes used at once", async () => {
+    const results = await Promise.all([verifySecondFactor(user, backupCodes[0]), verifySecondFactor(user, backupCodes[1])]);
+
+    assert.deepEqual(results, [true, true]);
+    const updated = await reload();
+    assert.equal(updated.twoFactorBackupCodes.length, backupCodes.length - 2);
+    assert.equal(await verifySecondFactor(updated, backupCodes[0]), false);
+    assert.equal(await verifySecondFactor(updated, backupCodes[1]), false);
+  });
+
+  it("rejects unknown codes", async () => {
+    assert.equal(await verifySecondFactor(user, "00000-00000"), false);
+    assert.equal(await verifySecondFactor(user, ""), false);
+  });
+});